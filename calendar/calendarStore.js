@@ -0,0 +1,215 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Working hours for find_free_slot, in server time
+const WORKDAY_START = 9;
+const WORKDAY_END = 17;
+// Free slots start on the quarter hour
+const SLOT_STEP_MS = 15 * 60e3;
+
+const overlaps = (event, start, end) => new Date(event.start) < end && new Date(event.end) > start;
+const roundUp = date => new Date(Math.ceil(date.getTime() / SLOT_STEP_MS) * SLOT_STEP_MS);
+
+class CalendarStore {
+  constructor() {
+    this.events = Object.create(null);
+    this.DB_PATH = process.env.CALENDAR_DB_PATH || path.join(__dirname, "./events.json");
+  }
+
+  /* ---------------- EVENTS ---------------- */
+
+  // `start` / `end` are ISO strings; all-day events run from midnight to midnight
+  create({ title, start, end, allDay = false, location = null, description = null, attendees = [], uid = null, source = "local", sessionId = null }) {
+    const now = new Date().toISOString();
+    const id = `evt_${crypto.randomUUID()}`;
+    const event = {
+      id,
+      // Stable across export / import and in invitations
+      uid: uid || `${id.slice(4)}@personal-assistant`,
+      title,
+      description,
+      location,
+      start,
+      end,
+      allDay,
+      attendees,
+      source,
+      sessionId,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.events[event.id] = event;
+    this.saveToDisk();
+    console.log(`📅 Event created: ${event.id} (${title} at ${start})`);
+    return event;
+  }
+
+  get(id) {
+    return this.events[id] || null;
+  }
+
+  // Events overlapping [from, to), by start time
+  list({ from, to, query } = {}) {
+    const rangeStart = from ? new Date(from) : new Date(-8.64e15);
+    const rangeEnd = to ? new Date(to) : new Date(8.64e15);
+    const needle = query?.trim().toLowerCase();
+
+    return Object.values(this.events)
+      .filter(event => overlaps(event, rangeStart, rangeEnd))
+      .filter(event => !needle || [event.title, event.description, event.location, ...event.attendees]
+        .filter(Boolean).join("\n").toLowerCase().includes(needle))
+      .sort((a, b) => a.start.localeCompare(b.start) || a.createdAt.localeCompare(b.createdAt));
+  }
+
+  delete(id) {
+    if (!this.events[id]) return false;
+
+    delete this.events[id];
+    this.saveToDisk();
+    console.log(`🗑️ Event deleted: ${id}`);
+    return true;
+  }
+
+  // Events from an .ics file (see calendar/ics.js fromICS); same UID -> updated
+  importEvents(fields) {
+    const byUid = new Map(Object.values(this.events).map(event => [event.uid, event]));
+    let created = 0;
+    let updated = 0;
+
+    for (const item of fields) {
+      const existing = item.uid && byUid.get(item.uid);
+      if (existing) {
+        Object.assign(existing, item, { updatedAt: new Date().toISOString() });
+        updated++;
+      } else {
+        const event = this.create({ ...item, source: "import" });
+        byUid.set(event.uid, event);
+        created++;
+      }
+    }
+
+    this.saveToDisk();
+    console.log(`📥 Imported ${fields.length} events (${created} new, ${updated} updated)`);
+    return { created, updated };
+  }
+
+  /* ---------------- AVAILABILITY ---------------- */
+
+  // Timed events overlapping [start, end); all-day events (holidays, birthdays) do not block time
+  findConflicts(start, end, { excludeId } = {}) {
+    return this.list({ from: start, to: end }).filter(event => !event.allDay && event.id !== excludeId);
+  }
+
+  /**
+   * Up to `count` free slots of `durationMinutes` within working hours on
+   * weekdays between `from` and `to` (default: the next 7 days).
+   */
+  findFreeSlots({
+    durationMinutes = 60,
+    from = new Date(),
+    to,
+    count = 3,
+    workdayStart = WORKDAY_START,
+    workdayEnd = WORKDAY_END,
+    includeWeekends = false
+  } = {}) {
+    const duration = durationMinutes * 60e3;
+    const rangeStart = new Date(from);
+    const rangeEnd = to ? new Date(to) : new Date(rangeStart.getTime() + 7 * 86400e3);
+    const busy = this.findConflicts(rangeStart, rangeEnd);
+    const slots = [];
+
+    const day = new Date(rangeStart);
+    day.setHours(0, 0, 0, 0);
+
+    for (; day < rangeEnd && slots.length < count; day.setDate(day.getDate() + 1)) {
+      if (!includeWeekends && (day.getDay() === 0 || day.getDay() === 6)) continue;
+
+      const dayStart = new Date(day);
+      dayStart.setHours(workdayStart, 0, 0, 0);
+      const dayEnd = new Date(day);
+      dayEnd.setHours(workdayEnd, 0, 0, 0);
+
+      let cursor = roundUp(new Date(Math.max(dayStart, rangeStart)));
+      const limit = new Date(Math.min(dayEnd, rangeEnd));
+
+      while (cursor.getTime() + duration <= limit.getTime() && slots.length < count) {
+        const slotEnd = new Date(cursor.getTime() + duration);
+        const blocking = busy.filter(event => overlaps(event, cursor, slotEnd));
+
+        if (blocking.length === 0) {
+          slots.push({ start: cursor.toISOString(), end: slotEnd.toISOString() });
+          cursor = slotEnd;
+        } else {
+          cursor = roundUp(new Date(Math.max(...blocking.map(event => new Date(event.end)))));
+        }
+      }
+    }
+
+    return slots;
+  }
+
+  /* ---------------- VALIDATION ---------------- */
+
+  // Plain fields only; start and end are parsed by the caller -> error messages
+  validate(fields = {}) {
+    const errors = [];
+
+    if (typeof fields.title !== "string" || !fields.title.trim()) {
+      errors.push("title must be a non-empty string");
+    }
+    for (const key of ["location", "description"]) {
+      if (fields[key] !== undefined && fields[key] !== null && typeof fields[key] !== "string") {
+        errors.push(`${key} must be a string`);
+      }
+    }
+    if (fields.attendees !== undefined && !(Array.isArray(fields.attendees) && fields.attendees.every(a => typeof a === "string"))) {
+      errors.push("attendees must be an array of email addresses");
+    }
+    return errors;
+  }
+
+  /* ---------------- PERSISTENCE ---------------- */
+
+  saveToDisk() {
+    fs.writeFileSync(this.DB_PATH, JSON.stringify(this.events, null, 2));
+  }
+
+  loadFromDisk() {
+    if (!fs.existsSync(this.DB_PATH)) {
+      return false;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.DB_PATH, "utf-8"));
+      if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return false;
+      }
+      this.events = Object.assign(Object.create(null), data);
+    } catch (error) {
+      console.error("❌ Failed to load calendar events:", error.message);
+      return false;
+    }
+
+    console.log(`📂 Loaded ${Object.keys(this.events).length} calendar events from disk`);
+    return true;
+  }
+}
+
+const instance = new CalendarStore();
+
+module.exports = {
+  WORKDAY_START,
+  WORKDAY_END,
+  create: fields => instance.create(fields),
+  get: id => instance.get(id),
+  list: filters => instance.list(filters),
+  delete: id => instance.delete(id),
+  importEvents: fields => instance.importEvents(fields),
+  findConflicts: (start, end, options) => instance.findConflicts(start, end, options),
+  findFreeSlots: options => instance.findFreeSlots(options),
+  validate: fields => instance.validate(fields),
+  loadFromDisk: () => instance.loadFromDisk()
+};
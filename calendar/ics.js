@@ -0,0 +1,133 @@
+const { parseICS } = require("../rag/loaders/ics");
+
+/*
+ * iCalendar (RFC 5545) for the local calendar: export of stored events and
+ * the .ics attached to meeting invitations, and import through the parser of
+ * the RAG ics loader. Times are written in UTC; all-day events as dates.
+ * Imported TZID times are read as server time.
+ */
+
+const PRODID = "-//Personal AI Assistant//Calendar//EN";
+const DEFAULT_DURATION_MS = 3600e3;
+
+/* ---------------- EXPORT ---------------- */
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/([;,])/g, "\\$1")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+const pad = n => String(n).padStart(2, "0");
+
+function formatDateTime(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function formatDate(iso) {
+  const date = new Date(iso);
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+function eventLines(event, { organizer } = {}) {
+  const time = (name, iso) => event.allDay ? `${name};VALUE=DATE:${formatDate(iso)}` : `${name}:${formatDateTime(iso)}`;
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || new Date().toISOString())}`,
+    time("DTSTART", event.start),
+    time("DTEND", event.end),
+    `SUMMARY:${escapeText(event.title)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (organizer?.email) {
+    lines.push(`ORGANIZER${organizer.name ? `;CN=${escapeText(organizer.name)}` : ""}:mailto:${organizer.email}`);
+  }
+  for (const attendee of event.attendees) {
+    lines.push(attendee.includes("@")
+      ? `ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${attendee}`
+      : `ATTENDEE;CN=${escapeText(attendee)}:invalid:nomail`);
+  }
+
+  lines.push(`SEQUENCE:${event.sequence || 0}`, "STATUS:CONFIRMED", "END:VEVENT");
+  return lines;
+}
+
+/**
+ * Events -> an iCalendar file. `method` is "PUBLISH" for exports and
+ * "REQUEST" for invitations; `organizer` is { name, email }.
+ */
+function generateICS(events, { method = "PUBLISH", organizer } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    ...events.flatMap(event => eventLines(event, { organizer })),
+    "END:VCALENDAR"
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/* ---------------- IMPORT ---------------- */
+
+// "2024-10-15T09:00:00Z" (UTC), "2024-10-15T09:00:00" (local), "2024-10-15" (all day)
+function toDate(value) {
+  const day = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return day ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])) : new Date(value);
+}
+
+/**
+ * VEVENTs of an iCalendar file as calendar store fields:
+ * [{ uid, title, description, location, start, end, allDay, attendees }].
+ * Events without a start are skipped; a missing end means one hour (one
+ * day for all-day events).
+ */
+function fromICS(text) {
+  return parseICS(text)
+    .filter(event => event.start && !Number.isNaN(toDate(event.start).getTime()))
+    .map(event => {
+      const start = toDate(event.start);
+      const end = event.end ? toDate(event.end) : null;
+      const fallbackEnd = event.allDay
+        ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1)
+        : new Date(start.getTime() + DEFAULT_DURATION_MS);
+
+      return {
+        uid: event.uid || null,
+        title: event.summary || "Untitled",
+        description: event.description || null,
+        location: event.location || null,
+        start: start.toISOString(),
+        end: (end && end > start ? end : fallbackEnd).toISOString(),
+        allDay: !!event.allDay,
+        attendees: event.attendees
+      };
+    });
+}
+
+module.exports = {
+  generateICS,
+  fromICS
+};
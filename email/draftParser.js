@@ -0,0 +1,152 @@
+// Deterministic slot extraction for email drafts built up over several turns
+const { findScheduleTime } = require("./schedule");
+
+const EMAIL_REGEX = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+
+const BODY_MARKER = /\b(?:body|content)(?:\s+(?:is|should be|should say|as))?\s*[:=]?\s+|\bmessage(?:\s+(?:is|should be|should say)\s+|\s*[:=]\s*)|\b(?:saying|that says|which says|tell (?:him|her|them) that)\s+/i;
+const SUBJECT_MARKER = /\bsubject(?:\s+line)?(?:\s+(?:is|should be|as|of|to))?\s*[:=]?\s*/i;
+
+const CONFIRM_WORDS = /^(?:yes|yep|yeah|y|ok|okay|sure|send|send it|confirm|confirmed|go ahead|looks good|do it)[.!\s]*$/i;
+const CANCEL_WORDS = /^(?:no|nope|n|cancel|stop|discard|abort|never ?mind|don'?t send(?: it)?)[.!\s]*$/i;
+
+// Prompts that are not input for an open draft: questions about the owner's
+// own data ("What are my skills?") and requests for something else
+const OWNER_QUESTION = /^(?:what|who|where|when|which|how|why|do|does|did|can|could|should|is|are|am|have|has)\b[^?]*\b(?:my|me|i|mine)\b[^?]*\?$/i;
+const OTHER_REQUEST = /^(?:(?:please|can you|could you)\s+)?(?:calculate|compute|convert|remind me|(?:create|add) (?:a )?task|list my|show me my|search|(?:schedule|book) (?:a |an )?(?:meeting|event)|send (?:an? )?(?:new )?e?mail|(?:write|compose) (?:an? )?(?:new )?e?mail)\b/i;
+
+const isValidEmail = email => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email).trim());
+
+const stripQuotes = text => {
+  const trimmed = text.trim();
+  const match = trimmed.match(/^(["'“‘])([\s\S]*)(["'”’])$/);
+  return match ? match[2].trim() : trimmed;
+};
+
+/**
+ * Pull whatever draft fields are present in a user message.
+ * `draft.awaiting` lets a bare reply ("Meeting") fill the slot we asked for.
+ */
+function extractDraftFields(text, draft = {}) {
+  const fields = {};
+  if (!text || typeof text !== "string") return fields;
+
+  let remaining = text.trim();
+
+  /* ---------------- BODY ---------------- */
+  const bodyMatch = remaining.match(BODY_MARKER);
+  if (bodyMatch) {
+    const body = stripQuotes(remaining.slice(bodyMatch.index + bodyMatch[0].length));
+    if (body) fields.body = body;
+    remaining = remaining.slice(0, bodyMatch.index).replace(/\s+(?:and|with)(?:\s+the)?\s*$/i, "");
+  }
+
+  /* ---------------- RECIPIENTS ---------------- */
+  const ccMatch = remaining.match(/\bcc\b\s*[:=]?\s*((?:[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}(?:\s*,\s*|\s+and\s+|\s*)?)+)/i);
+  const ccEmails = ccMatch ? ccMatch[1].match(EMAIL_REGEX) || [] : [];
+  if (ccEmails.length > 0) fields.cc = ccEmails.join(", ");
+
+  const toEmails = (remaining.match(EMAIL_REGEX) || []).filter(e => !ccEmails.includes(e));
+  if (toEmails.length > 0) fields.to = toEmails[0];
+
+  /* ---------------- SUBJECT ---------------- */
+  const subjectMatch = remaining.match(SUBJECT_MARKER);
+  if (subjectMatch) {
+    const subject = stripQuotes(
+      remaining
+        .slice(subjectMatch.index + subjectMatch[0].length)
+        .split(/\s+(?:and|with)\s+(?:cc|priority)\b/i)[0]
+    );
+    if (subject) fields.subject = subject;
+  } else if (!draft.subject) {
+    const aboutMatch = remaining.match(/\babout\s+(.+?)(?:\s+(?:and|with)\b|[.?!]|$)/i);
+    if (aboutMatch) fields.subject = stripQuotes(aboutMatch[1]);
+  }
+
+  /* ---------------- PRIORITY ---------------- */
+  const priorityMatch = text.match(/\bpriority(?:\s+(?:is|to|as))?\s*[:=]?\s*(low|normal|high)\b|\b(low|normal|high)\s+priority\b/i);
+  if (priorityMatch) {
+    fields.priority = (priorityMatch[1] || priorityMatch[2]).toLowerCase();
+  } else if (/\b(?:urgent|asap)\b/i.test(text)) {
+    fields.priority = "high";
+  }
+
+  /* ---------------- SEND TIME ---------------- */
+  // Only "send it tomorrow at 9am"-style phrases; dates in the body are text
+  const scheduled = findScheduleTime(remaining);
+  if (scheduled) {
+    fields.scheduleAt = scheduled.date.toISOString();
+  }
+
+  /* ---------------- BARE REPLY ---------------- */
+  // "send" or "cancel" typed while a field is missing is never its value
+  const extracted = Object.keys(fields).length > 0;
+  if (!extracted && parseConfirmation(text) === null && (draft.awaiting === "subject" || draft.awaiting === "body")) {
+    fields[draft.awaiting] = stripQuotes(text);
+  }
+
+  return fields;
+}
+
+// "confirm" | "cancel" | null
+function parseConfirmation(text) {
+  const trimmed = String(text || "").trim();
+  if (CONFIRM_WORDS.test(trimmed)) return "confirm";
+  if (CANCEL_WORDS.test(trimmed)) return "cancel";
+  return null;
+}
+
+// A prompt that should leave the open draft alone and be answered normally
+function isNewRequest(text) {
+  const trimmed = String(text || "").trim();
+  if (OTHER_REQUEST.test(trimmed)) return true;
+  // "The subject is: what are my options?" still fills the draft
+  return OWNER_QUESTION.test(trimmed) && Object.keys(extractDraftFields(trimmed)).length === 0;
+}
+
+// Appended to other answers while a draft waits in the conversation
+function formatDraftReminder(draft) {
+  const recipient = draft.to ? ` to ${draft.to}` : "";
+  const next = draft.awaiting ? `give me the ${draft.awaiting === "to" ? "recipient" : draft.awaiting}` : `reply "send" to send it`;
+  return `📝 Your email${recipient} is still open: ${next}, or "cancel" to discard it.`;
+}
+
+function formatDraftPreview(draft) {
+  return [
+    "Here's the email draft:",
+    `To: ${draft.to}`,
+    ...(draft.cc ? [`CC: ${draft.cc}`] : []),
+    `Subject: ${draft.subject}`,
+    `Priority: ${draft.priority}`,
+    ...(draft.scheduleAt ? [`Send at: ${new Date(draft.scheduleAt).toLocaleString()}`] : []),
+    ...(draft.eventId ? ["Attachment: invite.ics"] : []),
+    "",
+    draft.body,
+    "",
+    `Reply "send" to ${draft.scheduleAt ? "schedule" : "send"} it, "cancel" to discard it, or tell me what to change.`
+  ].join("\n");
+}
+
+function promptForField(draft, field) {
+  const recipient = draft.to ? ` to ${draft.to}` : "";
+
+  switch (field) {
+    case "to":
+      return "I'd be happy to send an email. Who should I send it to? Please provide the recipient's email address.";
+    case "subject":
+      return `I'll send an email${recipient}. What should the subject line be?`;
+    case "body":
+      return `I'll send an email${recipient}. What would you like to say in the email?`;
+    default:
+      return formatDraftPreview(draft);
+  }
+}
+
+module.exports = {
+  isValidEmail,
+  extractDraftFields,
+  parseConfirmation,
+  isNewRequest,
+  formatDraftPreview,
+  formatDraftReminder,
+  promptForField
+};
@@ -0,0 +1,162 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { parseScheduleTime } = require("./schedule");
+
+const DRAFT_FIELDS = ["to", "cc", "subject", "body", "priority", "scheduleAt"];
+const REQUIRED_FIELDS = ["to", "subject", "body"];
+const PRIORITIES = ["low", "normal", "high"];
+
+class DraftStore {
+  constructor() {
+    this.drafts = Object.create(null);
+    this.DB_PATH = process.env.DRAFTS_DB_PATH || path.join(__dirname, "./drafts.json");
+  }
+
+  /* ---------------- DRAFTS ---------------- */
+
+  // `eventId`: calendar event the email invites to (its .ics is attached);
+  // `ownsEvent`: the event was booked for this email and goes if it is not sent
+  create({ sessionId = null, eventId = null, ownsEvent = false, ...fields } = {}) {
+    const now = new Date().toISOString();
+    const draft = {
+      id: `draft_${crypto.randomUUID()}`,
+      sessionId,
+      eventId,
+      ownsEvent,
+      to: null,
+      cc: null,
+      subject: null,
+      body: null,
+      priority: "normal",
+      scheduleAt: null,
+      status: "collecting",
+      awaiting: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.drafts[draft.id] = draft;
+    this.applyFields(draft, fields);
+    console.log(`📝 Draft created: ${draft.id}`);
+    return draft;
+  }
+
+  get(id) {
+    return this.drafts[id] || null;
+  }
+
+  // The open (not sent / cancelled) draft of a conversation, if any
+  getActiveForSession(sessionId) {
+    if (!sessionId) return null;
+
+    return Object.values(this.drafts)
+      .filter(d => d.sessionId === sessionId && this.isOpen(d))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0] || null;
+  }
+
+  list({ sessionId, status } = {}) {
+    return Object.values(this.drafts)
+      .filter(d => !sessionId || d.sessionId === sessionId)
+      .filter(d => !status || d.status === status)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  update(id, fields) {
+    const draft = this.get(id);
+    if (!draft) return null;
+
+    this.applyFields(draft, fields);
+    return draft;
+  }
+
+  setStatus(id, status, extra = {}) {
+    const draft = this.get(id);
+    if (!draft) return null;
+
+    Object.assign(draft, extra, { status, updatedAt: new Date().toISOString() });
+    this.saveToDisk();
+    return draft;
+  }
+
+  /* ---------------- FIELD HELPERS ---------------- */
+
+  applyFields(draft, fields = {}) {
+    for (const key of DRAFT_FIELDS) {
+      const value = fields[key];
+      if ((key === "cc" || key === "scheduleAt") && (value === null || value === "")) {
+        draft[key] = null;
+      } else if (key === "scheduleAt" && value !== undefined) {
+        // Stored as ISO; "tomorrow at 9am" is resolved now
+        const date = parseScheduleTime(value);
+        if (date) draft.scheduleAt = date.toISOString();
+      } else if (typeof value === "string" && value.trim() !== "") {
+        draft[key] = value.trim();
+      }
+    }
+
+    if (!PRIORITIES.includes(draft.priority)) {
+      draft.priority = "normal";
+    }
+
+    // Completed drafts wait for the user's confirmation before sending
+    const missing = this.missingFields(draft);
+    draft.awaiting = missing[0] || null;
+    if (this.isOpen(draft)) {
+      draft.status = missing.length === 0 ? "awaiting_confirmation" : "collecting";
+    }
+
+    draft.updatedAt = new Date().toISOString();
+    this.saveToDisk();
+  }
+
+  missingFields(draft) {
+    return REQUIRED_FIELDS.filter(field => !draft[field]);
+  }
+
+  isOpen(draft) {
+    return draft.status === "collecting" || draft.status === "awaiting_confirmation";
+  }
+
+  /* ---------------- PERSISTENCE ---------------- */
+
+  saveToDisk() {
+    fs.writeFileSync(this.DB_PATH, JSON.stringify(this.drafts, null, 2));
+  }
+
+  loadFromDisk() {
+    if (!fs.existsSync(this.DB_PATH)) {
+      return false;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.DB_PATH, "utf-8"));
+      if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return false;
+      }
+      this.drafts = Object.assign(Object.create(null), data);
+    } catch (error) {
+      console.error("❌ Failed to load drafts:", error.message);
+      return false;
+    }
+
+    console.log(`📂 Loaded ${Object.keys(this.drafts).length} email drafts from disk`);
+    return true;
+  }
+}
+
+const instance = new DraftStore();
+
+module.exports = {
+  DRAFT_FIELDS,
+  PRIORITIES,
+  create: fields => instance.create(fields),
+  get: id => instance.get(id),
+  getActiveForSession: sessionId => instance.getActiveForSession(sessionId),
+  list: filters => instance.list(filters),
+  update: (id, fields) => instance.update(id, fields),
+  setStatus: (id, status, extra) => instance.setStatus(id, status, extra),
+  missingFields: draft => instance.missingFields(draft),
+  isOpen: draft => instance.isOpen(draft),
+  loadFromDisk: () => instance.loadFromDisk()
+};
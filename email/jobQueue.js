@@ -0,0 +1,222 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/*
+ * Persistent queue of scheduled emails. Jobs are saved to disk on every
+ * change, so they survive restarts; a send that was cut off by a restart is
+ * retried. A failed send is retried with exponential backoff
+ * (RETRY_BASE_MS, 2x, 4x, ...) until MAX_ATTEMPTS, then the job fails.
+ * Failures the sender marks `permanent` (a bad recipient) fail at once.
+ *
+ * Job statuses: scheduled -> sending -> sent
+ *                                    -> retrying -> sending ... -> failed
+ *               scheduled / retrying -> cancelled
+ */
+
+const PENDING_STATUSES = ["scheduled", "retrying"];
+const JOB_STATUSES = ["scheduled", "sending", "retrying", "sent", "failed", "cancelled"];
+
+class JobQueue {
+  constructor() {
+    this.jobs = Object.create(null);
+    this.DB_PATH = process.env.EMAIL_JOBS_DB_PATH || path.join(__dirname, "./jobs.json");
+    this.maxAttempts = Number(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+    this.retryBaseMs = Number(process.env.EMAIL_RETRY_BASE_MS) || 60000;
+    this.retryMaxMs = 6 * 3600e3;
+    // async (job) => { success, error?, permanent?, messageId?, sentAt? }
+    this.sender = null;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /* ---------------- JOBS ---------------- */
+
+  // `draftId` / `taskId` link the job to the draft or task reminder it sends
+  schedule(email, { scheduleAt, draftId = null, taskId = null, sessionId = null } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: `job_${crypto.randomUUID()}`,
+      status: "scheduled",
+      email,
+      scheduleAt: new Date(scheduleAt).toISOString(),
+      nextAttemptAt: new Date(scheduleAt).toISOString(),
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      lastError: null,
+      draftId,
+      taskId,
+      sessionId,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs[job.id] = job;
+    this.saveToDisk();
+    console.log(`⏰ Email to ${email.to} scheduled for ${job.scheduleAt} (${job.id})`);
+    return job;
+  }
+
+  get(id) {
+    return this.jobs[id] || null;
+  }
+
+  list({ status } = {}) {
+    return Object.values(this.jobs)
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => a.scheduleAt.localeCompare(b.scheduleAt));
+  }
+
+  isPending(job) {
+    return PENDING_STATUSES.includes(job.status);
+  }
+
+  // Only jobs that have not been sent (or given up on) can be cancelled
+  cancel(id) {
+    const job = this.get(id);
+    if (!job || !this.isPending(job)) return null;
+
+    this.update(job, { status: "cancelled", nextAttemptAt: null });
+    console.log(`🚫 Scheduled email ${id} cancelled`);
+    return job;
+  }
+
+  update(job, fields) {
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+    this.saveToDisk();
+  }
+
+  /* ---------------- SENDING ---------------- */
+
+  setSender(sender) {
+    this.sender = sender;
+  }
+
+  backoff(attempts) {
+    return Math.min(this.retryBaseMs * 2 ** (attempts - 1), this.retryMaxMs);
+  }
+
+  // Sends every job that is due; runs never overlap
+  async processDue(now = new Date()) {
+    if (this.running) return this.running;
+
+    this.running = (async () => {
+      const due = this.list().filter(job => this.isPending(job) && new Date(job.nextAttemptAt) <= now);
+      const processed = [];
+
+      for (const job of due) {
+        processed.push(await this.send(job));
+      }
+      return processed;
+    })().finally(() => {
+      this.running = null;
+    });
+
+    return this.running;
+  }
+
+  async send(job) {
+    if (!this.sender) {
+      throw new Error("No email sender configured for the job queue");
+    }
+
+    this.update(job, { status: "sending", attempts: job.attempts + 1 });
+    console.log(`📤 Sending scheduled email ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    let result;
+    try {
+      result = await this.sender(job);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      this.update(job, {
+        status: "sent",
+        sentAt: result.sentAt || new Date().toISOString(),
+        messageId: result.messageId || null,
+        nextAttemptAt: null,
+        lastError: null
+      });
+      console.log(`✅ Scheduled email ${job.id} sent`);
+    } else if (!result.permanent && job.attempts < job.maxAttempts) {
+      const nextAttemptAt = new Date(Date.now() + this.backoff(job.attempts)).toISOString();
+      this.update(job, { status: "retrying", nextAttemptAt, lastError: result.error });
+      console.warn(`⚠️ Scheduled email ${job.id} failed (${result.error}) - retrying at ${nextAttemptAt}`);
+    } else {
+      this.update(job, { status: "failed", nextAttemptAt: null, lastError: result.error });
+      console.error(`❌ Scheduled email ${job.id} failed after ${job.attempts} attempts: ${result.error}`);
+    }
+    return job;
+  }
+
+  /* ---------------- TIMER ---------------- */
+
+  start({ intervalMs = Number(process.env.EMAIL_QUEUE_INTERVAL_MS) || 30000 } = {}) {
+    if (this.timer) return;
+
+    const tick = () => this.processDue().catch(error => {
+      console.error("❌ Email queue run failed:", error.message);
+    });
+    this.timer = setInterval(tick, intervalMs);
+    // The queue alone should not keep the process alive
+    this.timer.unref();
+    tick();
+    console.log(`⏰ Email queue started (every ${intervalMs / 1000}s, ${this.list().filter(job => this.isPending(job)).length} pending)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /* ---------------- PERSISTENCE ---------------- */
+
+  saveToDisk() {
+    fs.writeFileSync(this.DB_PATH, JSON.stringify(this.jobs, null, 2));
+  }
+
+  loadFromDisk() {
+    if (!fs.existsSync(this.DB_PATH)) {
+      return false;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.DB_PATH, "utf-8"));
+      if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return false;
+      }
+      this.jobs = Object.assign(Object.create(null), data);
+    } catch (error) {
+      console.error("❌ Failed to load email jobs:", error.message);
+      return false;
+    }
+
+    // A send interrupted by a restart may or may not have gone out; retry it
+    for (const job of Object.values(this.jobs)) {
+      if (job.status === "sending") {
+        job.status = job.attempts < job.maxAttempts ? "retrying" : "failed";
+        job.nextAttemptAt = job.status === "retrying" ? new Date().toISOString() : null;
+      }
+    }
+
+    console.log(`📂 Loaded ${Object.keys(this.jobs).length} email jobs from disk`);
+    return true;
+  }
+}
+
+const instance = new JobQueue();
+
+module.exports = {
+  JOB_STATUSES,
+  schedule: (email, options) => instance.schedule(email, options),
+  get: id => instance.get(id),
+  list: filters => instance.list(filters),
+  isPending: job => instance.isPending(job),
+  cancel: id => instance.cancel(id),
+  setSender: sender => instance.setSender(sender),
+  processDue: now => instance.processDue(now),
+  start: options => instance.start(options),
+  stop: () => instance.stop(),
+  loadFromDisk: () => instance.loadFromDisk()
+};
@@ -0,0 +1,130 @@
+// Send times for scheduled emails. Accepts ISO 8601 ("2026-10-20T09:00",
+// "2026-10-20 09:00"; no offset means server time) and the phrases people
+// and models tend to use:
+//   "in 2 hours", "in 30 minutes", "in a day"
+//   "tomorrow at 9am", "today at 17:30", "tonight", "tomorrow morning"
+//   "monday at 10", "next friday 2:30pm", "at 5pm" (today, or tomorrow once past)
+// A day without a time means DEFAULT_HOUR.
+
+const DEFAULT_HOUR = 9;
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const PARTS_OF_DAY = { morning: 9, noon: 12, afternoon: 14, evening: 18, tonight: 20, night: 20, midnight: 0 };
+const UNIT_MS = { minute: 60e3, min: 60e3, hour: 3600e3, hr: 3600e3, day: 86400e3, week: 604800e3 };
+
+const TIME = String.raw`(?:\d{1,2}(?::\d{2})?\s*(?:am|pm)|\d{1,2}:\d{2}|noon|midnight)`;
+const DAY = String.raw`(?:today|tonight|tomorrow|(?:next\s+)?(?:${WEEKDAYS.join("|")}))`;
+const PART = String.raw`(?:morning|afternoon|evening|night)`;
+const TIME_PHRASE = [
+  String.raw`in\s+(?:\d+|an?|one)\s+(?:minutes?|mins?|hours?|hrs?|days?|weeks?)`,
+  String.raw`\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2}(?::\d{2})?)?`,
+  String.raw`${DAY}(?:\s+${PART})?(?:\s+(?:at\s+)?${TIME})?`,
+  String.raw`(?:at\s+)?${TIME}(?:\s+(?:on\s+)?${DAY})?`
+].join("|");
+
+// "send it tomorrow at 9am", "schedule this for monday", "send email to a@b.com in 2 hours"
+const SEND_LATER = new RegExp(
+  String.raw`\b(?:send|schedule|deliver)(?:\s+(?:it|this|that|them|(?:the\s+)?(?:e-?mail|mail|message)))?(?:\s+to\s+\S+@\S+)?\s+(?:(?:for|on|at)\s+)?(${TIME_PHRASE})\b`,
+  "i"
+);
+
+/* ---------------- PARSING ---------------- */
+
+// "9am" / "17:30" / "noon" -> { hours, minutes }
+function parseTimeOfDay(text) {
+  const value = text.trim().toLowerCase();
+  if (PARTS_OF_DAY[value] !== undefined) return { hours: PARTS_OF_DAY[value], minutes: 0 };
+
+  const match = value.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3] === "pm" ? 12 : 0);
+  }
+  return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+}
+
+function atTime(day, { hours, minutes }) {
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+}
+
+function dayOffset(day, now) {
+  if (day === "today" || day === "tonight") return 0;
+  if (day === "tomorrow") return 1;
+
+  const weekday = WEEKDAYS.indexOf(day.replace(/^next\s+/, ""));
+  return (weekday - now.getDay() + 7) % 7 || 7;
+}
+
+/**
+ * A send time -> Date, or null when it cannot be understood. Relative
+ * phrases are resolved against `now`.
+ */
+function parseScheduleTime(value, now = new Date()) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value !== "string" || !value.trim()) return null;
+
+  const text = value.trim().toLowerCase().replace(/^(?:at|on|for)\s+/, "").replace(/[.!]+$/, "");
+
+  const relative = text.match(/^in\s+(\d+|an?|one)\s+(minute|min|hour|hr|day|week)s?$/);
+  if (relative) {
+    const amount = /^\d+$/.test(relative[1]) ? Number(relative[1]) : 1;
+    return new Date(now.getTime() + amount * UNIT_MS[relative[2]]);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const [year, month, day] = text.split("-").map(Number);
+    return new Date(year, month - 1, day, DEFAULT_HOUR);
+  }
+  if (/^\d{4}-\d{2}-\d{2}[ t]\d{2}:\d{2}/.test(text)) {
+    const date = new Date(value.trim().replace(" ", "T"));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  // "9am tomorrow", "at 5pm on friday" -> "tomorrow 9am"
+  const timeFirst = text.match(new RegExp(String.raw`^(${TIME})\s+(?:on\s+)?(${DAY})$`));
+  const phrase = timeFirst ? `${timeFirst[2]} ${timeFirst[1]}` : text;
+
+  const dayMatch = phrase.match(new RegExp(String.raw`^(${DAY})(?:\s+(${PART}))?(?:\s+(?:at\s+)?(.+))?$`));
+  if (dayMatch) {
+    const [, day, part, rest] = dayMatch;
+    const time = rest
+      ? parseTimeOfDay(rest)
+      : { hours: PARTS_OF_DAY[part || day] ?? DEFAULT_HOUR, minutes: 0 };
+    if (!time) return null;
+
+    const date = new Date(now);
+    date.setDate(date.getDate() + dayOffset(day, now));
+    // "tomorrow evening at 7" means 19:00
+    if (rest && part && part !== "morning" && time.hours < 12) time.hours += 12;
+    return atTime(date, time);
+  }
+
+  const time = parseTimeOfDay(phrase);
+  if (time) {
+    const date = atTime(now, time);
+    if (date <= now) date.setDate(date.getDate() + 1);
+    return date;
+  }
+
+  return null;
+}
+
+// The send-later phrase of a message ("send it tomorrow at 9am"), or null
+function findScheduleTime(text, now = new Date()) {
+  const match = String(text || "").match(SEND_LATER);
+  if (!match) return null;
+
+  const date = parseScheduleTime(match[1], now);
+  return date ? { phrase: match[1], date } : null;
+}
+
+module.exports = {
+  DEFAULT_HOUR,
+  parseScheduleTime,
+  findScheduleTime
+};
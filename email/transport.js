@@ -0,0 +1,31 @@
+const nodemailer = require("nodemailer");
+
+let transportOverride = null;
+
+// ========== EMAIL CONFIGURATION ==========
+// Create email transporter
+const createTransporter = () => {
+  if (transportOverride) {
+    return transportOverride;
+  }
+
+  const emailConfig = {
+    service: process.env.EMAIL_SERVICE || 'gmail',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASSWORD,
+    }
+  };
+  
+  return nodemailer.createTransport(emailConfig);
+};
+
+// Replace the SMTP transport (e.g. a stub in tests); null restores the default
+const setTransporter = transport => {
+  transportOverride = transport;
+};
+
+module.exports = {
+  createTransporter,
+  setTransporter
+};
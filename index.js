@@ -1,16 +1,47 @@
 const express = require("express");
-const Groq = require("groq-sdk");
 const nodemailer = require("nodemailer");
 require("dotenv").config();
 
 const cors = require("cors");
 const vectorStore = require("./rag/vectorStore");
-const loadOwnerData = require("./rag/loader");
-const chunkDocuments = require("./rag/embed");
-const { initEmbedder, buildVectorStore, search, loadFromDisk, getStats } = require("./rag/vectorStore");
+const { search, getStats } = require("./rag/vectorStore");
+const indexer = require("./rag/indexer");
+const { reciprocalRankFusion } = require("./rag/fusion");
+const reranker = require("./rag/reranker");
+const { evaluate } = require("./rag/evaluate");
+const sessionStore = require("./sessions/sessionStore");
+const draftStore = require("./email/draftStore");
+const jobQueue = require("./email/jobQueue");
+const { parseScheduleTime } = require("./email/schedule");
+const noteStore = require("./notes/noteStore");
+const taskStore = require("./tasks/taskStore");
+const calendarStore = require("./calendar/calendarStore");
+const { generateICS, fromICS } = require("./calendar/ics");
+const profileStore = require("./profile/profileStore");
+const { NOTE_FORMATS, detectFormat, parseNote } = require("./notes/noteParser");
+const { isValidEmail, extractDraftFields, parseConfirmation, isNewRequest, formatDraftPreview, formatDraftReminder, promptForField } = require("./email/draftParser");
+const {
+  buildToolDefinitions,
+  formatToolListing
+} = require("./llm/toolCalls");
+const { runAgent, DEFAULT_MAX_STEPS } = require("./llm/agent");
+const { openEventStream, wantsEventStream } = require("./llm/stream");
+const { buildPassages, formatPassages, validateCitations, toSources } = require("./llm/citations");
+const { REWRITE_MODES, rewriteQuery } = require("./llm/queryRewrite");
+const llm = require("./llm/providers");
+const { createTransporter } = require("./email/transport");
+const { calculate } = require("./math/calculator");
+const { translateExpression, parseMathRequest } = require("./math/naturalLanguage");
+
+// Uploaded notes and tasks are indexed with the data sources, in the "notes" collection
+indexer.registerSource("notes", () => noteStore.toDocuments(), { collection: "notes" });
+indexer.registerSource("tasks", () => taskStore.toDocuments(), { collection: "notes" });
 
 const app = express();
-app.use(express.json());
+// Notes may carry base64-encoded PDFs. PATCH /profile/:section parses its
+// own body (non-strict), so it is skipped here.
+const isProfilePatch = req => req.method === "PATCH" && req.path.startsWith("/profile/");
+app.use(express.json({ limit: "10mb", type: req => !!req.is("application/json") && !isProfilePatch(req) }));
 
 app.use(
   cors({
@@ -19,29 +50,21 @@ app.use(
   })
 );
 
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
-
-// ========== EMAIL CONFIGURATION ==========
-// Create email transporter
-const createTransporter = () => {
-  const emailConfig = {
-    service: process.env.EMAIL_SERVICE || 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASSWORD,
-    }
-  };
-  
-  return nodemailer.createTransport(emailConfig);
-};
+// "vector", "keyword" or "hybrid" (BM25 + embeddings)
+const RAG_SEARCH_MODE = process.env.RAG_SEARCH_MODE || "hybrid";
+// Query rewriting before retrieval: "off", "rewrite" or "multi" (llm/queryRewrite.js)
+const RAG_QUERY_REWRITE = process.env.RAG_QUERY_REWRITE || "off";
+// Cross-encoder re-ranking of the top RAG_RERANK_CANDIDATES chunks (rag/reranker.js)
+const RAG_RERANK = process.env.RAG_RERANK === "true";
+const RAG_RERANK_CANDIDATES = Number(process.env.RAG_RERANK_CANDIDATES) || 10;
+// Chunks that make it into the context
+const RAG_TOP_K = 3;
 
 // 🔧 IMPROVED Server-side Tools Registry
 const serverTools = {
   searchNotes: {
     name: "search_notes",
-    description: "Search through owner's personal notes and documents",
+    description: "Search through owner's personal notes, documents and tasks",
     parameters: {
       type: "object",
       properties: {
@@ -53,21 +76,55 @@ const serverTools = {
           type: "number",
           description: "Maximum number of results to return",
           default: 3
+        },
+        fields: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only search these data fields (e.g. \"education\", \"family\", \"hobbies\"); omit to search everything"
+        },
+        collection: {
+          type: "string",
+          description: "Only search this collection (e.g. \"default\" for the profile, \"notes\" for uploaded notes); omit to search all"
         }
       },
       required: ["query"]
     },
-    execute: async ({ query, maxResults = 3 }) => {
-      console.log(`🔍 Searching notes for: "${query}"`);
-      const results = await search(query, { topK: maxResults });
+    execute: async ({ query, maxResults = 3, fields, collection }) => {
+      // Models sometimes send a single field as a plain string
+      const fieldList = typeof fields === "string" ? [fields] : fields;
+      if (collection !== undefined && !vectorStore.listCollections().includes(collection)) {
+        return {
+          found: 0,
+          notes: [],
+          error: `Unknown collection "${collection}". Available: ${vectorStore.listCollections().join(", ")}`
+        };
+      }
+
+      console.log(`🔍 Searching notes for: "${query}"${fieldList?.length ? ` in ${fieldList.join(", ")}` : ""}${collection ? ` (${collection})` : ""}`);
+      const results = await search(query, { topK: maxResults, fields: fieldList, mode: RAG_SEARCH_MODE, collection });
       return {
         found: results.length,
         notes: results.map(r => ({
           content: r.content.length > 150 ? r.content.substring(0, 150) + "..." : r.content,
           relevance: r.score ? r.score.toFixed(2) : "N/A",
-          source: r.metadata?.field || "unknown"
+          field: r.metadata?.field || "general",
+          source: r.metadata?.source || "unknown",
+          collection: r.collection,
+          path: r.metadata?.path || null,
+          parentId: r.metadata?.parentId || null,
+          tags: r.metadata?.tags || [],
+          updatedAt: r.metadata?.updatedAt || null,
+          ...(r.metadata?.taskId ? { taskId: r.metadata.taskId } : {})
         }))
       };
+    },
+    formatResult: (result) => {
+      if (result.found === 0) {
+        return "I couldn't find any relevant information in my personal notes.";
+      }
+      return `I found ${result.found} relevant items:\n` + result.notes.map((n, i) => 
+        `${i + 1}. ${n.content} (${n.field}, relevance: ${n.relevance})`
+      ).join('\n');
     }
   },
 
@@ -79,7 +136,8 @@ const serverTools = {
       properties: {
         dataType: {
           type: "string",
-          enum: ["personal_info", "skills", "hobbies", "work_experience", "education", "all", "about"],
+          // "about" and "all" plus every section of the profile schema
+          enum: ["about", "all", ...profileStore.PROFILE_SECTIONS],
           description: "Type of profile data to fetch"
         }
       },
@@ -88,7 +146,7 @@ const serverTools = {
     execute: async ({ dataType = "about" }) => {
       console.log(`📊 Fetching profile data: ${dataType}`);
       try {
-        const ownerData = require("./data/owner_profile.json");
+        const ownerData = profileStore.get();
         
         if (dataType === "all") {
           return {
@@ -99,22 +157,21 @@ const serverTools = {
           };
         } else if (dataType === "about") {
           // Create a friendly "about me" response
-          const personalInfo = ownerData.personal_info || {};
-          const skills = ownerData.skills || [];
-          const hobbies = ownerData.hobbies || [];
+          const personal = ownerData.personal || {};
+          const skills = Object.values(ownerData.skills || {}).flatMap(s => s.list || []);
+          const hobbies = ownerData.hobbies?.list || [];
+          const degrees = (ownerData.education || []).map(e => e.degree);
           
-          const aboutText = `Hello! I'm ${personalInfo.name || "your personal assistant"}. ${
-            personalInfo.title ? `I'm a ${personalInfo.title}. ` : ""
-          }${
-            personalInfo.location ? `Based in ${personalInfo.location}. ` : ""
+          const aboutText = `Hello! I'm ${personal.name || "your personal assistant"}. ${
+            ownerData.profileSummary ? `${ownerData.profileSummary} ` : ""
           }${
             skills.length > 0 ? `My skills include: ${skills.join(", ")}. ` : ""
           }${
-            hobbies.length > 0 ? `In my free time, I enjoy ${hobbies.join(", ")}. ` : ""
+            hobbies.length > 0 ? `In my free time, I enjoy ${hobbies.join(", ").toLowerCase()}. ` : ""
           }${
-            ownerData.work_experience ? `Professionally, ${ownerData.work_experience}. ` : ""
+            degrees.length > 0 ? `Education: ${degrees.join(", ")}. ` : ""
           }${
-            ownerData.education ? `Education: ${ownerData.education}. ` : ""
+            ownerData.goals?.career ? `My career goal: ${ownerData.goals.career}. ` : ""
           }`;
           
           return {
@@ -139,54 +196,49 @@ const serverTools = {
           timestamp: new Date().toISOString()
         };
       }
+    },
+    formatResult: (result, args = {}) => {
+      if (!result.data) {
+        return "I couldn't retrieve the profile information.";
+      }
+      if (typeof result.data === 'string') {
+        return result.data;
+      }
+      return `Here's information about ${String(args.dataType || result.dataType).replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()}:\n${JSON.stringify(result.data, null, 2)}`;
     }
   },
 
   calculate: {
     name: "calculate",
-    description: "Perform mathematical calculations",
+    description: "Evaluate math with mathjs: arithmetic, functions (sqrt, sin, log, det...), powers (2^10), percentages (15% of 200), unit conversions (5 km to miles), matrices ([1,2;3,4] * 2) and variables that persist in the session (x = 5, then x * 3). Plain-English math such as 'twelve plus seven' is translated first",
     parameters: {
       type: "object",
       properties: {
         expression: {
           type: "string",
-          description: "Mathematical expression to evaluate"
+          description: "mathjs expression or plain-English math; separate several statements with ';'"
         }
       },
       required: ["expression"]
     },
-    execute: async ({ expression }) => {
-      console.log(`🧮 Calculating: ${expression}`);
-      
-      try {
-        // Safe evaluation without external library
-        const safeEval = (expr) => {
-          // Remove any non-math characters for safety
-          const cleanExpr = expr.replace(/[^0-9+\-*/().\s]/g, '');
-          try {
-            // eslint-disable-next-line no-new-func
-            return Function(`"use strict"; return (${cleanExpr})`)();
-          } catch (e) {
-            throw new Error("Invalid expression");
-          }
-        };
+    execute: async ({ expression }, { sessionId } = {}) => {
+      // "twelve plus seven" -> "12 + 7"; the original is echoed as `input`
+      const translated = typeof expression === "string" ? translateExpression(expression) : expression;
+      console.log(`🧮 Calculating: ${translated}${translated !== expression ? ` (from "${expression}")` : ""}`);
 
-        const result = safeEval(expression);
-        return {
-          expression,
-          result: result.toString(),
-          formatted: `${expression} = ${result}`,
-          type: typeof result
-        };
-      } catch (error) {
-        console.error("Calculation error:", error);
-        return {
-          error: "Invalid mathematical expression",
-          details: error.message,
-          suggestion: "Please provide a valid math expression like '23 + 4' or '5 * 10'"
-        };
+      const { result, variables } = calculate(translated, {
+        variables: sessionId ? sessionStore.getVariables(sessionId) : {}
+      });
+      if (result.error) {
+        console.warn(`⚠️ Calculation failed (${result.code}): ${result.details}`);
+      } else if (sessionId && variables) {
+        sessionStore.setVariables(sessionId, variables);
       }
-    }
+      return translated !== expression ? { ...result, input: expression } : result;
+    },
+    formatResult: (result) => result.error
+      ? `${result.error}: ${result.details}`
+      : result.formatted || `${result.expression} = ${result.result}`
   },
 
   getCurrentTime: {
@@ -225,7 +277,8 @@ const serverTools = {
           message: `${now.toLocaleString()} (ISO: ${now.toISOString()})`
         };
       }
-    }
+    },
+    formatResult: (result) => result.message || `Current time: ${result.readable || result.timestamp}`
   },
   sendEmail: {
     name: "send_email",
@@ -258,11 +311,21 @@ const serverTools = {
           enum: ["low", "normal", "high"],
           default: "normal",
           description: "Email priority"
+        },
+        scheduleAt: {
+          type: "string",
+          description: "Send later instead of now: ISO 8601 date-time (2026-10-20T09:00) or a phrase like 'tomorrow at 9am' or 'in 2 hours' (optional)"
         }
       },
       required: ["to", "subject", "body"]
     },
-    execute: async ({ to, subject, body, cc, bcc, priority = "normal" }) => {
+    // `attachments` (nodemailer attachment objects) is for server code such as
+    // meeting invitations; it is not part of the schema the model sees
+    execute: async ({ to, subject, body, cc, bcc, priority = "normal", scheduleAt, attachments }, { sessionId } = {}) => {
+      if (scheduleAt) {
+        return scheduleEmail({ to, subject, body, cc, bcc, priority, attachments }, { scheduleAt, sessionId });
+      }
+
       console.log(`📧 Sending email to: ${to}`);
       console.log(`📝 Subject: ${subject}`);
       
@@ -274,7 +337,10 @@ const serverTools = {
         };
 
         if (!validateEmail(to)) {
-          throw new Error(`Invalid recipient email: ${to}`);
+          const error = new Error(`Invalid recipient email: ${to}`);
+          // Retrying cannot fix the address
+          error.permanent = true;
+          throw error;
         }
 
         // Create email transporter
@@ -351,6 +417,10 @@ const serverTools = {
           }
         }
 
+        if (attachments?.length) {
+          mailOptions.attachments = attachments;
+        }
+
         // Send email
         const info = await transporter.sendMail(mailOptions);
         
@@ -383,15 +453,74 @@ const serverTools = {
         return {
           success: false,
           error: errorMessage,
+          permanent: !!error.permanent || error.code === 'EENVELOPE',
           details: error.toString(),
           suggestion: "Make sure EMAIL_USER and EMAIL_PASSWORD are correctly set in your .env file"
         };
       }
+    },
+    formatResult: (result) => {
+      if (result.scheduled) {
+        return `⏰ Email to ${result.to} scheduled for ${new Date(result.scheduleAt).toLocaleString()}\nSubject: "${result.subject}"\nJob ID: ${result.jobId}`;
+      }
+      if (result.success) {
+        return `✅ Email sent successfully to ${result.to}!\nSubject: "${result.subject}"\nMessage ID: ${result.messageId}`;
+      }
+      return `❌ Failed to send email: ${result.error}` +
+        (result.suggestion ? `\nSuggestion: ${result.suggestion}` : "");
     }
   },
 };
 
 // ========== EMAIL TEMPLATE TOOL ==========
+// A meeting with a usable date is booked in the calendar (unless it
+// clashes) and the invitation carries it as an .ics attachment.
+// -> saveEvent's result, or null when there is nothing to book
+function bookTemplateMeeting({ to, template, recipientName, customSubject, customMessage, date }, { sessionId } = {}) {
+  if (!(template === "meeting" && date && parseScheduleTime(date) && isValidEmail(to || ""))) return null;
+
+  return saveEvent({
+    title: customSubject || `Meeting with ${recipientName}`,
+    start: date,
+    description: customMessage,
+    attendees: [to]
+  }, { sessionId });
+}
+
+// -> { subject, body } of a template email; `meeting` is the booked event, if any
+function renderEmailTemplate({ template, recipientName, customSubject, customMessage, date }, meeting = null) {
+  const meetingDate = meeting ? formatEventTime(meeting) : date;
+
+  const templates = {
+    meeting: {
+      subject: `Meeting Invitation - ${meetingDate || 'TBD'}`,
+      body: `Hello ${recipientName},\n\nI would like to schedule a meeting with you on ${meetingDate || 'a suitable time'}.\n\nPlease let me know your availability.\n\nBest regards,\n${process.env.EMAIL_SENDER_NAME || 'Your Name'}`
+    },
+    reminder: {
+      subject: `Reminder: Important Update`,
+      body: `Hi ${recipientName},\n\nThis is a friendly reminder about our upcoming discussion.\n\n${date ? `Scheduled for: ${date}\n\n` : ''}Looking forward to connecting with you.\n\nBest,\n${process.env.EMAIL_SENDER_NAME || 'Your Name'}`
+    },
+    followup: {
+      subject: `Follow-up on Our Conversation`,
+      body: `Dear ${recipientName},\n\nI'm following up on our recent conversation. Please let me know if you have any updates or questions.\n\nThank you,\n${process.env.EMAIL_SENDER_NAME || 'Your Name'}`
+    },
+    thankyou: {
+      subject: `Thank You!`,
+      body: `Dear ${recipientName},\n\nThank you for your time and consideration. I appreciate our conversation.\n\nWarm regards,\n${process.env.EMAIL_SENDER_NAME || 'Your Name'}`
+    }
+  };
+
+  const selectedTemplate = templates[template] || {
+    subject: customSubject || `Message from ${process.env.EMAIL_SENDER_NAME || 'Your Name'}`,
+    body: customMessage || `Hello ${recipientName},\n\n${customMessage || 'I wanted to reach out to you.'}\n\nBest regards,\n${process.env.EMAIL_SENDER_NAME || 'Your Name'}`
+  };
+
+  return {
+    subject: customSubject || selectedTemplate.subject,
+    body: selectedTemplate.body + (customMessage ? `\n\nAdditional Note:\n${customMessage}` : '')
+  };
+}
+
 serverTools.sendEmailTemplate = {
   name: "send_email_template",
   description: "Send an email using a predefined template",
@@ -422,45 +551,43 @@ serverTools.sendEmailTemplate = {
       date: {
         type: "string",
         description: "Date for meeting/reminder (format: YYYY-MM-DD HH:MM)"
+      },
+      scheduleAt: {
+        type: "string",
+        description: "Send later instead of now: ISO 8601 date-time or a phrase like 'tomorrow at 9am' (optional)"
       }
     },
     required: ["to", "template", "recipientName"]
   },
-  execute: async ({ to, template, recipientName, customSubject, customMessage, date }) => {
+  execute: async ({ scheduleAt, ...args }, context) => {
+    const { to, template } = args;
     console.log(`📧 Sending ${template} template email to: ${to}`);
-    
-    const templates = {
-      meeting: {
-        subject: `Meeting Invitation - ${date || 'TBD'}`,
-        body: `Hello ${recipientName},\n\nI would like to schedule a meeting with you on ${date || 'a suitable time'}.\n\nPlease let me know your availability.\n\nBest regards,\n${process.env.EMAIL_SENDER_NAME || 'Your Name'}`
-      },
-      reminder: {
-        subject: `Reminder: Important Update`,
-        body: `Hi ${recipientName},\n\nThis is a friendly reminder about our upcoming discussion.\n\n${date ? `Scheduled for: ${date}\n\n` : ''}Looking forward to connecting with you.\n\nBest,\n${process.env.EMAIL_SENDER_NAME || 'Your Name'}`
-      },
-      followup: {
-        subject: `Follow-up on Our Conversation`,
-        body: `Dear ${recipientName},\n\nI'm following up on our recent conversation. Please let me know if you have any updates or questions.\n\nThank you,\n${process.env.EMAIL_SENDER_NAME || 'Your Name'}`
-      },
-      thankyou: {
-        subject: `Thank You!`,
-        body: `Dear ${recipientName},\n\nThank you for your time and consideration. I appreciate our conversation.\n\nWarm regards,\n${process.env.EMAIL_SENDER_NAME || 'Your Name'}`
-      }
-    };
 
-    const selectedTemplate = templates[template] || {
-      subject: customSubject || `Message from ${process.env.EMAIL_SENDER_NAME || 'Your Name'}`,
-      body: customMessage || `Hello ${recipientName},\n\n${customMessage || 'I wanted to reach out to you.'}\n\nBest regards,\n${process.env.EMAIL_SENDER_NAME || 'Your Name'}`
-    };
+    const booked = bookTemplateMeeting(args, context);
+    if (booked?.errors) return { success: false, error: booked.errors.join("; ") };
+    if (booked?.conflicts) return conflictResult(booked);
+    const meeting = booked?.event || null;
 
     // Use the main sendEmail tool
-    return await serverTools.sendEmail.execute({
+    const result = await serverTools.sendEmail.execute({
       to: to,
-      subject: customSubject || selectedTemplate.subject,
-      body: selectedTemplate.body + (customMessage ? `\n\nAdditional Note:\n${customMessage}` : ''),
-      priority: 'normal'
-    });
-  }
+      ...renderEmailTemplate(args, meeting),
+      priority: 'normal',
+      scheduleAt,
+      attachments: meeting ? [inviteAttachment(meeting)] : undefined
+    }, context);
+
+    if (meeting) {
+      // Without an invitation there is no meeting to keep
+      if (!result.success) calendarStore.delete(meeting.id);
+      else result.event = meeting;
+    }
+    return result;
+  },
+  formatResult: (result) => result.conflict
+    ? serverTools.createEvent.formatResult(result)
+    : serverTools.sendEmail.formatResult(result) +
+      (result.event ? `\n📅 Added to the calendar: ${describeEvent(result.event)}` : "")
 };
 
 // ========== EMAIL VALIDATION TOOL ==========
@@ -506,19 +633,549 @@ serverTools.validateEmail = {
         'Email format is valid. You can proceed to send.' : 
         'Please check the email address format (should be user@domain.com)'
     };
+  },
+  formatResult: (result) => result.isValid ? 
+    `✅ Email "${result.email}" is valid.` : 
+    `❌ Email "${result.email}" is invalid. ${result.suggestion}`
+};
+
+// ========== TASKS & REMINDERS ==========
+// Tasks live in tasks/taskStore.js and are indexed into the "notes"
+// collection, so search_notes finds them too. Reminders are emails to the
+// owner queued in the email job queue, sent when they are due.
+const REMINDER_EMAIL = process.env.REMINDER_EMAIL || process.env.EMAIL_USER || null;
+
+function buildReminderEmail(task, to) {
+  return {
+    to,
+    subject: `⏰ Reminder: ${task.title}`,
+    body: [
+      `Reminder: ${task.title}`,
+      ...(task.dueAt ? [`Due: ${new Date(task.dueAt).toLocaleString()}`] : []),
+      ...(task.notes ? ["", task.notes] : [])
+    ].join("\n"),
+    priority: task.priority
+  };
+}
+
+// Replaces the task's pending reminder; remindAt null only removes it
+function scheduleReminder(task, remindAt, email) {
+  if (task.reminder?.jobId && jobQueue.cancel(task.reminder.jobId)) {
+    taskStore.setReminder(task.id, { status: "cancelled" });
+  }
+  if (remindAt === null) {
+    return taskStore.setReminder(task.id, null);
+  }
+
+  const job = jobQueue.schedule(buildReminderEmail(task, email), { scheduleAt: remindAt, taskId: task.id, sessionId: task.sessionId });
+  return taskStore.setReminder(task.id, { remindAt: job.scheduleAt, email, jobId: job.id, status: "pending" });
+}
+
+// Parses a natural-language time field; null / "" clear it. -> { value } or { error }
+function parseTaskTime(value, name, { future = false } = {}) {
+  if (value === undefined) return {};
+  if (value === null || value === "") return { value: null };
+
+  const date = parseScheduleTime(value);
+  if (!date) return { error: `Could not understand ${name} "${value}"` };
+  if (future && date <= new Date()) return { error: `${name} ${date.toLocaleString()} is in the past` };
+  return { value: date };
+}
+
+/**
+ * Validated create (no `task`) or update shared by the task tools and the
+ * /tasks routes. `due` and `remindAt` accept ISO or phrases like "friday at
+ * 5pm". Returns { task } or { errors }.
+ */
+function saveTask(input = {}, { task = null, sessionId = null } = {}) {
+  const errors = taskStore.validate(input, { partial: !!task });
+  const due = parseTaskTime(input.due, "due date");
+  const remind = parseTaskTime(input.remindAt, "reminder time", { future: true });
+  const email = input.reminderEmail ?? task?.reminder?.email ?? REMINDER_EMAIL;
+
+  if (due.error) errors.push(due.error);
+  if (remind.error) errors.push(remind.error);
+  if (remind.value && !(email && isValidEmail(email))) {
+    errors.push(email
+      ? `Invalid reminder email: ${email}`
+      : "No reminder recipient: set REMINDER_EMAIL (or EMAIL_USER) or pass reminderEmail");
+  }
+  if (errors.length > 0) return { errors };
+
+  const fields = {
+    ...(input.title !== undefined ? { title: input.title.trim() } : {}),
+    ...(input.notes !== undefined ? { notes: input.notes?.trim() || null } : {}),
+    ...(input.priority !== undefined ? { priority: input.priority } : {}),
+    ...(input.tags !== undefined ? { tags: input.tags } : {}),
+    ...(input.status !== undefined ? { status: input.status } : {}),
+    ...(due.value !== undefined ? { dueAt: due.value && due.value.toISOString() } : {})
+  };
+  let saved = task ? taskStore.update(task.id, fields) : taskStore.create({ ...fields, sessionId });
+
+  if (remind.value !== undefined) {
+    saved = scheduleReminder(saved, remind.value, email);
+  } else if (saved.status === "done" && saved.reminder?.status === "pending") {
+    // Finished tasks need no reminder
+    saved = scheduleReminder(saved, null);
+  }
+  return { task: saved };
+}
+
+function deleteTask(task) {
+  if (task.reminder?.jobId) jobQueue.cancel(task.reminder.jobId);
+  return taskStore.delete(task.id);
+}
+
+// Task changes are re-indexed for search_notes; a failure only costs search freshness
+async function refreshTaskIndex() {
+  try {
+    await indexer.reindex();
+  } catch (error) {
+    console.error("❌ Re-indexing tasks failed:", error.message);
+  }
+}
+
+// -> { task } or a tool error result
+function findTaskForTool(ref) {
+  const { task, error, matches } = taskStore.find(ref);
+  if (task) return { task };
+
+  return {
+    success: false,
+    error: error === "ambiguous"
+      ? `Several tasks match "${ref}": ${matches.map(t => `"${t.title}" (${t.id})`).join(", ")}`
+      : `No task matches "${ref}"`
+  };
+}
+
+function describeTask(task) {
+  return [
+    `${task.status === "done" ? "☑" : "☐"} ${task.title}`,
+    ...(task.dueAt ? [`due ${new Date(task.dueAt).toLocaleString()}`] : []),
+    ...(task.priority !== "normal" ? [`${task.priority} priority`] : []),
+    ...(task.reminder?.status === "pending" ? [`reminder ${new Date(task.reminder.remindAt).toLocaleString()}`] : [])
+  ].join(" - ");
+}
+
+serverTools.createTask = {
+  name: "create_task",
+  description: "Add a task to the owner's to-do list, optionally with a due date and a reminder email",
+  parameters: {
+    type: "object",
+    properties: {
+      title: { type: "string", description: "What needs to be done" },
+      due: { type: "string", description: "Due date: ISO 8601 or a phrase like 'friday at 5pm' or 'tomorrow' (optional)" },
+      notes: { type: "string", description: "Details (optional)" },
+      priority: { type: "string", enum: taskStore.PRIORITIES, default: "normal" },
+      tags: { type: "array", items: { type: "string" }, description: "Tags (optional)" },
+      remindAt: { type: "string", description: "When to send a reminder email: ISO 8601 or a phrase like 'in 2 hours' (optional)" }
+    },
+    required: ["title"]
+  },
+  execute: async ({ title, due, notes, priority, tags, remindAt }, { sessionId } = {}) => {
+    console.log(`🗒️ Creating task: ${title}`);
+    const { task, errors } = saveTask({ title, due, notes, priority, tags, remindAt }, { sessionId });
+    if (errors) return { success: false, error: errors.join("; ") };
+
+    await refreshTaskIndex();
+    return { success: true, task, message: `Task added: ${task.title}` };
+  },
+  formatResult: (result) => result.success
+    ? `✅ Task added: ${describeTask(result.task)}`
+    : `❌ Could not add the task: ${result.error}`
+};
+
+serverTools.listTasks = {
+  name: "list_tasks",
+  description: "List the owner's tasks and reminders",
+  parameters: {
+    type: "object",
+    properties: {
+      status: { type: "string", enum: ["open", "done", "all"], default: "open" },
+      due: { type: "string", enum: taskStore.DUE_FILTERS, description: "Only open tasks that are overdue or due today / within a week (optional)" },
+      query: { type: "string", description: "Only tasks whose title, notes or tags contain this text (optional)" }
+    }
+  },
+  execute: async ({ status = "open", due, query } = {}) => {
+    console.log(`📋 Listing ${status} tasks${due ? ` (${due})` : ""}`);
+    const tasks = taskStore.list({
+      status: status === "all" ? undefined : status,
+      due: taskStore.DUE_FILTERS.includes(due) ? due : undefined,
+      query
+    });
+    return { count: tasks.length, tasks };
+  },
+  formatResult: (result) => result.count === 0
+    ? "You have no matching tasks."
+    : `You have ${result.count} task${result.count === 1 ? "" : "s"}:\n` +
+      result.tasks.map((task, i) => `${i + 1}. ${describeTask(task)}`).join("\n")
+};
+
+serverTools.completeTask = {
+  name: "complete_task",
+  description: "Mark a task as done (cancels its pending reminder)",
+  parameters: {
+    type: "object",
+    properties: {
+      task: { type: "string", description: "Task id, or its title" }
+    },
+    required: ["task"]
+  },
+  execute: async ({ task: ref }) => {
+    console.log(`☑️ Completing task: ${ref}`);
+    const found = findTaskForTool(ref);
+    if (!found.task) return found;
+
+    const { task } = saveTask({ status: "done" }, { task: found.task });
+    await refreshTaskIndex();
+    return { success: true, task, message: `Completed: ${task.title}` };
+  },
+  formatResult: (result) => result.success
+    ? `☑️ Done: ${result.task.title}`
+    : `❌ ${result.error}`
+};
+
+serverTools.setReminder = {
+  name: "set_reminder",
+  description: "Email the owner a reminder at a given time, about an existing task or a new one",
+  parameters: {
+    type: "object",
+    properties: {
+      remindAt: { type: "string", description: "When to remind: ISO 8601 or a phrase like 'tomorrow at 9am' or 'in 30 minutes'" },
+      task: { type: "string", description: "Id or title of an existing task (optional)" },
+      text: { type: "string", description: "What to be reminded of, when there is no existing task" },
+      email: { type: "string", description: "Send the reminder to this address instead of the owner (optional)" }
+    },
+    required: ["remindAt"]
+  },
+  execute: async ({ remindAt, task: ref, text, email }, { sessionId } = {}) => {
+    console.log(`⏰ Setting reminder: ${ref || text} at ${remindAt}`);
+    if (!remindAt) {
+      return { success: false, error: "remindAt is required" };
+    }
+
+    let existing = null;
+    if (ref) {
+      const found = findTaskForTool(ref);
+      if (!found.task) return found;
+      existing = found.task;
+    } else if (!text) {
+      return { success: false, error: "Pass the task to remind about, or the reminder text" };
+    }
+
+    const { task, errors } = existing
+      ? saveTask({ remindAt, reminderEmail: email }, { task: existing })
+      : saveTask({ title: text, remindAt, reminderEmail: email }, { sessionId });
+    if (errors) return { success: false, error: errors.join("; ") };
+
+    await refreshTaskIndex();
+    return {
+      success: true,
+      task,
+      remindAt: task.reminder.remindAt,
+      message: `Reminder set for ${new Date(task.reminder.remindAt).toLocaleString()}: ${task.title}`
+    };
+  },
+  formatResult: (result) => result.success
+    ? `⏰ ${result.message}`
+    : `❌ Could not set the reminder: ${result.error}`
+};
+
+// ========== CALENDAR ==========
+// Events live in calendar/calendarStore.js, in server time. A new event is
+// checked against the calendar first: a clash is reported with the next free
+// slot and only booked when forced. Attendees get an invitation email with
+// the event attached as an .ics file (calendar/ics.js).
+const DEFAULT_EVENT_MINUTES = 60;
+
+function calendarOrganizer() {
+  return process.env.EMAIL_USER
+    ? { name: process.env.EMAIL_SENDER_NAME || null, email: process.env.EMAIL_USER }
+    : null;
+}
+
+// "a@x.com, b@y.com" or an array -> trimmed addresses
+function parseAttendees(value) {
+  if (value === undefined || value === null || value === "") return [];
+  const list = typeof value === "string" ? value.split(/[,;]/) : value;
+  return Array.isArray(list) ? list.map(a => (typeof a === "string" ? a.trim() : a)).filter(Boolean) : list;
+}
+
+function formatEventTime(event) {
+  const start = new Date(event.start);
+  return event.allDay
+    ? `${start.toLocaleDateString()} (all day)`
+    : `${start.toLocaleString()} - ${new Date(event.end).toLocaleTimeString()}`;
+}
+
+/**
+ * Validated create shared by create_event, the meeting email template and
+ * POST /calendar/events. `start` / `end` accept ISO or phrases like
+ * "tomorrow at 2pm"; without `end` the event lasts `durationMinutes`.
+ * Returns { event }, { errors }, or { conflicts, suggestion } when it clashes
+ * with other events and `force` is not set.
+ */
+function saveEvent(input = {}, { sessionId = null } = {}) {
+  const attendees = parseAttendees(input.attendees);
+  const errors = calendarStore.validate({ ...input, attendees });
+  const allDay = input.allDay === true;
+  const duration = input.durationMinutes ?? DEFAULT_EVENT_MINUTES;
+
+  let start = parseScheduleTime(input.start);
+  let end = input.end ? parseScheduleTime(input.end, start || new Date()) : null;
+
+  if (!input.start) {
+    errors.push("start is required");
+  } else if (!start) {
+    errors.push(`Could not understand start "${input.start}"`);
+  }
+  if (input.end && !end) errors.push(`Could not understand end "${input.end}"`);
+  if (!(Number.isFinite(duration) && duration > 0)) errors.push("durationMinutes must be a positive number");
+  if (Array.isArray(attendees)) {
+    attendees.filter(a => !isValidEmail(a)).forEach(a => errors.push(`Invalid attendee email: ${a}`));
+  }
+  if (errors.length > 0) return { errors };
+
+  if (allDay) {
+    // Midnight to midnight; `end` is the last day of the event
+    start = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    const last = end || start;
+    end = new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1);
+  }
+  end = end || new Date(start.getTime() + duration * 60e3);
+  if (end <= start) return { errors: ["end must be after start"] };
+
+  const conflicts = allDay ? [] : calendarStore.findConflicts(start, end);
+  if (conflicts.length > 0 && !input.force) {
+    const [suggestion = null] = calendarStore.findFreeSlots({
+      durationMinutes: (end - start) / 60e3,
+      from: start,
+      count: 1
+    });
+    return { conflicts, suggestion };
+  }
+
+  const event = calendarStore.create({
+    title: input.title.trim(),
+    start: start.toISOString(),
+    end: end.toISOString(),
+    allDay,
+    location: input.location?.trim() || null,
+    description: input.description?.trim() || null,
+    attendees,
+    sessionId
+  });
+  return { event };
+}
+
+// -> a tool / route result for saveEvent's { conflicts, suggestion }
+function conflictResult({ conflicts, suggestion }) {
+  return {
+    success: false,
+    conflict: true,
+    error: `Conflicts with ${conflicts.map(e => `"${e.title}" (${formatEventTime(e)})`).join(", ")}`,
+    conflicts: conflicts.map(({ id, title, start, end }) => ({ id, title, start, end })),
+    suggestion
+  };
+}
+
+function inviteAttachment(event) {
+  return {
+    filename: "invite.ics",
+    content: generateICS([event], { method: "REQUEST", organizer: calendarOrganizer() }),
+    contentType: "text/calendar; charset=utf-8; method=REQUEST"
+  };
+}
+
+// One invitation to all attendees (first in To, the rest in CC)
+function invitationEmail(event) {
+  const [to, ...cc] = event.attendees;
+  return {
+    to,
+    cc: cc.join(", ") || undefined,
+    subject: `Invitation: ${event.title} @ ${formatEventTime(event)}`,
+    body: [
+      `You are invited to: ${event.title}`,
+      `When: ${formatEventTime(event)}`,
+      ...(event.location ? [`Where: ${event.location}`] : []),
+      ...(event.description ? ["", event.description] : []),
+      "",
+      "The attached invite.ics adds the event to your calendar."
+    ].join("\n")
+  };
+}
+
+async function sendInvitations(event, { sessionId } = {}) {
+  console.log(`📨 Sending invitations for ${event.id} to ${event.attendees.join(", ")}`);
+
+  return serverTools.sendEmail.execute({
+    ...invitationEmail(event),
+    attachments: [inviteAttachment(event)]
+  }, { sessionId });
+}
+
+// Optional range bound of list_events / find_free_slot -> { value } or { error }
+function parseRangeTime(value, name) {
+  if (value === undefined || value === null || value === "") return {};
+  const date = parseScheduleTime(value);
+  return date ? { value: date } : { error: `Could not understand ${name} "${value}"` };
+}
+
+function describeEvent(event) {
+  return [
+    `${event.title} - ${formatEventTime(event)}`,
+    ...(event.location ? [`at ${event.location}`] : []),
+    ...(event.attendees.length > 0 ? [`with ${event.attendees.join(", ")}`] : [])
+  ].join(" ");
+}
+
+const describeSlot = slot => `${new Date(slot.start).toLocaleString()} - ${new Date(slot.end).toLocaleTimeString()}`;
+
+serverTools.createEvent = {
+  name: "create_event",
+  description: "Add an event to the owner's calendar and invite the attendees by email with an .ics file (the owner confirms the invitation before it is sent). Reports clashes with existing events instead of booking them",
+  parameters: {
+    type: "object",
+    properties: {
+      title: { type: "string", description: "What the event is" },
+      start: { type: "string", description: "Start: ISO 8601 or a phrase like 'tomorrow at 2pm'" },
+      end: { type: "string", description: "End (optional, defaults to start + durationMinutes)" },
+      durationMinutes: { type: "number", default: DEFAULT_EVENT_MINUTES },
+      location: { type: "string", description: "Where (optional)" },
+      description: { type: "string", description: "Details or agenda (optional)" },
+      attendees: { type: "array", items: { type: "string" }, description: "Attendee email addresses (optional)" },
+      allDay: { type: "boolean", default: false },
+      sendInvites: { type: "boolean", default: true, description: "Email the attendees an invitation" },
+      force: { type: "boolean", default: false, description: "Book even though it clashes with other events; only after the owner agreed" }
+    },
+    required: ["title", "start"]
+  },
+  execute: async ({ title, start, end, durationMinutes, location, description, attendees, allDay, sendInvites = true, force = false }, { sessionId } = {}) => {
+    console.log(`📅 Creating event: ${title} at ${start}`);
+    const saved = saveEvent({ title, start, end, durationMinutes, location, description, attendees, allDay, force }, { sessionId });
+    if (saved.errors) return { success: false, error: saved.errors.join("; ") };
+    if (saved.conflicts) return conflictResult(saved);
+
+    const { event } = saved;
+    const invitation = sendInvites && event.attendees.length > 0
+      ? await sendInvitations(event, { sessionId })
+      : null;
+    return { success: true, event, invitation, message: `Event added: ${event.title}` };
+  },
+  formatResult: (result) => {
+    if (result.conflict) {
+      return `⚠️ Not booked: ${result.error}` +
+        (result.suggestion ? `\nNext free slot: ${describeSlot(result.suggestion)}` : "") +
+        "\nAsk the owner whether to book it anyway (force) or pick another time.";
+    }
+    if (!result.success) return `❌ Could not add the event: ${result.error}`;
+
+    return `📅 Event added: ${describeEvent(result.event)}` +
+      (result.invitation?.success ? `\n📨 Invitations sent to ${result.event.attendees.join(", ")}` : "") +
+      (result.invitation && !result.invitation.success ? `\n❌ Invitations failed: ${result.invitation.error}` : "");
+  }
+};
+
+serverTools.listEvents = {
+  name: "list_events",
+  description: "List the events in the owner's calendar",
+  parameters: {
+    type: "object",
+    properties: {
+      from: { type: "string", description: "Start of the range: ISO 8601 or a phrase like 'today' (default: now)" },
+      to: { type: "string", description: "End of the range (default: 7 days after from)" },
+      query: { type: "string", description: "Only events whose title, description, location or attendees contain this text (optional)" }
+    }
+  },
+  execute: async ({ from, to, query } = {}) => {
+    console.log(`📅 Listing events${from ? ` from ${from}` : ""}${to ? ` to ${to}` : ""}`);
+    const rangeStart = parseRangeTime(from, "from");
+    const rangeEnd = parseRangeTime(to, "to");
+    if (rangeStart.error || rangeEnd.error) {
+      return { success: false, error: rangeStart.error || rangeEnd.error };
+    }
+
+    const start = rangeStart.value || new Date();
+    const end = rangeEnd.value || new Date(start.getTime() + 7 * 86400e3);
+    const events = calendarStore.list({ from: start, to: end, query });
+    return { success: true, from: start.toISOString(), to: end.toISOString(), count: events.length, events };
+  },
+  formatResult: (result) => {
+    if (!result.success) return `❌ ${result.error}`;
+    return result.count === 0
+      ? "No events in that period."
+      : `You have ${result.count} event${result.count === 1 ? "" : "s"}:\n` +
+        result.events.map((event, i) => `${i + 1}. ${describeEvent(event)}`).join("\n");
+  }
+};
+
+serverTools.findFreeSlot = {
+  name: "find_free_slot",
+  description: `Find free time in the owner's calendar for a meeting (weekdays ${calendarStore.WORKDAY_START}:00-${calendarStore.WORKDAY_END}:00)`,
+  parameters: {
+    type: "object",
+    properties: {
+      durationMinutes: { type: "number", default: DEFAULT_EVENT_MINUTES },
+      from: { type: "string", description: "Earliest start: ISO 8601 or a phrase like 'tomorrow' (default: now)" },
+      to: { type: "string", description: "Latest end (default: 7 days after from)" },
+      count: { type: "number", default: 3, description: "How many options to return" }
+    }
+  },
+  execute: async ({ durationMinutes = DEFAULT_EVENT_MINUTES, from, to, count = 3 } = {}) => {
+    console.log(`🔎 Finding ${count} free ${durationMinutes} minute slots`);
+    const rangeStart = parseRangeTime(from, "from");
+    const rangeEnd = parseRangeTime(to, "to");
+    if (rangeStart.error || rangeEnd.error) {
+      return { success: false, error: rangeStart.error || rangeEnd.error };
+    }
+    if (!(Number(durationMinutes) > 0)) {
+      return { success: false, error: "durationMinutes must be a positive number" };
+    }
+
+    const slots = calendarStore.findFreeSlots({
+      durationMinutes: Number(durationMinutes),
+      from: rangeStart.value || new Date(),
+      to: rangeEnd.value,
+      count: Math.min(Math.max(Number(count) || 3, 1), 20)
+    });
+    return { success: true, durationMinutes: Number(durationMinutes), count: slots.length, slots };
+  },
+  formatResult: (result) => {
+    if (!result.success) return `❌ ${result.error}`;
+    return result.count === 0
+      ? `No free ${result.durationMinutes} minute slot in that period.`
+      : `Free ${result.durationMinutes} minute slots:\n` +
+        result.slots.map((slot, i) => `${i + 1}. ${describeSlot(slot)}`).join("\n");
   }
 };
 
 // 🔧 FIXED Tool calling utilities
-async function executeToolCall(toolCall) {
-  const { name, arguments: args } = toolCall;
+// Find a tool by its name property (not the object key)
+function findTool(name) {
+  return Object.values(serverTools).find(tool => tool.name === name) || null;
+}
+
+// Optional per-tool formatResult hook, used when the model gives no answer text
+function formatToolResult(name, result, args) {
+  const tool = findTool(name);
+  return tool && typeof tool.formatResult === "function" ? tool.formatResult(result, args) : null;
+}
+
+// `context` carries request state tools may use, e.g. { sessionId }
+async function executeToolCall(toolCall, context = {}) {
+  const { name } = toolCall;
+  const args = toolCall.arguments || {};
   
-  // Find the tool by its name property (not the object key)
   const toolEntries = Object.entries(serverTools);
   const toolEntry = toolEntries.find(([_, toolObj]) => toolObj.name === name);
   
   if (!toolEntry) {
-    throw new Error(`Tool "${name}" not found. Available tools: ${toolEntries.map(([_, t]) => t.name).join(', ')}`);
+    // Reported back to the model so it can pick an existing tool
+    return {
+      error: `Tool "${name}" not found. Available tools: ${toolEntries.map(([_, t]) => t.name).join(', ')}`,
+      tool: name,
+      arguments: args
+    };
   }
   
   const [toolKey, tool] = toolEntry;
@@ -533,7 +1190,7 @@ async function executeToolCall(toolCall) {
       console.log(`🔄 Auto-setting dataType to "about" for get_profile_data`);
     }
     
-    const result = await tool.execute(args);
+    const result = await tool.execute(args, context);
     console.log(`✅ Tool ${name} executed successfully`);
     return result;
   } catch (error) {
@@ -565,18 +1222,34 @@ function shouldRejectQuestion(prompt) {
   }
   
   // Allow math questions
+  const mathFunctions = "sqrt|cbrt|abs|exp|log|log2|log10|ln|sin|cos|tan|asin|acos|atan|round|floor|ceil|factorial|gcd|lcm|det|inv|transpose|mean|median|std|min|max|sum";
   const mathPatterns = [
-    /^\d+\s*[\+\-\*\/]\s*\d+/,
-    /^calculate\s+/,
-    /^what is\s+\d+\s*[\+\-\*\/]\s*\d+/,
+    /^\d+\s*[\+\-\*\/\^%]\s*\d+/,
+    /^(calculate|compute|evaluate|convert)\s+/,
+    /^what is\s+\d+\s*[\+\-\*\/\^]\s*\d+/,
     /^solve\s+\d/,
     /^\d+\s*plus\s*\d+/,
     /\d+\s*minus\s*\d+/,
     /\d+\s*times\s*\d+/,
-    /\d+\s*divided by\s*\d+/
+    /\d+\s*divided by\s*\d+/,
+    // sqrt(16), what is det([1,2;3,4])
+    new RegExp(`^(what is\\s+|what's\\s+)?(${mathFunctions})\\s*\\(`),
+    // 2^10, 15% of 200
+    /\d\s*\^\s*-?\d/,
+    /\d\s*%\s*of\s+\d/,
+    // 5 km to miles, 100 degF in degC
+    /^(what is\s+)?\d+(\.\d+)?\s*[a-z]+\s+(to|in)\s+[a-z]+\s*\??$/,
+    // x = 5, f(x) = x^2, then x * 3
+    /^[a-z]\w*(\([a-z, ]*\))?\s*=\s*[^=]/,
+    /^(what is\s+)?[a-z]\w*\s*[\+\-\*\/\^]\s*\d[\d.]*\s*\??$/,
+    // [1, 2; 3, 4] * 2
+    /^(what is\s+)?\[[\d\s,;.\-\[\]]+\]/
   ];
   
-  const isMathQuestion = mathPatterns.some(pattern => pattern.test(lower));
+  // "what is twelve plus seven?" - anything the translator turns into a valid calculation
+  const mathRequest = parseMathRequest(prompt);
+  const isMathQuestion = mathPatterns.some(pattern => pattern.test(lower)) ||
+    (mathRequest !== null && !calculate(mathRequest.expression).result.error);
   if (isMathQuestion) {
     console.log("🔢 Math question detected - allowing");
     return false;
@@ -598,6 +1271,12 @@ function shouldRejectQuestion(prompt) {
     return false;
   }
   
+  // Allow calendar questions
+  if (/\b(calendar|meetings?|events?|appointments?|free slots?|availability)\b/.test(lower)) {
+    console.log("📅 Calendar question detected - allowing");
+    return false;
+  }
+  
   // Allow time questions
   if (lower.includes("time") || lower.includes("date") || lower.includes("current time")) {
     console.log("⏰ Time/date question detected - allowing");
@@ -619,23 +1298,42 @@ function shouldRejectQuestion(prompt) {
   return blockedPatterns.some(pattern => pattern.test(lower));
 }
 
-// Also, update the SYSTEM_PROMPT to be more specific about JSON formatting:
+// ========== LLM PROMPTING ==========
+// Native function calling is the default; set LLM_NATIVE_TOOLS=false for
+// models that only understand the TOOL_CALL text format.
+const USE_NATIVE_TOOLS = process.env.LLM_NATIVE_TOOLS !== "false";
+
 const SYSTEM_PROMPT = `You are a personal AI assistant with access to tools.
 
 AVAILABLE TOOLS:
-${Object.values(serverTools).map(tool => `
-- ${tool.name}: ${tool.description}
-  Parameters: ${JSON.stringify(tool.parameters.properties)}
-  Required: ${tool.parameters.required?.join(', ') || 'none'}
-`).join('')}
+{tools}
 
 IMPORTANT RULES:
 1. When user asks to send an email, you MUST provide ALL required parameters: to, subject, and body
 2. If user provides incomplete email information (like only the recipient), ask for the missing parts
 3. Do NOT send emails with empty subject or body
 4. When asking for missing information, respond normally (not as a tool call)
+5. To send an email later ("send this tomorrow at 9am"), pass scheduleAt. The current server time is {now}
+6. If create_event reports a conflict, tell the user and offer the free slot it suggests; pass force only after they agree to double-book
+
+{tool_format}
+
+CONTEXT FROM PERSONAL DATA (numbered passages):
+{context}
+
+Remember: Only call a tool when you have ALL required information. Otherwise, ask for missing information in a normal response.`;
+
+const NATIVE_TOOL_FORMAT = `TOOL CALLING:
+Use the provided function-calling interface to call tools. Never write tool calls as text.
+
+EMAIL EXAMPLES:
+1. Complete request: "Send email to john@gmail.com with subject 'Meeting' and body 'Hello, let's meet tomorrow'"
+   Action: call send_email with to="john@gmail.com", subject="Meeting", body="Hello, let's meet tomorrow"
+
+2. Incomplete request: "Send email to john@gmail.com"
+   Response: "I'd be happy to send an email. What should the subject be, and what would you like to say in the body?"`;
 
-TOOL CALLING FORMAT:
+const TEXT_TOOL_FORMAT = `TOOL CALLING FORMAT:
 When you need to use a tool AND have ALL required information, respond EXACTLY with valid JSON:
 TOOL_CALL:{"name":"tool_name","arguments":{"arg1":"value1","arg2":"value2"}}
 
@@ -652,149 +1350,351 @@ EMAIL EXAMPLES:
    Response: "I'd be happy to send an email. What should the subject be, and what would you like to say in the body?"
 
 3. Partial request: "Send email to john@gmail.com about meeting"
-   Response: "I'll send an email to john@gmail.com about a meeting. What should the subject line be, and what would you like to say in the email?"
+   Response: "I'll send an email to john@gmail.com about a meeting. What should the subject line be, and what would you like to say in the email?"`;
 
-CONTEXT FROM PERSONAL DATA:
-{context}
+// Tool listing and definitions both come from the serverTools registry
+function buildSystemPrompt(context, { nativeTools = USE_NATIVE_TOOLS } = {}) {
+  const tools = Object.values(serverTools);
 
-Remember: Only use TOOL_CALL format when you have ALL required information. Otherwise, ask for missing information in a normal response.`;
-// Helper function to detect tool calls
-// Replace the parseToolCall function with this improved version:
-function parseToolCall(response) {
-  if (!response) return null;
-  
-  console.log("🔍 Parsing LLM response:", response.substring(0, 200) + (response.length > 200 ? "..." : ""));
-  
-  // Clean the response - remove any non-JSON content before and after
-  const cleanResponse = response.trim();
-  
-  // Try to find TOOL_CALL pattern
-  const toolCallMatch = cleanResponse.match(/TOOL_CALL:\s*(\{[\s\S]*?\})(?=\s|$)/);
-  if (toolCallMatch && toolCallMatch[1]) {
-    try {
-      // Clean the JSON string before parsing
-      let jsonStr = toolCallMatch[1];
-      
-      // Remove trailing commas
-      jsonStr = jsonStr.replace(/,\s*}/g, '}').replace(/,\s*]/g, ']');
-      
-      // Fix common JSON issues
-      jsonStr = jsonStr.replace(/(\w+):/g, '"$1":'); // Add quotes to property names if missing
-      jsonStr = jsonStr.replace(/'/g, '"'); // Replace single quotes with double quotes
-      
-      const toolCall = JSON.parse(jsonStr);
-      console.log("✅ Parsed tool call from TOOL_CALL pattern:", toolCall);
-      
-      if (toolCall.name) {
-        // Ensure arguments is an object
-        if (!toolCall.arguments || typeof toolCall.arguments !== 'object') {
-          toolCall.arguments = {};
-        }
-        return toolCall;
-      }
-    } catch (error) {
-      console.error("❌ Failed to parse tool call JSON:", error.message);
-      console.error("Raw JSON string:", toolCallMatch[1]);
-    }
+  return SYSTEM_PROMPT
+    .replace("{tools}", () => formatToolListing(tools, { includeParameters: !nativeTools }))
+    .replace("{tool_format}", () => nativeTools ? NATIVE_TOOL_FORMAT : TEXT_TOOL_FORMAT)
+    .replace("{context}", () => context || "No personal data available.")
+    .replace("{now}", () => new Date().toString());
+}
+
+// ========== EMAIL DRAFTS ==========
+// Emails are collected into a draft over several turns and only sent once
+// every required field is present and the user has confirmed.
+function describeDraft(draft) {
+  if (draft.status === "awaiting_confirmation") {
+    return {
+      answer: formatDraftPreview(draft),
+      tool_used: false,
+      awaiting_confirmation: true,
+      draft
+    };
   }
-  
-  // Try to extract JSON from the response using a more robust approach
-  const jsonStart = cleanResponse.indexOf('{');
-  const jsonEnd = cleanResponse.lastIndexOf('}');
-  
-  if (jsonStart !== -1 && jsonEnd !== -1 && jsonEnd > jsonStart) {
-    const potentialJson = cleanResponse.substring(jsonStart, jsonEnd + 1);
-    
-    try {
-      // Clean the JSON
-      let cleanedJson = potentialJson
-        .replace(/(\w+):/g, '"$1":') // Add quotes to property names
-        .replace(/'/g, '"') // Replace single quotes
-        .replace(/,\s*}/g, '}') // Remove trailing commas
-        .replace(/,\s*]/g, ']')
-        .replace(/,\s*,/g, ',') // Remove duplicate commas
-        .trim();
-      
-      // Try to fix common issues
-      cleanedJson = cleanedJson.replace(/"(\w+)":\s*""/g, '"$1": ""'); // Ensure empty strings are properly quoted
-      
-      const toolCall = JSON.parse(cleanedJson);
-      
-      if (toolCall && toolCall.name) {
-        console.log("✅ Parsed tool call from JSON extraction:", toolCall);
-        if (!toolCall.arguments || typeof toolCall.arguments !== 'object') {
-          toolCall.arguments = {};
-        }
-        return toolCall;
-      }
-    } catch (error) {
-      // If JSON parsing fails, try a more aggressive cleanup
-      try {
-        // Extract just the tool name and arguments pattern
-        const nameMatch = potentialJson.match(/"name"\s*:\s*"([^"]+)"/);
-        const argsMatch = potentialJson.match(/"arguments"\s*:\s*(\{.*\})/);
-        
-        if (nameMatch && argsMatch) {
-          const toolName = nameMatch[1];
-          let argsStr = argsMatch[1];
-          
-          // Clean up the arguments JSON
-          argsStr = argsStr.replace(/(\w+):/g, '"$1":')
-                         .replace(/'/g, '"')
-                         .replace(/,\s*}/g, '}')
-                         .replace(/,\s*]/g, ']');
-          
-          const argumentsObj = JSON.parse(argsStr);
-          
-          return {
-            name: toolName,
-            arguments: argumentsObj
-          };
-        }
-      } catch (innerError) {
-        console.error("❌ Could not extract tool call from malformed JSON:", innerError.message);
-      }
+
+  return {
+    answer: promptForField(draft, draft.awaiting),
+    tool_used: false,
+    missing_info: draft.awaiting === "to" ? "recipient_email" : draft.awaiting,
+    ...(draft.to ? { recipient: draft.to } : {}),
+    draft
+  };
+}
+
+// One open draft per conversation: a new email replaces an unfinished one
+function startDraft(fields) {
+  const previous = draftStore.getActiveForSession(fields.sessionId);
+  if (previous) {
+    console.log(`🗑️ Draft ${previous.id} replaced by a new one`);
+    setDraftStatus(previous, "cancelled");
+  }
+  return draftStore.create(fields);
+}
+
+// A meeting booked for a draft (the meeting template) is removed again when
+// the draft is cancelled or fails, like send_email_template does
+function setDraftStatus(draft, status, extra) {
+  draftStore.setStatus(draft.id, status, extra);
+  if ((status === "cancelled" || status === "failed") && draft.ownsEvent && calendarStore.delete(draft.eventId)) {
+    console.log(`📅 Meeting ${draft.eventId} of draft ${draft.id} removed`);
+  }
+}
+
+// Email-sending calls of the LLM -> a new draft, or null for other tools.
+// A meeting template or create_event with attendees books the event now and
+// the draft attaches its invite; bad dates and clashes are left to the tool,
+// which reports them without sending anything.
+function draftFromToolCall(call, { sessionId = null } = {}) {
+  const args = call.arguments;
+
+  switch (call.name) {
+    case "send_email":
+      return startDraft({ sessionId, ...args });
+
+    case "send_email_template": {
+      const booked = bookTemplateMeeting(args, { sessionId });
+      if (booked?.errors || booked?.conflicts) return null;
+
+      return startDraft({
+        sessionId,
+        eventId: booked?.event.id || null,
+        ownsEvent: !!booked,
+        to: args.to,
+        ...renderEmailTemplate(args, booked?.event),
+        scheduleAt: args.scheduleAt
+      });
+    }
+
+    case "create_event": {
+      const attendees = parseAttendees(args.attendees);
+      if (args.sendInvites === false || !Array.isArray(attendees) || attendees.length === 0) return null;
+
+      const { event } = saveEvent(args, { sessionId });
+      if (!event) return null;
+      return startDraft({ sessionId, eventId: event.id, ...invitationEmail(event) });
     }
+
+    default:
+      return null;
   }
-  
-  console.log("❌ No valid tool call detected");
-  return null;
 }
-async function init() {
-  await vectorStore.initEmbedder();
 
-  const docs = loadOwnerData();
-  const chunks = chunkDocuments(docs);
+async function sendDraft(draft) {
+  const event = draft.eventId ? calendarStore.get(draft.eventId) : null;
+  const email = {
+    to: draft.to,
+    subject: draft.subject,
+    body: draft.body,
+    cc: draft.cc || undefined,
+    priority: draft.priority,
+    attachments: event ? [inviteAttachment(event)] : undefined
+  };
+  const result = draft.scheduleAt
+    ? scheduleEmail(email, { scheduleAt: draft.scheduleAt, draftId: draft.id, sessionId: draft.sessionId })
+    : await serverTools.sendEmail.execute(email);
 
-  if (chunks.length === 0) {
-    console.error("❌ No chunks created. Aborting.");
-    return;
+  if (result.scheduled) {
+    draftStore.setStatus(draft.id, "scheduled", { jobId: result.jobId, lastError: null });
+  } else if (result.success) {
+    draftStore.setStatus(draft.id, "sent", {
+      sentAt: result.sentAt,
+      messageId: result.messageId,
+      lastError: null
+    });
+  } else if (draft.ownsEvent) {
+    // Without an invitation there is no meeting to keep
+    setDraftStatus(draft, "failed", { lastError: result.error });
+  } else {
+    draftStore.setStatus(draft.id, draft.status, { lastError: result.error });
   }
 
-  await vectorStore.buildVectorStore(chunks);
+  return result;
 }
 
-init();
+async function continueDraft(draft, prompt) {
+  const decision = parseConfirmation(prompt);
 
-// ========== MAIN ASK ENDPOINT ==========
-app.post("/ask", async (req, res) => {
-  const { prompt } = req.body;
+  if (decision === "cancel") {
+    setDraftStatus(draft, "cancelled");
+    return {
+      answer: "Okay, I've discarded the email draft.",
+      tool_used: false,
+      draft: draftStore.get(draft.id)
+    };
+  }
 
-  if (!prompt) {
-    return res.status(400).json({ 
-      error: "Prompt is required",
-      suggestion: "Please provide a question or command"
-    });
+  const fields = extractDraftFields(prompt, draft);
+  // "send it tomorrow at 9am" sets the time and confirms in one go
+  const sendLater = decision === null && fields.scheduleAt && Object.keys(fields).length === 1;
+  if (sendLater) {
+    draftStore.update(draft.id, fields);
+  }
+
+  if ((decision === "confirm" || sendLater) && draft.status === "awaiting_confirmation") {
+    const result = await sendDraft(draft);
+    return {
+      answer: serverTools.sendEmail.formatResult(result),
+      tool_used: true,
+      tool_name: "send_email",
+      tool_result: result,
+      success: !!result.success,
+      draft: draftStore.get(draft.id)
+    };
+  }
+
+  if (!sendLater) {
+    draftStore.update(draft.id, fields);
+  }
+  return describeDraft(draft);
+}
+
+// ========== SCHEDULED EMAIL ==========
+// Emails with a send time go to the persistent job queue (email/jobQueue.js),
+// which sends them through send_email when they are due.
+function scheduleEmail(email, { scheduleAt, draftId = null, sessionId = null } = {}) {
+  const date = parseScheduleTime(scheduleAt);
+
+  if (!date) {
+    return {
+      success: false,
+      error: `Could not understand the send time "${scheduleAt}"`,
+      suggestion: "Use an ISO 8601 date-time (2026-10-20T09:00) or a phrase like 'tomorrow at 9am' or 'in 2 hours'"
+    };
+  }
+  if (date <= new Date()) {
+    return {
+      success: false,
+      error: `The send time ${date.toLocaleString()} is in the past`,
+      suggestion: "Pick a future time, or leave scheduleAt out to send now"
+    };
+  }
+  if (!isValidEmail(email.to || "")) {
+    return { success: false, error: `Invalid recipient email: ${email.to}` };
+  }
+
+  const job = jobQueue.schedule(email, { scheduleAt: date, draftId, sessionId });
+  return {
+    success: true,
+    scheduled: true,
+    jobId: job.id,
+    to: email.to,
+    subject: email.subject,
+    scheduleAt: job.scheduleAt,
+    message: `Email to ${email.to} scheduled for ${date.toLocaleString()}`
+  };
+}
+
+// Due jobs are sent now; drafts and task reminders they came from follow
+// their outcome. Reminders are rebuilt so they show the task as it is now.
+jobQueue.setSender(async job => {
+  const task = job.taskId ? taskStore.get(job.taskId) : null;
+  const result = await serverTools.sendEmail.execute(task ? buildReminderEmail(task, job.email.to) : job.email);
+  // The queue will not try again
+  const gaveUp = !result.success && (result.permanent || job.attempts >= job.maxAttempts);
+
+  if (task) {
+    taskStore.setReminder(task.id, result.success
+      ? { status: "sent", sentAt: result.sentAt, lastError: null }
+      : { status: gaveUp ? "failed" : "pending", lastError: result.error });
+  }
+
+  const draft = job.draftId ? draftStore.get(job.draftId) : null;
+  if (draft) {
+    setDraftStatus(draft, result.success ? "sent" : gaveUp ? "failed" : "scheduled", result.success
+      ? { sentAt: result.sentAt, messageId: result.messageId, lastError: null }
+      : { lastError: result.error });
+  }
+  return result;
+});
+
+// ========== LOCAL MATH ==========
+// Plain calculations ("what is 20 percent of 350?") are answered by the
+// calculate tool directly, without an LLM round-trip. Returns the /ask
+// payload, or null when the prompt is not something the calculator can do.
+async function answerMathLocally(prompt, { sessionId, onEvent = () => {} } = {}) {
+  const mathRequest = parseMathRequest(prompt);
+  if (!mathRequest) return null;
+
+  // Dry run first, so prompts that merely contain numbers reach the LLM quietly
+  const variables = sessionId ? sessionStore.getVariables(sessionId) : {};
+  if (calculate(mathRequest.expression, { variables }).result.error) return null;
+
+  const call = { name: "calculate", arguments: { expression: mathRequest.input } };
+  const started = Date.now();
+  const result = await executeToolCall(call, { sessionId });
+  if (result.error) return null;
+
+  const step = {
+    step: 1,
+    type: "tool_call",
+    tool: call.name,
+    arguments: call.arguments,
+    result,
+    success: true,
+    durationMs: Date.now() - started
+  };
+  onEvent("tool_start", { step: 1, tool: call.name, arguments: call.arguments });
+  onEvent("tool_result", step);
+
+  return {
+    answer: serverTools.calculate.formatResult(result),
+    steps: [step],
+    tool_used: true,
+    tool_name: call.name,
+    tool_result: result,
+    success: true,
+    tools_used: [call.name],
+    local: true,
+    llm: null
+  };
+}
+
+async function init() {
+  sessionStore.loadFromDisk();
+  draftStore.loadFromDisk();
+  jobQueue.loadFromDisk();
+  noteStore.loadFromDisk();
+  taskStore.loadFromDisk();
+  calendarStore.loadFromDisk();
+  indexer.prepareCollections();
+  await vectorStore.initEmbedder();
+  if (RAG_RERANK) {
+    await reranker.initReranker();
   }
 
+  // Reuse stored embeddings; only new or changed chunks are embedded
+  vectorStore.loadFromDisk();
+  try {
+    await indexer.reindex();
+  } catch (error) {
+    console.error("❌ Indexing failed:", error.message);
+  }
+}
+
+// ========== MAIN ASK PIPELINE ==========
+// Shared by the JSON and SSE endpoints. Returns { status, payload }.
+// `onEvent(type, data)` receives rag_context / token / tool_* progress events.
+async function answerPrompt({ prompt, sessionId, maxSteps = DEFAULT_MAX_STEPS, model, provider, queryRewrite = RAG_QUERY_REWRITE, rerank = RAG_RERANK }, { onEvent = () => {}, signal, stream = false } = {}) {
   console.log("\n" + "=".repeat(50));
-  console.log(`📨 New query: "${prompt}"`);
+  console.log(`📨 New query: "${prompt}"${sessionId ? ` (session: ${sessionId})` : ""}`);
+
+  // Prior turns are read before the current prompt is recorded
+  const history = sessionId ? sessionStore.getHistory(sessionId) : [];
+  if (sessionId) {
+    sessionStore.append(sessionId, { role: "user", content: prompt });
+  }
+
+  // An open draft left alone for another request (see below)
+  let setAsideDraft = null;
+
+  // Record the assistant turn (and tool results) before responding
+  const reply = (payload, status = 200) => {
+    const waiting = setAsideDraft && !payload.draft && draftStore.get(setAsideDraft.id);
+    if (waiting && draftStore.isOpen(waiting) && payload.answer) {
+      payload = { ...payload, answer: `${payload.answer}\n\n${formatDraftReminder(waiting)}`, open_draft: waiting.id };
+    }
+
+    if (sessionId) {
+      const toolSteps = Array.isArray(payload.steps)
+        ? payload.steps.filter(step => step.type === "tool_call")
+        : payload.tool_used && payload.tool_result
+          ? [{ tool: payload.tool_name, result: payload.tool_result }]
+          : [];
+      toolSteps.forEach(step => {
+        sessionStore.append(sessionId, {
+          role: "tool",
+          name: step.tool,
+          content: step.result
+        });
+      });
+      if (payload.answer) {
+        sessionStore.append(sessionId, { role: "assistant", content: payload.answer });
+      }
+      payload = { ...payload, sessionId };
+    }
+    return { status, payload };
+  };
   
   try {
+    // 📝 Continue an open email draft in this conversation,
+    // unless the prompt is clearly something else (a question, another tool)
+    const activeDraft = draftStore.getActiveForSession(sessionId);
+    if (activeDraft && isNewRequest(prompt)) {
+      console.log(`📝 Draft ${activeDraft.id} stays open for a new request`);
+      setAsideDraft = activeDraft;
+    } else if (activeDraft) {
+      console.log(`📝 Continuing draft ${activeDraft.id} (${activeDraft.status})`);
+      return reply(await continueDraft(activeDraft, prompt));
+    }
+
     // 🔒 Apply Hard Guard
     if (shouldRejectQuestion(prompt)) {
       console.log("🚫 Blocked by Hard Guard");
-      return res.json({
+      return reply({
         answer: "I'm designed to help with personal matters only. I can assist with emails, calculations, your personal information, and searching your notes.",
         tool_used: false,
         blocked: true,
@@ -804,68 +1704,80 @@ app.post("/ask", async (req, res) => {
 
     console.log("✅ Passed Hard Guard");
     
-    // Special handling for incomplete email requests
+    // Start an email draft instead of sending straight away
     const lowerPrompt = prompt.toLowerCase();
     const isEmailRequest = lowerPrompt.includes("send email") || lowerPrompt.includes("send mail") || 
                           lowerPrompt.includes("email to") || lowerPrompt.includes("mail to");
     
     if (isEmailRequest) {
-      // Extract email if provided
-      const emailMatch = prompt.match(/([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/i);
-      const hasEmail = !!emailMatch;
-      
-      // Check if subject is mentioned
-      const hasSubject = lowerPrompt.includes("subject") || lowerPrompt.includes("about") || 
-                        lowerPrompt.match(/with (?:the )?(?:subject|title) (?:of )?["']?([^"']+)["']?/i);
-      
-      // Check if body/content is mentioned
-      const hasBody = lowerPrompt.includes("body") || lowerPrompt.includes("content") || 
-                     lowerPrompt.includes("say") || lowerPrompt.includes("message") ||
-                     lowerPrompt.match(/that says["']?([^"']+)["']?/i);
-      
-      console.log(`📧 Email request analysis:`, {
-        hasEmail,
-        hasSubject: !!hasSubject,
-        hasBody: !!hasBody
+      const draft = startDraft({
+        sessionId: sessionId || null,
+        ...extractDraftFields(prompt)
       });
-      
-      // If missing critical information, ask for it directly instead of using LLM
-      if (!hasEmail) {
-        console.log("📧 Missing recipient email - asking directly");
-        return res.json({
-          answer: "I'd be happy to send an email. Who should I send it to? Please provide the recipient's email address.",
-          tool_used: false,
-          missing_info: "recipient_email"
-        });
-      }
-      
-      if (!hasSubject) {
-        console.log("📧 Missing subject - asking directly");
-        return res.json({
-          answer: `I'll send an email to ${emailMatch[0]}. What should the subject line be?`,
-          tool_used: false,
-          missing_info: "subject",
-          recipient: emailMatch[0]
-        });
-      }
-      
-      if (!hasBody) {
-        console.log("📧 Missing body - asking directly");
-        return res.json({
-          answer: `I'll send an email to ${emailMatch[0]}. What would you like to say in the email?`,
-          tool_used: false,
-          missing_info: "body",
-          recipient: emailMatch[0]
-        });
-      }
+
+      console.log(`📧 Email draft ${draft.id}:`, {
+        status: draft.status,
+        missing: draftStore.missingFields(draft)
+      });
+
+      return reply(describeDraft(draft));
+    }
+
+    // 🧮 Simple math needs neither retrieval nor the LLM
+    const mathAnswer = await answerMathLocally(prompt, { sessionId, onEvent });
+    if (mathAnswer) {
+      console.log(`🧮 Answered locally: ${mathAnswer.answer}`);
+      return reply(mathAnswer);
     }
     
     // 🔍 Get RAG context
     let context = "";
+    let passages = [];
+    let retrieval = null;
     try {
-      const results = await search(prompt);
+      // Follow-ups ("and the second one?") become standalone queries
+      retrieval = await rewriteQuery({
+        prompt,
+        history,
+        mode: queryRewrite,
+        signal,
+        complete: request => llm.complete(request, { provider, model })
+      });
+      if (retrieval.queries.length > 1 || retrieval.query !== prompt) {
+        console.log("✏️ Retrieval queries:", retrieval.queries);
+      }
+
+      // Re-ranking rescores a wider set of candidates
+      const candidates = rerank ? RAG_RERANK_CANDIDATES : RAG_TOP_K;
+      const lists = [];
+      for (const query of retrieval.queries) {
+        lists.push(await search(query, { topK: candidates, mode: RAG_SEARCH_MODE, includeParent: true }));
+      }
+      let results = lists.length === 1 ? lists[0] : reciprocalRankFusion(lists, { topK: candidates });
+
+      if (rerank) {
+        try {
+          results = await reranker.rerank(retrieval.query, results, { topK: RAG_TOP_K });
+        } catch (rerankError) {
+          console.warn("⚠️ Re-ranking failed - keeping the search order:", rerankError.message);
+          results = results.slice(0, RAG_TOP_K);
+        }
+      }
+
+      onEvent("rag_context", {
+        queries: retrieval.queries,
+        chunks: (results || []).map(r => ({
+          id: r.id,
+          field: r.metadata?.field || "general",
+          source: r.metadata?.source || null,
+          score: r.score,
+          content: r.content
+        }))
+      });
       if (results && results.length > 0) {
-        context = results.slice(0, 2).map(r => r.content).join("\n\n");
+        // Whole passages rather than fragments; sibling chunks share one parent
+        passages = buildPassages(results, 2);
+        context = formatPassages(passages);
         console.log("🔍 Found RAG context:", results.length, "chunks");
       } else {
         context = "No specific personal data found for this query.";
@@ -876,150 +1788,85 @@ app.post("/ask", async (req, res) => {
       context = "Unable to search personal data at the moment.";
     }
 
-    // Prepare system prompt
-    const systemPromptWithContext = SYSTEM_PROMPT.replace("{context}", context || "No personal data available.");
-    
-    console.log("🤖 Calling LLM with tool instructions...");
-    
-    // Call LLM with tool instructions
-    const completion = await groq.chat.completions.create({
-      model: "llama-3.1-8b-instant",
-      messages: [
-        {
-          role: "system",
-          content: systemPromptWithContext
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.1, // Lower temperature for more consistent JSON
-      max_tokens: 500
-    });
+    console.log(`🤖 Running agent (${USE_NATIVE_TOOLS ? "native tools" : "text tools"}, max ${maxSteps} steps)...`);
 
-    const llmResponse = completion.choices[0].message.content;
-    console.log("🤖 LLM Raw Response:", llmResponse);
+    // Provider/model that produced the last completion, for the response
+    let llmInfo = null;
+    const complete = async request => {
+      const completion = await llm.complete(request, { provider, model });
+      llmInfo = { provider: completion.provider, model: completion.model };
+      return completion;
+    };
 
-    // Check if tool call is needed
-    const toolCall = parseToolCall(llmResponse);
-    
-    if (toolCall) {
-      console.log(`🔄 Tool call detected: ${toolCall.name}`);
-      
-      // Special handling for email tool with empty fields
-      if (toolCall.name === "send_email" || toolCall.name === "send_email_template") {
-        const args = toolCall.arguments || {};
-        
-        // Check for empty required fields
-        if (!args.to || !args.subject || !args.body) {
-          console.log("❌ Email tool called with missing required fields");
-          
-          let missingFields = [];
-          if (!args.to) missingFields.push("recipient email (to)");
-          if (!args.subject || args.subject.trim() === "") missingFields.push("subject");
-          if (!args.body || args.body.trim() === "") missingFields.push("body/content");
-          
-          return res.json({
-            answer: `I need more information to send the email. Please provide: ${missingFields.join(", ")}.`,
-            tool_used: false,
-            missing_fields: missingFields,
-            provided_args: args
-          });
-        }
-      }
-      
-      // Execute the tool
-      const toolResult = await executeToolCall(toolCall);
-      
-      // If tool execution failed, return error
-      if (toolResult.error) {
-        return res.json({
-          answer: `I tried to use ${toolCall.name}, but encountered an error: ${toolResult.error}`,
-          tool_used: true,
-          tool_name: toolCall.name,
-          tool_error: toolResult.error,
-          tool_result: toolResult
-        });
-      }
-      
-      // Format response based on tool result
-      let answer = "";
-      
-      switch (toolCall.name) {
-        case "calculate":
-          answer = toolResult.formatted || `${toolResult.expression} = ${toolResult.result}`;
-          break;
-          
-        case "get_profile_data":
-          if (toolCall.arguments.dataType === "about" && toolResult.data) {
-            answer = toolResult.data;
-          } else if (toolResult.data) {
-            if (typeof toolResult.data === 'string') {
-              answer = toolResult.data;
-            } else {
-              answer = `Here's information about ${toolCall.arguments.dataType.replace('_', ' ')}:`;
-            }
-          } else {
-            answer = "I couldn't retrieve the profile information.";
-          }
-          break;
-          
-        case "get_current_time":
-          answer = toolResult.message || `Current time: ${toolResult.readable || toolResult.timestamp}`;
-          break;
-          
-        case "search_notes":
-          if (toolResult.found === 0) {
-            answer = "I couldn't find any relevant information in my personal notes.";
-          } else {
-            answer = `I found ${toolResult.found} relevant items:\n`;
-            answer += toolResult.notes.map((n, i) => 
-              `${i + 1}. ${n.content} (relevance: ${n.relevance})`
-            ).join('\n');
-          }
-          break;
-          
-        case "send_email":
-        case "send_email_template":
-          if (toolResult.success) {
-            answer = `✅ Email sent successfully to ${toolResult.to}!\nSubject: "${toolResult.subject}"\nMessage ID: ${toolResult.messageId}`;
-          } else {
-            answer = `❌ Failed to send email: ${toolResult.error}`;
-            if (toolResult.suggestion) {
-              answer += `\nSuggestion: ${toolResult.suggestion}`;
-            }
-          }
-          break;
-          
-        case "validate_email":
-          answer = toolResult.isValid ? 
-            `✅ Email "${toolResult.email}" is valid.` : 
-            `❌ Email "${toolResult.email}" is invalid. ${toolResult.suggestion}`;
-          break;
-          
-        default:
-          answer = `Operation completed using ${toolCall.name}.`;
+    const result = await runAgent({
+      prompt,
+      history,
+      complete,
+      buildSystemPrompt: nativeTools => buildSystemPrompt(context, { nativeTools }),
+      toolDefinitions: buildToolDefinitions(Object.values(serverTools)),
+      nativeTools: USE_NATIVE_TOOLS,
+      maxSteps,
+      stream,
+      signal,
+      onEvent,
+      executeTool: call => executeToolCall(call, { sessionId }),
+      formatResult: formatToolResult,
+      // Emails from the LLM also go through a draft that the user confirms
+      interceptToolCall: async call => {
+        const draft = draftFromToolCall(call, { sessionId: sessionId || null });
+        if (!draft) return null;
+
+        console.log(`📧 LLM ${call.name} routed to draft ${draft.id} (${draft.status})`);
+        const payload = describeDraft(draft);
+        if (call.name !== "create_event") return payload;
+
+        // The event itself is booked already; only the invitation waits
+        const event = calendarStore.get(draft.eventId);
+        return { ...payload, answer: `📅 Event added: ${describeEvent(event)}\n\n${payload.answer}`, event };
       }
-      
-      return res.json({
-        answer: answer,
-        tool_used: true,
-        tool_name: toolCall.name,
-        tool_result: toolResult,
-        success: !toolResult.error
-      });
-      
-    } else {
-      // No tool needed, use LLM response directly
-      console.log("✅ No tool needed, using LLM response");
-      return res.json({
-        answer: llmResponse,
-        tool_used: false
-      });
-    }
+    });
+
+    const toolSteps = result.steps.filter(step => step.type === "tool_call");
+    const lastToolStep = toolSteps[toolSteps.length - 1];
+    console.log(`✅ Agent finished after ${result.steps.length} steps (${toolSteps.length} tool calls)`);
+
+    // Citations of passages that were never supplied are dropped. Only the
+    // model's own text is checked; tool results and drafts are left as they are.
+    const lastStep = result.steps[result.steps.length - 1];
+    const modelText = lastStep?.type === "answer" && !lastStep.fallback;
+    const { answer, cited } = modelText
+      ? validateCitations(result.answer, passages.length)
+      : { answer: result.answer, cited: [] };
+
+    return reply({
+      ...result,
+      ...(answer !== undefined ? { answer } : {}),
+      sources: toSources(passages, cited),
+      ...((queryRewrite !== "off" || rerank) && retrieval ? { retrieval: { ...retrieval, reranked: rerank } } : {}),
+      tool_used: toolSteps.length > 0 || !!result.tool_used,
+      ...(lastToolStep ? {
+        tool_name: lastToolStep.tool,
+        tool_result: lastToolStep.result,
+        success: toolSteps.every(step => step.success),
+        tools_used: toolSteps.map(step => step.tool)
+      } : {}),
+      llm: llmInfo
+    });
 
   } catch (error) {
+    if (signal?.aborted) {
+      console.log("🔌 Client disconnected - request aborted");
+      return { status: 499, payload: { error: "Request aborted by client", aborted: true } };
+    }
+
+    if (error.code === "unknown_model") {
+      return reply({
+        error: error.message,
+        suggestion: "Leave out \"model\" to use the provider's default model",
+        provider: error.provider
+      }, 400);
+    }
+
     console.error("❌ Server error:", error);
     
     let userMessage = "Sorry, I encountered an error. ";
@@ -1031,16 +1878,132 @@ app.post("/ask", async (req, res) => {
       userMessage += "Please try again.";
     }
     
-    return res.status(500).json({ 
+    return reply({
       answer: userMessage,
       error: error.message,
       tool_used: false,
       timestamp: new Date().toISOString()
-    });
+    }, 500);
+  }
+}
+
+// Validates the /ask body; returns an error response or null
+function validateAskRequest(body = {}) {
+  if (!body.prompt) {
+    return { 
+      error: "Prompt is required",
+      suggestion: "Please provide a question or command"
+    };
+  }
+
+  if (body.sessionId !== undefined && !sessionStore.isValidId(body.sessionId)) {
+    return {
+      error: "Invalid sessionId",
+      suggestion: "Use 1-128 characters: letters, digits, '-' or '_'"
+    };
+  }
+
+  if (body.model !== undefined && (typeof body.model !== "string" || body.model.trim() === "")) {
+    return { error: "Invalid model", suggestion: "Provide the model name as a string" };
+  }
+
+  if (body.queryRewrite !== undefined && !REWRITE_MODES.includes(body.queryRewrite)) {
+    return {
+      error: "Invalid queryRewrite",
+      suggestion: `Use one of: ${REWRITE_MODES.join(", ")}`
+    };
+  }
+
+  if (body.rerank !== undefined && typeof body.rerank !== "boolean") {
+    return { error: "Invalid rerank", suggestion: "Use true or false" };
   }
+
+  if (body.provider !== undefined && !llm.getProvider(body.provider)) {
+    return {
+      error: `LLM provider "${body.provider}" is not configured`,
+      available_providers: llm.getInfo().map(p => p.name)
+    };
+  }
+
+  return null;
+}
+
+function parseAskRequest(body) {
+  return {
+    prompt: body.prompt,
+    sessionId: body.sessionId,
+    model: body.model,
+    provider: body.provider,
+    queryRewrite: body.queryRewrite || RAG_QUERY_REWRITE,
+    rerank: body.rerank ?? RAG_RERANK,
+    maxSteps: Math.min(Math.max(parseInt(body.maxSteps, 10) || DEFAULT_MAX_STEPS, 1), 10)
+  };
+}
+
+// SSE variant of /ask - see llm/stream.js for the event format
+async function streamAsk(req, res) {
+  const invalid = validateAskRequest(req.body);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+
+  const request = parseAskRequest(req.body);
+  const controller = new AbortController();
+  const events = openEventStream(res);
+
+  // Abort the upstream LLM request when the client goes away
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  events.send("start", {
+    sessionId: request.sessionId || null,
+    timestamp: new Date().toISOString()
+  });
+
+  const { status, payload } = await answerPrompt(request, {
+    stream: true,
+    signal: controller.signal,
+    onEvent: (type, data) => events.send(type, data)
+  });
+
+  if (status >= 400) {
+    events.send("error", { error: payload.error || payload.answer, status });
+  }
+  events.send("done", { ...payload, status });
+  events.end();
+}
+
+// ========== MAIN ASK ENDPOINT ==========
+app.post("/ask", async (req, res) => {
+  if (wantsEventStream(req)) {
+    return streamAsk(req, res);
+  }
+
+  const invalid = validateAskRequest(req.body);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+
+  const { status, payload } = await answerPrompt(parseAskRequest(req.body));
+  res.status(status).json(payload);
 });
+
+// Streaming ask endpoint (Server-Sent Events)
+app.post("/ask/stream", streamAsk);
+
 // ========== ADDITIONAL ENDPOINTS ==========
 
+// Admin routes are open unless ADMIN_TOKEN is set; then they require
+// `Authorization: Bearer <ADMIN_TOKEN>`
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token || req.get("authorization") === `Bearer ${token}`) {
+    return next();
+  }
+  res.status(401).json({ error: "Admin token required" });
+}
+
 // List all available tools
 app.get("/tools", (req, res) => {
   const toolList = Object.values(serverTools).map(tool => ({
@@ -1072,9 +2035,15 @@ app.post("/tools/:toolName/test", async (req, res) => {
   }
   
   const [_, tool] = toolEntry;
-  
+
+  // ?sessionId= runs the tool as part of that session (e.g. calculator variables)
+  const { sessionId } = req.query;
+  if (sessionId !== undefined && !sessionStore.isValidId(sessionId)) {
+    return res.status(400).json({ error: "Invalid sessionId" });
+  }
+
   try {
-    const result = await tool.execute(args);
+    const result = await tool.execute(args, { sessionId });
     res.json({ 
       success: true, 
       tool: toolName,
@@ -1090,13 +2059,504 @@ app.post("/tools/:toolName/test", async (req, res) => {
   }
 });
 
+// Inspect a conversation session
+app.get("/sessions/:id", (req, res) => {
+  const session = sessionStore.get(req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ error: `Session "${req.params.id}" not found` });
+  }
+
+  res.json({
+    ...session,
+    messageCount: session.messages.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Reset a conversation session
+app.delete("/sessions/:id", (req, res) => {
+  const deleted = sessionStore.delete(req.params.id);
+
+  if (!deleted) {
+    return res.status(404).json({ error: `Session "${req.params.id}" not found` });
+  }
+
+  res.json({
+    deleted: true,
+    sessionId: req.params.id,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// List email drafts
+app.get("/drafts", (req, res) => {
+  const { sessionId, status } = req.query;
+  const drafts = draftStore.list({ sessionId, status });
+
+  res.json({
+    drafts,
+    count: drafts.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Edit an email draft
+app.patch("/drafts/:id", (req, res) => {
+  const draft = draftStore.get(req.params.id);
+
+  if (!draft) {
+    return res.status(404).json({ error: `Draft "${req.params.id}" not found` });
+  }
+
+  if (!draftStore.isOpen(draft)) {
+    return res.status(409).json({ error: `Draft is already ${draft.status}` });
+  }
+
+  const fields = req.body || {};
+  const errors = [];
+  if (fields.to !== undefined && !isValidEmail(fields.to)) {
+    errors.push(`Invalid recipient email: ${fields.to}`);
+  }
+  if (fields.cc !== undefined && fields.cc !== "" &&
+      !String(fields.cc).split(",").every(e => isValidEmail(e))) {
+    errors.push(`Invalid CC email list: ${fields.cc}`);
+  }
+  if (fields.priority !== undefined && !draftStore.PRIORITIES.includes(fields.priority)) {
+    errors.push(`Priority must be one of: ${draftStore.PRIORITIES.join(", ")}`);
+  }
+  if (fields.scheduleAt !== undefined && fields.scheduleAt !== null && fields.scheduleAt !== "" &&
+      !parseScheduleTime(fields.scheduleAt)) {
+    errors.push(`Invalid scheduleAt: ${fields.scheduleAt}`);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid draft fields", details: errors });
+  }
+
+  const updated = draftStore.update(draft.id, fields);
+  res.json({
+    draft: updated,
+    missing_fields: draftStore.missingFields(updated),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Send a completed email draft (the request itself is the confirmation)
+app.post("/drafts/:id/send", async (req, res) => {
+  const draft = draftStore.get(req.params.id);
+
+  if (!draft) {
+    return res.status(404).json({ error: `Draft "${req.params.id}" not found` });
+  }
+
+  if (!draftStore.isOpen(draft)) {
+    return res.status(409).json({ error: `Draft is already ${draft.status}` });
+  }
+
+  const missing = draftStore.missingFields(draft);
+  if (missing.length > 0) {
+    return res.status(422).json({
+      error: "Draft is incomplete",
+      missing_fields: missing,
+      draft
+    });
+  }
+
+  try {
+    const result = await sendDraft(draft);
+    res.status(result.success ? 200 : 502).json({
+      ...result,
+      draft: draftStore.get(draft.id)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      draft
+    });
+  }
+});
+
+// ========== PROFILE ==========
+
+// Profile writes re-index; only sections whose text changed are re-embedded
+async function profileWriteResponse(res, result) {
+  if (result.errors) {
+    return res.status(422).json({ error: "Profile validation failed", details: result.errors });
+  }
+
+  const index = await indexer.reindex();
+  res.json({
+    profile: result.profile,
+    index,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// The owner profile document
+app.get("/profile", (req, res) => {
+  try {
+    res.json({ profile: profileStore.get(), sections: profileStore.PROFILE_SECTIONS });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// JSON Schema the profile is validated against
+app.get("/profile/schema", (req, res) => {
+  res.json(profileStore.schema);
+});
+
+// Replace the whole profile
+app.put("/profile", requireAdmin, async (req, res) => {
+  const profile = req.body;
+  if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+    return res.status(400).json({ error: "Request body must be a profile object" });
+  }
+
+  try {
+    await profileWriteResponse(res, profileStore.replace(profile));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Merge-patch one section (objects merge, null removes a key, other values replace).
+// Non-strict JSON so scalar sections can be sent as a bare string.
+app.patch("/profile/:section", express.json({ limit: "10mb", strict: false }), requireAdmin, async (req, res) => {
+  const { section } = req.params;
+  if (!profileStore.PROFILE_SECTIONS.includes(section) && profileStore.getSection(section) === undefined) {
+    return res.status(404).json({
+      error: `Profile section "${section}" not found`,
+      sections: profileStore.PROFILE_SECTIONS
+    });
+  }
+
+  try {
+    await profileWriteResponse(res, profileStore.patchSection(section, req.body));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== NOTES ==========
+
+// Raw uploads; JSON bodies go through express.json()
+const NOTE_UPLOAD_TYPES = ["text/markdown", "text/x-markdown", "text/plain", "application/pdf"];
+
+// Create or update a note, then re-index. Either a JSON body
+//   { id?, title, content, format?, filename?, encoding?: "base64", field?, tags? }
+// or a raw Markdown / text / PDF body with ?title=&id=&field=&tags=a,b
+app.post("/notes", express.raw({ type: NOTE_UPLOAD_TYPES, limit: "10mb" }), async (req, res) => {
+  const raw = Buffer.isBuffer(req.body);
+  const input = raw ? { ...req.query, content: req.body } : (req.body || {});
+  const tags = typeof input.tags === "string"
+    ? input.tags.split(",").map(t => t.trim()).filter(Boolean)
+    : input.tags;
+
+  const errors = [];
+  if (typeof input.title !== "string" || input.title.trim() === "") {
+    errors.push("title is required");
+  }
+  if (input.id !== undefined && !noteStore.isValidId(input.id)) {
+    errors.push(`Invalid note id: ${input.id}`);
+  }
+  if (input.field !== undefined && (typeof input.field !== "string" || input.field.trim() === "")) {
+    errors.push("field must be a non-empty string");
+  }
+  if (tags !== undefined && (!Array.isArray(tags) || !tags.every(t => typeof t === "string"))) {
+    errors.push("tags must be an array of strings");
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid note", details: errors });
+  }
+
+  const format = detectFormat({
+    format: input.format,
+    filename: input.filename,
+    mimeType: raw ? req.get("content-type") : null
+  });
+  if (!format) {
+    return res.status(415).json({
+      error: `Unsupported note format "${input.format || req.get("content-type")}"`,
+      supported_formats: NOTE_FORMATS
+    });
+  }
+
+  try {
+    const sections = await parseNote({ format, content: input.content, encoding: input.encoding });
+    if (sections.length === 0) {
+      return res.status(422).json({ error: "Note has no text content" });
+    }
+
+    const { note, created } = noteStore.upsert({
+      id: input.id,
+      title: input.title.trim(),
+      format,
+      filename: input.filename || null,
+      field: input.field?.trim(),
+      tags,
+      sections
+    });
+    const index = await indexer.reindex();
+
+    res.status(created ? 201 : 200).json({
+      note: noteStore.summarize(note),
+      index,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// List notes (without their text)
+app.get("/notes", (req, res) => {
+  const notes = noteStore.list();
+  res.json({
+    notes,
+    count: notes.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// A note with its parsed sections
+app.get("/notes/:id", (req, res) => {
+  const note = noteStore.get(req.params.id);
+
+  if (!note) {
+    return res.status(404).json({ error: `Note "${req.params.id}" not found` });
+  }
+
+  res.json({ note });
+});
+
+// Delete a note and its vectors
+app.delete("/notes/:id", async (req, res) => {
+  if (!noteStore.delete(req.params.id)) {
+    return res.status(404).json({ error: `Note "${req.params.id}" not found` });
+  }
+
+  try {
+    const index = await indexer.reindex();
+    res.json({
+      success: true,
+      message: `Note ${req.params.id} deleted`,
+      index
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== TASKS ==========
+
+// ?status=open|done, ?due=overdue|today|week, ?q= text search
+app.get("/tasks", (req, res) => {
+  const { status, due, q } = req.query;
+  const errors = [];
+
+  if (status !== undefined && !taskStore.STATUSES.includes(status)) {
+    errors.push(`status must be one of: ${taskStore.STATUSES.join(", ")}`);
+  }
+  if (due !== undefined && !taskStore.DUE_FILTERS.includes(due)) {
+    errors.push(`due must be one of: ${taskStore.DUE_FILTERS.join(", ")}`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid filters", details: errors });
+  }
+
+  const tasks = taskStore.list({ status, due, query: q });
+  res.json({
+    tasks,
+    count: tasks.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Create a task: { title, due?, notes?, priority?, tags?, remindAt?, reminderEmail? }
+app.post("/tasks", async (req, res) => {
+  const { task, errors } = saveTask(req.body || {});
+  if (errors) {
+    return res.status(400).json({ error: "Invalid task", details: errors });
+  }
+
+  await refreshTaskIndex();
+  res.status(201).json({ task, timestamp: new Date().toISOString() });
+});
+
+app.get("/tasks/:id", (req, res) => {
+  const task = taskStore.get(req.params.id);
+
+  if (!task) {
+    return res.status(404).json({ error: `Task "${req.params.id}" not found` });
+  }
+
+  res.json({ task });
+});
+
+// Update a task; `status: "done"` completes it, null clears `due` / `remindAt`
+app.patch("/tasks/:id", async (req, res) => {
+  const existing = taskStore.get(req.params.id);
+
+  if (!existing) {
+    return res.status(404).json({ error: `Task "${req.params.id}" not found` });
+  }
+
+  const { task, errors } = saveTask(req.body || {}, { task: existing });
+  if (errors) {
+    return res.status(400).json({ error: "Invalid task fields", details: errors });
+  }
+
+  await refreshTaskIndex();
+  res.json({ task, timestamp: new Date().toISOString() });
+});
+
+// Delete a task and cancel its reminder
+app.delete("/tasks/:id", async (req, res) => {
+  const task = taskStore.get(req.params.id);
+
+  if (!task) {
+    return res.status(404).json({ error: `Task "${req.params.id}" not found` });
+  }
+
+  deleteTask(task);
+  await refreshTaskIndex();
+  res.json({
+    success: true,
+    message: `Task ${req.params.id} deleted`
+  });
+});
+
+// ========== CALENDAR ==========
+
+const ICS_UPLOAD_TYPES = ["text/calendar", "text/plain"];
+
+// ?from=&to= (ISO or phrases like "today"), ?q= text search; no range means all events
+app.get("/calendar/events", (req, res) => {
+  const from = parseRangeTime(req.query.from, "from");
+  const to = parseRangeTime(req.query.to, "to");
+  const errors = [from.error, to.error].filter(Boolean);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid filters", details: errors });
+  }
+
+  const events = calendarStore.list({ from: from.value, to: to.value, query: req.query.q });
+  res.json({
+    events,
+    count: events.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Create an event: { title, start, end?, durationMinutes?, location?, description?,
+// attendees?, allDay?, sendInvites?, force? }. Clashes are a 409 unless `force`.
+app.post("/calendar/events", async (req, res) => {
+  const input = req.body || {};
+  const saved = saveEvent(input);
+
+  if (saved.errors) {
+    return res.status(400).json({ error: "Invalid event", details: saved.errors });
+  }
+  if (saved.conflicts) {
+    const { error, conflicts, suggestion } = conflictResult(saved);
+    return res.status(409).json({ error, details: conflicts, suggestion });
+  }
+
+  const invitation = input.sendInvites !== false && saved.event.attendees.length > 0
+    ? await sendInvitations(saved.event)
+    : null;
+  res.status(201).json({ event: saved.event, invitation, timestamp: new Date().toISOString() });
+});
+
+app.get("/calendar/events/:id", (req, res) => {
+  const event = calendarStore.get(req.params.id);
+
+  if (!event) {
+    return res.status(404).json({ error: `Event "${req.params.id}" not found` });
+  }
+
+  res.json({ event });
+});
+
+app.delete("/calendar/events/:id", (req, res) => {
+  if (!calendarStore.delete(req.params.id)) {
+    return res.status(404).json({ error: `Event "${req.params.id}" not found` });
+  }
+
+  res.json({
+    success: true,
+    message: `Event ${req.params.id} deleted`
+  });
+});
+
+// ?duration= minutes (default 60), ?from=&to=, ?count=
+app.get("/calendar/free", async (req, res) => {
+  const result = await serverTools.findFreeSlot.execute({
+    durationMinutes: req.query.duration === undefined ? undefined : Number(req.query.duration),
+    from: req.query.from,
+    to: req.query.to,
+    count: req.query.count === undefined ? undefined : Number(req.query.count)
+  });
+
+  if (!result.success) {
+    return res.status(400).json({ error: "Invalid request", details: [result.error] });
+  }
+
+  res.json({ slots: result.slots, count: result.count, durationMinutes: result.durationMinutes });
+});
+
+// Import an .ics file: a raw text/calendar body or JSON { content }.
+// Events already imported (same UID) are updated.
+app.post("/calendar/import", express.text({ type: ICS_UPLOAD_TYPES, limit: "10mb" }), (req, res) => {
+  const content = typeof req.body === "string" ? req.body : req.body?.content;
+
+  if (typeof content !== "string" || !content.includes("BEGIN:VCALENDAR")) {
+    return res.status(400).json({ error: "Expected an iCalendar file (text/calendar body or JSON { content })" });
+  }
+
+  const events = fromICS(content);
+  if (events.length === 0) {
+    return res.status(422).json({ error: "The calendar has no events with a start time" });
+  }
+
+  const { created, updated } = calendarStore.importEvents(events);
+  res.json({
+    imported: events.length,
+    created,
+    updated,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// The calendar as an .ics file; ?from=&to= limit it
+app.get("/calendar/export", (req, res) => {
+  const from = parseRangeTime(req.query.from, "from");
+  const to = parseRangeTime(req.query.to, "to");
+  const errors = [from.error, to.error].filter(Boolean);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid filters", details: errors });
+  }
+
+  const events = calendarStore.list({ from: from.value, to: to.value });
+  res
+    .type("text/calendar; charset=utf-8")
+    .attachment("calendar.ics")
+    .send(generateICS(events, { organizer: calendarOrganizer() }));
+});
+
 // Health check
 app.get("/health", (req, res) => {
   res.json({
     status: "healthy",
     timestamp: new Date().toISOString(),
     service: "Personal AI Assistant",
-    version: "1.0.0"
+    version: "1.0.0",
+    llm: llm.getInfo()
   });
 });
 
@@ -1137,6 +2597,52 @@ app.post("/email/test", async (req, res) => {
   }
 });
 
+// Scheduled emails, soonest first; ?status= filters
+app.get("/email/scheduled", (req, res) => {
+  const { status } = req.query;
+
+  if (status !== undefined && !jobQueue.JOB_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: "Invalid status",
+      details: `Use one of: ${jobQueue.JOB_STATUSES.join(", ")}`
+    });
+  }
+
+  const jobs = jobQueue.list({ status });
+  res.json({
+    jobs,
+    count: jobs.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Cancel a scheduled email that has not been sent yet
+app.delete("/email/scheduled/:id", (req, res) => {
+  const job = jobQueue.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: `Scheduled email "${req.params.id}" not found` });
+  }
+  if (!jobQueue.isPending(job)) {
+    return res.status(409).json({ error: `Scheduled email is already ${job.status}` });
+  }
+
+  jobQueue.cancel(job.id);
+  const draft = job.draftId ? draftStore.get(job.draftId) : null;
+  if (draft) {
+    setDraftStatus(draft, "cancelled");
+  }
+  if (job.taskId && taskStore.get(job.taskId)?.reminder?.jobId === job.id) {
+    taskStore.setReminder(job.taskId, { status: "cancelled" });
+  }
+
+  res.json({
+    cancelled: true,
+    job,
+    timestamp: new Date().toISOString()
+  });
+});
+
 // RAG statistics
 app.get("/rag/stats", (req, res) => {
   try {
@@ -1153,37 +2659,127 @@ app.get("/rag/stats", (req, res) => {
   }
 });
 
+// Re-index the data directory; `force: true` re-embeds every chunk
+app.post("/rag/reindex", requireAdmin, async (req, res) => {
+  try {
+    const result = await indexer.reindex({ force: req.body?.force === true });
+    res.json({
+      success: true,
+      ...result,
+      stats: getStats()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Retrieval quality of search configurations on a labelled dataset
+// (rag/evalDataset.json unless one is posted)
+app.post("/rag/eval", requireAdmin, async (req, res) => {
+  const { dataset, configs, details } = req.body || {};
+
+  if (dataset !== undefined && (typeof dataset !== "object" || dataset === null || Array.isArray(dataset))) {
+    return res.status(400).json({
+      error: "Invalid dataset",
+      details: "dataset must be an object with a \"questions\" array"
+    });
+  }
+
+  try {
+    const report = await evaluate({ dataset, configs, details: details === true });
+    res.json(report);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
     error: "Endpoint not found",
     available_endpoints: [
       "POST /ask - Main query endpoint",
+      "POST /ask/stream - Streaming query endpoint (Server-Sent Events)",
       "GET /tools - List all tools",
+      "GET /sessions/:id - Inspect session history",
+      "DELETE /sessions/:id - Reset session history",
+      "GET /drafts - List email drafts",
+      "PATCH /drafts/:id - Edit an email draft",
+      "POST /drafts/:id/send - Send a completed email draft",
+      "GET /profile - Owner profile",
+      "GET /profile/schema - Profile JSON Schema",
+      "PUT /profile - Replace the owner profile (admin)",
+      "PATCH /profile/:section - Update one profile section (admin)",
+      "POST /notes - Upload or update a note (Markdown, text, PDF, JSON)",
+      "GET /notes - List notes",
+      "GET /notes/:id - Get a note",
+      "DELETE /notes/:id - Delete a note and its vectors",
+      "GET /tasks - List tasks",
+      "POST /tasks - Create a task",
+      "GET /tasks/:id - Get a task",
+      "PATCH /tasks/:id - Update or complete a task",
+      "DELETE /tasks/:id - Delete a task",
+      "GET /calendar/events - List calendar events",
+      "POST /calendar/events - Create an event (409 on conflicts)",
+      "GET /calendar/events/:id - Get an event",
+      "DELETE /calendar/events/:id - Delete an event",
+      "GET /calendar/free - Find free time slots",
+      "POST /calendar/import - Import an .ics file",
+      "GET /calendar/export - Export the calendar as .ics",
       "GET /health - Health check",
       "GET /rag/stats - RAG statistics",
+      "POST /rag/reindex - Re-index the data directory (admin)",
+      "POST /rag/eval - Evaluate retrieval quality (admin)",
       "GET /email/config - Email configuration",
-      "POST /email/test - Send test email"
+      "POST /email/test - Send test email",
+      "GET /email/scheduled - Scheduled emails",
+      "DELETE /email/scheduled/:id - Cancel a scheduled email"
     ]
   });
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log("\n" + "=".repeat(50));
-  console.log("🚀 Personal AI Assistant Server");
-  console.log("=".repeat(50));
-  console.log(`📡 Server running on http://localhost:${PORT}`);
-  console.log("\n🛠️ Available Tools:");
-  Object.values(serverTools).forEach(tool => {
-    console.log(`  • ${tool.name.padEnd(20)} - ${tool.description}`);
+module.exports = {
+  app,
+  init,
+  serverTools,
+  executeToolCall,
+  shouldRejectQuestion
+};
+
+// Only start the server when run directly (`node index.js`), so tests can
+// import the app without listening or building the vector store
+if (require.main === module) {
+  init()
+    .then(() => {
+      if (process.env.RAG_WATCH !== "false") indexer.watch();
+      jobQueue.start();
+    })
+    .catch(error => {
+      console.error("❌ Initialization failed:", error);
+    });
+
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log("\n" + "=".repeat(50));
+    console.log("🚀 Personal AI Assistant Server");
+    console.log("=".repeat(50));
+    console.log(`📡 Server running on http://localhost:${PORT}`);
+    console.log("\n🛠️ Available Tools:");
+    Object.values(serverTools).forEach(tool => {
+      console.log(`  • ${tool.name.padEnd(20)} - ${tool.description}`);
+    });
+    console.log("\n💡 Test Queries:");
+    console.log(`  • "Tell me about yourself"`);
+    console.log(`  • "What are my skills?"`);
+    console.log(`  • "23 + 4"`);
+    console.log(`  • "Send email to test@example.com about meeting"`);
+    console.log(`  • "What time is it?"`);
+    console.log(`  • "Search for notes about projects"`);
+    console.log(`  • "Remind me to call the bank tomorrow at 10am"`);
+    console.log(`  • "Book a meeting with sam@example.com on friday at 2pm"`);
+    console.log("\n" + "=".repeat(50));
   });
-  console.log("\n💡 Test Queries:");
-  console.log(`  • "Tell me about yourself"`);
-  console.log(`  • "What are my skills?"`);
-  console.log(`  • "23 + 4"`);
-  console.log(`  • "Send email to test@example.com about meeting"`);
-  console.log(`  • "What time is it?"`);
-  console.log(`  • "Search for notes about projects"`);
-  console.log("\n" + "=".repeat(50));
-});
\ No newline at end of file
+}
@@ -0,0 +1,222 @@
+const {
+  parseNativeToolCalls,
+  getFailedGeneration,
+  isToolsUnsupportedError,
+  parseToolCall
+} = require("./toolCalls");
+
+const DEFAULT_MAX_STEPS = Number(process.env.AGENT_MAX_STEPS) || 5;
+
+/**
+ * Multi-step agent loop: the model may call tools (several per turn when it
+ * supports parallel calls), sees every result and decides what to do next,
+ * until it answers in plain text or `maxSteps` model calls have been made.
+ *
+ * Hooks supplied by the caller:
+ *  - complete({ messages, tools, signal, onToken })
+ *                                       -> chat completion (OpenAI shape); when
+ *                                          `onToken` is set it streams deltas
+ *  - buildSystemPrompt(nativeTools)     -> system prompt for the chosen mode
+ *  - executeTool({ name, arguments })   -> tool result object
+ *  - interceptToolCall(call)            -> payload to stop the loop with, or null
+ *  - formatResult(name, result, args)   -> answer text when the model gives none
+ *  - onEvent(type, data)                -> progress notifications
+ *                                          ("token", "tool_start", "tool_result")
+ *
+ * `stream` turns on token events; `signal` aborts upstream calls and stops
+ * the loop between steps.
+ */
+async function runAgent({
+  prompt,
+  history = [],
+  complete,
+  buildSystemPrompt,
+  toolDefinitions = [],
+  executeTool,
+  interceptToolCall = async () => null,
+  formatResult = () => null,
+  nativeTools = true,
+  maxSteps = DEFAULT_MAX_STEPS,
+  stream = false,
+  signal,
+  onEvent = () => {}
+}) {
+  const conversation = [...history, { role: "user", content: prompt }];
+  const steps = [];
+  let useNativeTools = nativeTools && toolDefinitions.length > 0;
+
+  const callModel = async step => {
+    const streamOptions = {
+      signal,
+      ...(stream ? { onToken: delta => onEvent("token", { step, delta }) } : {})
+    };
+
+    if (useNativeTools) {
+      try {
+        const completion = await complete({
+          messages: [{ role: "system", content: buildSystemPrompt(true) }, ...conversation],
+          tools: toolDefinitions,
+          ...streamOptions
+        });
+        const message = completion.choices[0].message;
+        const content = message.content || "";
+        const toolCalls = parseNativeToolCalls(message);
+
+        if (toolCalls.length > 0) {
+          return { content, toolCalls, mode: "native", message };
+        }
+
+        // Some models still answer with the text format despite `tools`
+        const textCall = content.includes("TOOL_CALL") ? parseToolCall(content) : null;
+        return { content, toolCalls: textCall ? [textCall] : [], mode: textCall ? "text" : "native" };
+      } catch (error) {
+        const failedGeneration = getFailedGeneration(error);
+        if (failedGeneration) {
+          console.warn("⚠️ Native tool call was malformed - parsing the raw generation");
+          const textCall = parseToolCall(failedGeneration);
+          return {
+            content: textCall ? "" : failedGeneration,
+            toolCalls: textCall ? [textCall] : [],
+            mode: "text"
+          };
+        }
+
+        if (signal?.aborted || !isToolsUnsupportedError(error)) throw error;
+        console.warn("⚠️ Model does not support native tools - falling back to TOOL_CALL text format");
+        useNativeTools = false;
+      }
+    }
+
+    const completion = await complete({
+      messages: [{ role: "system", content: buildSystemPrompt(false) }, ...conversation],
+      ...streamOptions
+    });
+    const content = completion.choices[0].message.content || "";
+    const textCall = parseToolCall(content);
+    return { content, toolCalls: textCall ? [textCall] : [], mode: "text" };
+  };
+
+  const runTool = async (call, step) => {
+    const started = Date.now();
+    onEvent("tool_start", { step, tool: call.name, arguments: call.arguments });
+
+    const result = await executeTool(call);
+    const entry = {
+      step,
+      type: "tool_call",
+      tool: call.name,
+      arguments: call.arguments,
+      result,
+      success: !result?.error,
+      durationMs: Date.now() - started
+    };
+
+    onEvent("tool_result", entry);
+    return entry;
+  };
+
+  const skipTool = (call, step, interceptedTool) => {
+    const entry = {
+      step,
+      type: "tool_call",
+      tool: call.name,
+      arguments: call.arguments,
+      result: { success: false, skipped: true, error: `Not run: waiting for the user to confirm ${interceptedTool}` },
+      success: false,
+      durationMs: 0
+    };
+
+    onEvent("tool_result", entry);
+    return entry;
+  };
+
+  for (let step = 1; step <= maxSteps; step++) {
+    throwIfAborted(signal);
+    const { content, toolCalls, mode, message } = await callModel(step);
+
+    if (toolCalls.length === 0) {
+      // `fallback`: no text from the model, the answer is built from a tool result
+      steps.push({ step, type: "answer", mode, ...(content ? {} : { fallback: true }) });
+      return {
+        answer: content || fallbackAnswer(steps, formatResult),
+        steps
+      };
+    }
+
+    console.log(`🔄 Step ${step}: ${toolCalls.map(c => c.name).join(", ")} (${mode})`);
+
+    // An intercepted call ends the turn. The calls before it passed the
+    // check and still run; the later ones are not checked, so they are
+    // reported as skipped instead of being run.
+    for (const [i, call] of toolCalls.entries()) {
+      const stop = await interceptToolCall(call);
+      if (stop) {
+        const ran = await Promise.all(toolCalls.slice(0, i).map(c => runTool(c, step)));
+        const skipped = toolCalls.slice(i + 1).map(c => skipTool(c, step, call.name));
+        steps.push(...ran, { step, type: "intercepted", tool: call.name, arguments: call.arguments }, ...skipped);
+        return { ...stop, steps };
+      }
+    }
+
+    // Parallel calls from one model turn run concurrently
+    const entries = await Promise.all(toolCalls.map(call => runTool(call, step)));
+    steps.push(...entries);
+
+    if (mode === "native") {
+      conversation.push({
+        role: "assistant",
+        content: message.content || null,
+        tool_calls: message.tool_calls
+      });
+      toolCalls.forEach((call, i) => {
+        conversation.push({
+          role: "tool",
+          tool_call_id: call.id,
+          name: call.name,
+          content: JSON.stringify(entries[i].result)
+        });
+      });
+    } else {
+      conversation.push({ role: "assistant", content: content || `TOOL_CALL:${JSON.stringify(toolCalls[0])}` });
+      conversation.push({
+        role: "user",
+        content: entries
+          .map(e => `TOOL_RESULT ${e.tool}: ${JSON.stringify(e.result)}`)
+          .join("\n") + "\n\nUse these results to answer my original request, or call another tool if needed."
+      });
+    }
+  }
+
+  console.warn(`⚠️ Agent stopped after ${maxSteps} steps`);
+  return {
+    answer: fallbackAnswer(steps, formatResult),
+    steps,
+    truncated: true
+  };
+}
+
+function throwIfAborted(signal) {
+  if (!signal?.aborted) return;
+
+  const error = new Error("Request aborted by client");
+  error.name = "AbortError";
+  throw error;
+}
+
+// Answer built from the last tool result when the model gives no text
+function fallbackAnswer(steps, formatResult) {
+  const last = [...steps].reverse().find(s => s.type === "tool_call");
+  if (!last) return "";
+
+  if (last.result?.error) {
+    return `I tried to use ${last.tool}, but encountered an error: ${last.result.error}`;
+  }
+
+  return formatResult(last.tool, last.result, last.arguments) ||
+    `Operation completed using ${last.tool}.`;
+}
+
+module.exports = {
+  DEFAULT_MAX_STEPS,
+  runAgent
+};
@@ -0,0 +1,94 @@
+// Numbered RAG passages in the system prompt, and validation of the [n]
+// citations the model puts in its answer.
+
+const SNIPPET_LENGTH = 160;
+
+// [1], [2, 3], [1][3]
+const CITATION_PATTERN = /(\s?)\[(\d+(?:\s*,\s*\d+)*)\]/g;
+// Brackets right after these are values or indexes, not citations: v = [3, 4], arr[2], f(x)[1]
+const VALUE_BEFORE = /(?:[\w)]|[=+\-*/^<>]\s*)$/;
+const VALUE_AFTER = /^\s*[=+*/^<>]/;
+
+const bracketDepth = text => [...text].reduce((depth, char) =>
+  char === "[" ? depth + 1 : char === "]" ? Math.max(0, depth - 1) : depth, 0);
+
+// [n] on its own: not nested in other brackets, not part of an expression
+function isStandalone(text, start, end) {
+  const before = text.slice(0, start);
+  return bracketDepth(before) === 0 && !VALUE_BEFORE.test(before) && !VALUE_AFTER.test(text.slice(end));
+}
+
+/**
+ * Search results -> passages the model may cite, numbered from 1. Sibling
+ * chunks of one parent become a single passage (the whole parent text).
+ */
+function buildPassages(results, limit = 2) {
+  const byParent = new Map();
+
+  for (const r of results) {
+    const key = r.parent?.id || r.id;
+    if (!byParent.has(key)) byParent.set(key, r);
+  }
+
+  return [...byParent.values()].slice(0, limit).map((r, i) => ({
+    number: i + 1,
+    id: r.id,
+    field: r.metadata?.field || "general",
+    source: r.metadata?.source || null,
+    score: r.score,
+    content: r.parent?.content || r.content
+  }));
+}
+
+function formatPassages(passages) {
+  const listing = passages
+    .map(p => `[${p.number}] (${p.field}) ${p.content}`)
+    .join("\n\n");
+
+  return `${listing}\n\nWhen you use a passage, cite its number in square brackets, e.g. [1]. Only cite the numbers listed above.`;
+}
+
+/**
+ * Removes citations of passages that were not supplied.
+ * Returns { answer, cited } where `cited` holds the valid passage numbers.
+ * Without passages there is nothing to cite and the answer is left as is.
+ */
+function validateCitations(answer, passageCount) {
+  if (typeof answer !== "string" || passageCount === 0) return { answer, cited: [] };
+
+  const cited = new Set();
+  const cleaned = answer.replace(CITATION_PATTERN, (match, space, list, offset) => {
+    if (!isStandalone(answer, offset + space.length, offset + match.length)) return match;
+
+    const valid = list
+      .split(",")
+      .map(n => Number(n.trim()))
+      .filter(n => n >= 1 && n <= passageCount);
+
+    valid.forEach(n => cited.add(n));
+    if (valid.length === 0) return "";
+    return `${space}[${valid.join(", ")}]`;
+  });
+
+  return { answer: cleaned, cited: [...cited].sort((a, b) => a - b) };
+}
+
+// The `sources` array of an /ask response
+function toSources(passages, cited) {
+  return passages.map(p => ({
+    passage: p.number,
+    id: p.id,
+    field: p.field,
+    source: p.source,
+    score: p.score,
+    snippet: p.content.length > SNIPPET_LENGTH ? p.content.slice(0, SNIPPET_LENGTH) + "..." : p.content,
+    cited: cited.includes(p.number)
+  }));
+}
+
+module.exports = {
+  buildPassages,
+  formatPassages,
+  validateCitations,
+  toSources
+};
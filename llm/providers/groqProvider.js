@@ -0,0 +1,39 @@
+const Groq = require("groq-sdk");
+const { collectCompletionStream } = require("../stream");
+
+class GroqProvider {
+  constructor({ apiKey = process.env.GROQ_API_KEY, model = process.env.GROQ_MODEL } = {}) {
+    this.name = "groq";
+    this.apiKey = apiKey;
+    this.defaultModel = model || "llama-3.1-8b-instant";
+    this.client = null;
+  }
+
+  // Created on first use so a missing key only fails real requests
+  getClient() {
+    if (!this.client) {
+      this.client = new Groq({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  async complete({ messages, tools, model, temperature, maxTokens, signal, onToken }) {
+    const params = {
+      model: model || this.defaultModel,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(tools ? { tools, tool_choice: "auto" } : {})
+    };
+
+    if (!onToken) {
+      return this.getClient().chat.completions.create(params, { signal });
+    }
+
+    const stream = await this.getClient().chat.completions.create({ ...params, stream: true }, { signal });
+    const completion = await collectCompletionStream(stream, onToken);
+    return { ...completion, model: params.model };
+  }
+}
+
+module.exports = GroqProvider;
@@ -0,0 +1,137 @@
+const GroqProvider = require("./groqProvider");
+const OpenAICompatibleProvider = require("./openaiCompatibleProvider");
+const MockProvider = require("./mockProvider");
+const { getFailedGeneration, isToolsUnsupportedError } = require("../toolCalls");
+
+const PROVIDER_TYPES = {
+  groq: GroqProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+const DEFAULTS = {
+  temperature: Number(process.env.LLM_TEMPERATURE ?? 0.1), // Low for more consistent JSON
+  maxTokens: Number(process.env.LLM_MAX_TOKENS) || 500
+};
+
+function createProvider(type, options) {
+  const Provider = PROVIDER_TYPES[type];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${type}". Available: ${Object.keys(PROVIDER_TYPES).join(", ")}`);
+  }
+  return new Provider(options);
+}
+
+// LLM_PROVIDER is the primary, LLM_FALLBACK_PROVIDER the optional second
+function providersFromEnv() {
+  const names = [process.env.LLM_PROVIDER || "groq", process.env.LLM_FALLBACK_PROVIDER]
+    .filter(Boolean)
+    .filter((name, i, all) => all.indexOf(name) === i);
+
+  return names.map(name => createProvider(name));
+}
+
+// Errors the agent loop handles itself, or that a retry elsewhere cannot fix
+function shouldFallback(error, signal) {
+  if (signal?.aborted || error.name === "AbortError") return false;
+  if (getFailedGeneration(error) || isToolsUnsupportedError(error)) return false;
+  return true;
+}
+
+// The provider does not serve the requested model (Groq/OpenAI: 404 model_not_found)
+function isUnknownModelError(error) {
+  const code = error?.error?.error?.code || error?.error?.code;
+  return error?.status === 404 && (code === "model_not_found" || /\bmodel\b/i.test(String(error.message)));
+}
+
+class LLMClient {
+  constructor() {
+    this.providers = null;
+  }
+
+  getProviders() {
+    if (!this.providers) {
+      this.providers = providersFromEnv();
+    }
+    return this.providers;
+  }
+
+  setProviders(providers) {
+    this.providers = providers;
+  }
+
+  getProvider(name) {
+    return this.getProviders().find(p => p.name === name) || null;
+  }
+
+  /**
+   * One chat completion through the provider chain. `model` applies to the
+   * first provider tried (`provider`, if given, is moved to the front);
+   * fallbacks use their own default model. A model the first provider does
+   * not know is the caller's mistake: it fails with `code: "unknown_model"`
+   * instead of being answered by a fallback's model.
+   */
+  async complete(request, { provider, model } = {}) {
+    let chain = this.getProviders();
+    if (provider) {
+      const preferred = this.getProvider(provider);
+      if (!preferred) {
+        throw new Error(`LLM provider "${provider}" is not configured`);
+      }
+      chain = [preferred, ...chain.filter(p => p !== preferred)];
+    }
+
+    for (let i = 0; i < chain.length; i++) {
+      const current = chain[i];
+      let streamed = false;
+
+      try {
+        const completion = await current.complete({
+          temperature: DEFAULTS.temperature,
+          maxTokens: DEFAULTS.maxTokens,
+          ...request,
+          model: i === 0 ? model : undefined,
+          onToken: request.onToken && (delta => {
+            streamed = true;
+            request.onToken(delta);
+          })
+        });
+        return { ...completion, provider: current.name };
+      } catch (error) {
+        if (i === 0 && model && isUnknownModelError(error)) {
+          const unknown = new Error(`Model "${model}" is not available on LLM provider ${current.name}`);
+          unknown.code = "unknown_model";
+          unknown.status = 400;
+          unknown.provider = current.name;
+          throw unknown;
+        }
+
+        const next = chain[i + 1];
+        // Tokens already sent to the client cannot be taken back
+        if (!next || streamed || !shouldFallback(error, request.signal)) throw error;
+
+        console.warn(`⚠️ LLM provider ${current.name} failed (${error.status || "no status"}: ${error.message}) - falling back to ${next.name}`);
+      }
+    }
+  }
+
+  getInfo() {
+    return this.getProviders().map((p, i) => ({
+      name: p.name,
+      model: p.defaultModel,
+      role: i === 0 ? "primary" : "fallback"
+    }));
+  }
+}
+
+const instance = new LLMClient();
+
+module.exports = {
+  PROVIDER_TYPES,
+  createProvider,
+  complete: (request, options) => instance.complete(request, options),
+  getProviders: () => instance.getProviders(),
+  getProvider: name => instance.getProvider(name),
+  setProviders: providers => instance.setProviders(providers),
+  getInfo: () => instance.getInfo()
+};
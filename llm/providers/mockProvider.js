@@ -0,0 +1,124 @@
+const fs = require("fs");
+
+/**
+ * Deterministic scripted provider for tests and offline runs.
+ *
+ * Each call consumes the next script entry:
+ *   "text"                                   -> plain answer
+ *   { tool: "name", arguments: {...} }       -> one native tool call
+ *   { tools: [{ tool, arguments }, ...] }    -> parallel tool calls
+ *   { content, tool_calls }                  -> raw assistant message
+ *   { error: { status, message, body } }     -> thrown provider error
+ *   (request) => entry | Promise<entry>      -> computed entry (JS only)
+ *
+ * When the script is exhausted it echoes the last user message.
+ * Every request is kept in `requests` for assertions.
+ */
+class MockProvider {
+  constructor({ script, scriptPath = process.env.MOCK_LLM_SCRIPT, name = "mock" } = {}) {
+    this.name = name;
+    this.defaultModel = "mock-model";
+    this.script = script ? [...script] : loadScript(scriptPath);
+    this.requests = [];
+    this.callCount = 0;
+  }
+
+  enqueue(...entries) {
+    this.script.push(...entries);
+    return this;
+  }
+
+  reset(script = []) {
+    this.script = [...script];
+    this.requests = [];
+    this.callCount = 0;
+  }
+
+  async complete(request) {
+    const { messages, model, signal, onToken } = request;
+    this.requests.push(request);
+    const callId = ++this.callCount;
+
+    if (signal?.aborted) throw abortError();
+
+    let entry = this.script.length > 0 ? this.script.shift() : null;
+    if (typeof entry === "function") {
+      entry = await entry(request);
+      // A pending entry stands in for a slow upstream call
+      if (signal?.aborted) throw abortError();
+    }
+
+    if (entry && entry.error) {
+      const error = new Error(entry.error.message || "Mock provider error");
+      error.status = entry.error.status;
+      error.error = entry.error.body;
+      throw error;
+    }
+
+    const message = toMessage(entry, messages, callId);
+
+    if (onToken && message.content) {
+      // Word-sized deltas, like a real stream
+      for (const delta of message.content.split(/(?= )/)) onToken(delta);
+    }
+
+    return {
+      id: `mock-${callId}`,
+      model: model || this.defaultModel,
+      choices: [{
+        index: 0,
+        message,
+        finish_reason: message.tool_calls ? "tool_calls" : "stop"
+      }]
+    };
+  }
+}
+
+function abortError() {
+  const error = new Error("Request aborted by client");
+  error.name = "AbortError";
+  return error;
+}
+
+function toMessage(entry, messages, callId) {
+  if (entry === null || entry === undefined) {
+    const lastUser = [...messages].reverse().find(m => m.role === "user");
+    return { role: "assistant", content: `Mock response to: ${lastUser ? lastUser.content : ""}` };
+  }
+
+  if (typeof entry === "string") {
+    return { role: "assistant", content: entry };
+  }
+
+  const calls = entry.tool ? [entry] : entry.tools;
+  if (Array.isArray(calls)) {
+    return {
+      role: "assistant",
+      content: entry.content || null,
+      tool_calls: calls.map((call, i) => ({
+        id: `call_${callId}_${i}`,
+        type: "function",
+        function: {
+          name: call.tool,
+          arguments: JSON.stringify(call.arguments || {})
+        }
+      }))
+    };
+  }
+
+  return { role: "assistant", content: entry.content ?? null, ...(entry.tool_calls ? { tool_calls: entry.tool_calls } : {}) };
+}
+
+function loadScript(scriptPath) {
+  if (!scriptPath) return [];
+
+  try {
+    const data = JSON.parse(fs.readFileSync(scriptPath, "utf-8"));
+    return Array.isArray(data) ? data : [];
+  } catch (error) {
+    console.error(`❌ Failed to load mock LLM script ${scriptPath}:`, error.message);
+    return [];
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,89 @@
+const axios = require("axios");
+const { collectCompletionStream } = require("../stream");
+
+// Any server exposing POST /chat/completions in the OpenAI format,
+// e.g. Ollama (http://localhost:11434/v1) or llama.cpp's server.
+class OpenAICompatibleProvider {
+  constructor({
+    baseURL = process.env.OPENAI_COMPAT_BASE_URL,
+    apiKey = process.env.OPENAI_COMPAT_API_KEY,
+    model = process.env.OPENAI_COMPAT_MODEL,
+    timeout = Number(process.env.OPENAI_COMPAT_TIMEOUT_MS) || 60000
+  } = {}) {
+    this.name = "openai";
+    this.baseURL = (baseURL || "http://localhost:11434/v1").replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.defaultModel = model || "llama3.1";
+    this.timeout = timeout;
+  }
+
+  async complete({ messages, tools, model, temperature, maxTokens, signal, onToken }) {
+    const body = {
+      model: model || this.defaultModel,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(tools ? { tools, tool_choice: "auto" } : {}),
+      ...(onToken ? { stream: true } : {})
+    };
+
+    try {
+      const response = await axios.post(`${this.baseURL}/chat/completions`, body, {
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        timeout: this.timeout,
+        signal,
+        ...(onToken ? { responseType: "stream" } : {})
+      });
+
+      if (!onToken) {
+        return response.data;
+      }
+
+      const completion = await collectCompletionStream(parseEventStream(response.data), onToken);
+      return { ...completion, model: body.model };
+    } catch (error) {
+      throw toProviderError(error);
+    }
+  }
+}
+
+// Raw `data: {...}` SSE lines -> parsed chunks
+async function* parseEventStream(stream) {
+  let buffer = "";
+
+  for await (const piece of stream) {
+    buffer += piece.toString("utf-8");
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith("data:")) continue;
+
+      const data = trimmed.slice(5).trim();
+      if (data === "[DONE]") return;
+      yield JSON.parse(data);
+    }
+  }
+}
+
+// Same shape as groq-sdk errors (`status`, `error` body) so callers can
+// treat every provider alike
+function toProviderError(error) {
+  if (axios.isCancel(error)) {
+    const abortError = new Error("Request aborted by client");
+    abortError.name = "AbortError";
+    return abortError;
+  }
+
+  const status = error.response?.status;
+  const body = error.response?.data;
+  const detail = body?.error?.message || body?.error || error.message;
+  const providerError = new Error(status ? `${status} ${typeof detail === "string" ? detail : JSON.stringify(detail)}` : error.message);
+  providerError.status = status;
+  providerError.error = body;
+  providerError.code = error.code;
+  return providerError;
+}
+
+module.exports = OpenAICompatibleProvider;
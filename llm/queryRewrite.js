@@ -0,0 +1,107 @@
+// Turns a follow-up like "and the second one?" into a standalone search
+// query using the conversation, optionally with sub-queries for multi-query
+// retrieval. The raw prompt is used whenever rewriting is off or fails.
+
+// off: search with the prompt; rewrite: standalone query (only when there is
+// history); multi: standalone query plus sub-queries
+const REWRITE_MODES = ["off", "rewrite", "multi"];
+
+const MAX_SUB_QUERIES = 3;
+const HISTORY_TURNS = 6;
+
+const REWRITE_PROMPT = `You rewrite chat messages into search queries over the user's personal data (profile, notes, emails, calendar).
+
+Rewrite the LATEST MESSAGE as one standalone query: resolve pronouns and references such as "her", "that project" or "the second one" using the conversation. Keep names and keywords; do not answer the question.
+{sub_queries}
+Reply with JSON only: {"query": "...", "subQueries": [...]}`;
+
+const SUB_QUERY_RULE = `If the message asks about several things, also list up to ${MAX_SUB_QUERIES} short sub-queries, one per thing; otherwise leave "subQueries" empty.`;
+
+function formatConversation(history) {
+  return history
+    .filter(m => (m.role === "user" || m.role === "assistant") && m.content)
+    .slice(-HISTORY_TURNS)
+    .map(m => `${m.role}: ${m.content}`)
+    .join("\n");
+}
+
+// First JSON object in the reply; models sometimes wrap it in prose or fences
+function parseRewrite(content) {
+  const match = typeof content === "string" && content.match(/\{[\s\S]*\}/);
+  if (!match) return null;
+
+  try {
+    const data = JSON.parse(match[0]);
+    if (typeof data?.query !== "string" || !data.query.trim()) return null;
+    return {
+      query: data.query.trim(),
+      subQueries: Array.isArray(data.subQueries)
+        ? data.subQueries.filter(q => typeof q === "string" && q.trim()).map(q => q.trim())
+        : []
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * -> { mode, original, query, queries }. `queries` are what retrieval should
+ * run: the standalone query first, then distinct sub-queries.
+ * `complete(request)` is a chat completion (llm/providers `complete`).
+ */
+async function rewriteQuery({ prompt, history = [], mode = "rewrite", complete, signal }) {
+  const unchanged = { mode, original: prompt, query: prompt, queries: [prompt] };
+  const conversation = formatConversation(history);
+
+  if (mode === "off" || (mode === "rewrite" && !conversation)) {
+    return unchanged;
+  }
+
+  let rewrite;
+  try {
+    const completion = await complete({
+      messages: [
+        {
+          role: "system",
+          content: REWRITE_PROMPT.replace("{sub_queries}", mode === "multi" ? `\n${SUB_QUERY_RULE}\n` : "")
+        },
+        {
+          role: "user",
+          content: `${conversation ? `CONVERSATION:\n${conversation}\n\n` : ""}LATEST MESSAGE: ${prompt}`
+        }
+      ],
+      temperature: 0,
+      maxTokens: 200,
+      signal
+    });
+    rewrite = parseRewrite(completion.choices?.[0]?.message?.content);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn("⚠️ Query rewrite failed - searching with the prompt:", error.message);
+    return unchanged;
+  }
+
+  if (!rewrite) {
+    console.warn("⚠️ Query rewrite returned no usable query - searching with the prompt");
+    return unchanged;
+  }
+
+  const queries = [];
+  const seen = new Set();
+  for (const query of [rewrite.query, ...(mode === "multi" ? rewrite.subQueries.slice(0, MAX_SUB_QUERIES) : [])]) {
+    const key = query.toLowerCase();
+    if (!seen.has(key)) {
+      seen.add(key);
+      queries.push(query);
+    }
+  }
+
+  return { mode, original: prompt, query: rewrite.query, queries };
+}
+
+module.exports = {
+  REWRITE_MODES,
+  MAX_SUB_QUERIES,
+  parseRewrite,
+  rewriteQuery
+};
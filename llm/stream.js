@@ -0,0 +1,103 @@
+// Streaming helpers: assembling streamed chat completions and writing
+// Server-Sent Events.
+//
+// SSE EVENT FORMAT (POST /ask/stream, or POST /ask with
+// `Accept: text/event-stream`). Every event is
+//
+//   id: <increasing integer>
+//   event: <type>
+//   data: <JSON object>
+//
+// Event types, in the order they can occur:
+//   start        { sessionId, timestamp }
+//   rag_context  { queries, chunks: [{ id, field, source, score, content }] }
+//   token        { step, delta }                 answer text as it is generated
+//   tool_start   { step, tool, arguments }
+//   tool_result  { step, tool, arguments, result, success, durationMs }
+//   done         the complete /ask JSON response, plus `status`; its
+//                `answer` has invalid citations removed, so it can differ
+//                from the concatenated tokens
+//   error        { error, status }               the stream ends after it
+//
+// `token`, `tool_start` and `tool_result` repeat for each agent step. Plain
+// calculations answered without the LLM send no `rag_context` or `token`,
+// only one `tool_start` / `tool_result` pair. A comment line (": ping") is
+// sent periodically to keep proxies from closing idle connections; clients
+// should ignore it.
+
+const HEARTBEAT_MS = 15000;
+
+// Streamed chunks -> the same { choices: [{ message }] } shape as a normal completion
+async function collectCompletionStream(stream, onToken = () => {}) {
+  const message = { role: "assistant", content: "", tool_calls: [] };
+  let finishReason = null;
+
+  for await (const chunk of stream) {
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+
+    const delta = choice.delta || {};
+    if (delta.content) {
+      message.content += delta.content;
+      onToken(delta.content);
+    }
+
+    for (const call of delta.tool_calls || []) {
+      const index = call.index ?? message.tool_calls.length;
+      const slot = message.tool_calls[index] || (message.tool_calls[index] = {
+        id: call.id,
+        type: "function",
+        function: { name: "", arguments: "" }
+      });
+
+      if (call.id) slot.id = call.id;
+      if (call.function?.name) slot.function.name += call.function.name;
+      if (call.function?.arguments) slot.function.arguments += call.function.arguments;
+    }
+
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  }
+
+  message.tool_calls = message.tool_calls.filter(Boolean);
+  if (message.tool_calls.length === 0) delete message.tool_calls;
+
+  return { choices: [{ index: 0, message, finish_reason: finishReason }] };
+}
+
+function openEventStream(res) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  let id = 0;
+  const isOpen = () => !res.writableEnded && !res.destroyed;
+  const heartbeat = setInterval(() => {
+    if (isOpen()) res.write(": ping\n\n");
+  }, HEARTBEAT_MS);
+
+  return {
+    send(event, data) {
+      if (!isOpen()) return;
+      res.write(`id: ${++id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (isOpen()) res.end();
+    },
+    isOpen
+  };
+}
+
+function wantsEventStream(req) {
+  return String(req.headers.accept || "").includes("text/event-stream");
+}
+
+module.exports = {
+  collectCompletionStream,
+  openEventStream,
+  wantsEventStream
+};
@@ -0,0 +1,263 @@
+// Tool calling helpers: native function-calling definitions generated from
+// the server tool registry, plus the TOOL_CALL text parser used as a fallback
+// for models without tool support.
+
+/* ---------------- NATIVE TOOLS ---------------- */
+
+// Registry entries -> `tools` parameter of chat.completions.create
+function buildToolDefinitions(tools) {
+  return tools.map(tool => ({
+    type: "function",
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+// Tool listing for the system prompt, generated from the same registry
+function formatToolListing(tools, { includeParameters = true } = {}) {
+  return tools.map(tool => includeParameters ? `
+- ${tool.name}: ${tool.description}
+  Parameters: ${JSON.stringify(tool.parameters.properties)}
+  Required: ${tool.parameters.required?.join(', ') || 'none'}
+` : `
+- ${tool.name}: ${tool.description}`).join('');
+}
+
+// `message.tool_calls` -> [{ id, name, arguments }]
+function parseNativeToolCalls(message) {
+  if (!message || !Array.isArray(message.tool_calls)) return [];
+
+  return message.tool_calls
+    .filter(call => call.function?.name)
+    .map(call => {
+      const rawArgs = call.function.arguments;
+      let args = {};
+
+      if (rawArgs && typeof rawArgs === "object") {
+        args = rawArgs;
+      } else if (typeof rawArgs === "string" && rawArgs.trim() !== "") {
+        const parsed = tryParseJSON(rawArgs);
+        if (!parsed) {
+          console.error(`❌ Invalid arguments JSON for tool ${call.function.name}:`, rawArgs);
+        }
+        args = parsed || {};
+      }
+
+      return {
+        id: call.id,
+        name: call.function.name,
+        arguments: args
+      };
+    });
+}
+
+// Groq rejects the request with `tool_use_failed` when the model emits a
+// malformed tool call; the raw generation is still worth parsing as text.
+function getFailedGeneration(error) {
+  const body = error?.error?.error || error?.error;
+  return body?.code === "tool_use_failed" ? body.failed_generation || null : null;
+}
+
+// Model or endpoint does not accept the `tools` parameter at all
+function isToolsUnsupportedError(error) {
+  const message = String(error?.message || "").toLowerCase();
+  return error?.status === 400 &&
+    (message.includes("tool") || message.includes("function")) &&
+    (message.includes("not support") || message.includes("unsupported"));
+}
+
+/* ---------------- TEXT FALLBACK ---------------- */
+
+function tryParseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+const JSON_ESCAPES = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f", "/": "/", "\\": "\\", '"': '"', "'": "'" };
+
+// Reads a quoted string starting at `start` (either quote style). A quote only
+// closes the string when followed by , } ] : or the end, so apostrophes inside
+// values ("it's 10:30") survive.
+function readString(text, start) {
+  const quote = text[start];
+  let value = "";
+  let i = start + 1;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === "\\" && i + 1 < text.length) {
+      const next = text[i + 1];
+      if (next === "u" && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))) {
+        value += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+        i += 6;
+      } else {
+        value += JSON_ESCAPES[next] ?? next;
+        i += 2;
+      }
+      continue;
+    }
+
+    if (ch === quote && /^\s*(?:[,}\]:]|$)/.test(text.slice(i + 1))) {
+      return { value, end: i + 1 };
+    }
+
+    value += ch;
+    i++;
+  }
+
+  return { value, end: text.length };
+}
+
+// Lenient JSON: single quotes, bare keys, Python literals, trailing commas
+function repairJSON(text) {
+  let out = "";
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '"' || ch === "'") {
+      const { value, end } = readString(text, i);
+      out += JSON.stringify(value);
+      i = end;
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(ch)) {
+      let j = i;
+      while (j < text.length && /[\w$-]/.test(text[j])) j++;
+      const word = text.slice(i, j);
+      const literals = { true: "true", false: "false", null: "null", True: "true", False: "false", None: "null" };
+
+      if (/^\s*:/.test(text.slice(j))) {
+        out += JSON.stringify(word);
+      } else {
+        out += literals[word] ?? JSON.stringify(word);
+      }
+      i = j;
+      continue;
+    }
+
+    // Drop trailing and duplicate commas
+    if (ch === "," && /^\s*[,}\]]/.test(text.slice(i + 1))) {
+      i++;
+      continue;
+    }
+
+    out += ch;
+    i++;
+  }
+
+  return out;
+}
+
+// The {...} starting at `start`, with braces inside strings ignored.
+// Truncated generations get their missing closing braces added.
+function extractBalancedObject(text, start) {
+  let depth = 0;
+  let i = start;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '"' || ch === "'") {
+      i = readString(text, i).end;
+      continue;
+    }
+
+    if (ch === "{") depth++;
+    if (ch === "}") {
+      depth--;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+    i++;
+  }
+
+  return depth > 0 ? text.slice(start).trimEnd() + "}".repeat(depth) : null;
+}
+
+function parseObject(raw) {
+  if (!raw) return null;
+  const parsed = tryParseJSON(raw) ?? tryParseJSON(repairJSON(raw));
+  return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+}
+
+// Accepts the shapes models actually produce: arguments / parameters / args,
+// OpenAI-style { function: { name, arguments } } and stringified arguments
+function normalizeToolCall(obj, { requireArguments = false } = {}) {
+  if (!obj) return null;
+
+  const name = obj.name || obj.tool || obj.tool_name || obj.function?.name;
+  if (typeof name !== "string" || !/^[A-Za-z_][\w-]*$/.test(name)) return null;
+
+  let args = obj.arguments ?? obj.parameters ?? obj.args ?? obj.function?.arguments;
+  if (args === undefined && requireArguments) return null;
+  if (typeof args === "string") args = parseObject(args);
+  if (!args || typeof args !== "object" || Array.isArray(args)) args = {};
+
+  return { name, arguments: args };
+}
+
+function parseToolCall(response) {
+  if (!response || typeof response !== "string") return null;
+  
+  console.log("🔍 Parsing LLM response:", response.substring(0, 200) + (response.length > 200 ? "..." : ""));
+  
+  const cleanResponse = response.trim();
+  
+  // Llama-style <function=name>{...}</function> generations
+  const functionTagMatch = cleanResponse.match(/<function=([\w-]+)>?\s*([\s\S]*?)<\/function>/);
+  if (functionTagMatch) {
+    const body = functionTagMatch[2].trim();
+    const args = body ? parseObject(body.slice(body.indexOf("{"))) : {};
+    if (args) {
+      console.log("✅ Parsed tool call from <function> tag:", functionTagMatch[1]);
+      return { name: functionTagMatch[1], arguments: args };
+    }
+  }
+
+  // TOOL_CALL:{...} pattern
+  const markerIndex = cleanResponse.search(/TOOL_CALL\s*:?/i);
+  if (markerIndex !== -1) {
+    const braceIndex = cleanResponse.indexOf("{", markerIndex);
+    if (braceIndex !== -1) {
+      const toolCall = normalizeToolCall(parseObject(extractBalancedObject(cleanResponse, braceIndex)));
+      if (toolCall) {
+        console.log("✅ Parsed tool call from TOOL_CALL pattern:", toolCall);
+        return toolCall;
+      }
+      console.error("❌ Failed to parse TOOL_CALL JSON:", cleanResponse.slice(braceIndex, braceIndex + 200));
+    }
+  }
+  
+  // Bare JSON object (possibly in a code fence) that names a tool and its arguments
+  for (let i = cleanResponse.indexOf("{"); i !== -1; i = cleanResponse.indexOf("{", i + 1)) {
+    const candidate = extractBalancedObject(cleanResponse, i);
+    const toolCall = normalizeToolCall(parseObject(candidate), { requireArguments: true });
+    if (toolCall) {
+      console.log("✅ Parsed tool call from JSON extraction:", toolCall);
+      return toolCall;
+    }
+    if (candidate) i += candidate.length - 1;
+  }
+  
+  console.log("❌ No valid tool call detected");
+  return null;
+}
+
+module.exports = {
+  buildToolDefinitions,
+  formatToolListing,
+  parseNativeToolCalls,
+  getFailedGeneration,
+  isToolsUnsupportedError,
+  parseToolCall,
+  repairJSON
+};
@@ -0,0 +1,308 @@
+const { create, all } = require("mathjs");
+
+/*
+ * Calculator behind the `calculate` tool: a mathjs instance with functions,
+ * units ("5 km to miles"), matrices, complex numbers, percentages
+ * ("15% of 200", "200 + 10%") and variables. Statements are separated by ";"
+ * or newlines; "x = 5" and "f(x) = x^2" define variables that later
+ * calculations of the same session can use.
+ *
+ * The instance is sandboxed: functions that evaluate code or change the
+ * instance are disabled, and expression length and matrix sizes are capped.
+ */
+const MAX_EXPRESSION_LENGTH = 500;
+const MAX_MATRIX_SIZE = 10000;
+const MAX_STEPS = 20;
+const PRECISION = 14;
+
+const math = create(all);
+
+// Kept before they are disabled inside expressions
+const parse = math.parse;
+const reviver = math.reviver;
+// Exponential notation only for very large or small numbers
+const format = value => math.format(value, { precision: PRECISION, lowerExp: -9, upperExp: 15 });
+
+const DISABLED_FUNCTIONS = [
+  "import", "createUnit", "reviver", "evaluate", "parse", "compile", "resolve",
+  "simplify", "simplifyConstant", "simplifyCore", "rationalize", "derivative"
+];
+
+/* ---------------- SANDBOX ---------------- */
+
+function disabled(name) {
+  return function () {
+    const error = new Error(`Function ${name} is disabled`);
+    error.code = "function_disabled";
+    throw error;
+  };
+}
+
+// Wraps a matrix constructor so it cannot allocate more than MAX_MATRIX_SIZE elements
+function limited(name, countElements) {
+  const original = math[name];
+  return function (...args) {
+    if (countElements(args) > MAX_MATRIX_SIZE) {
+      const error = new Error(`${name}() would create more than ${MAX_MATRIX_SIZE} elements`);
+      error.code = "result_too_large";
+      throw error;
+    }
+    return original(...args);
+  };
+}
+
+function sizeArguments(args) {
+  return args
+    .flatMap(arg => (arg && typeof arg.toArray === "function" ? arg.toArray() : [arg]))
+    .map(arg => (math.isBigNumber(arg) ? arg.toNumber() : arg))
+    .filter(arg => typeof arg === "number");
+}
+
+const product = numbers => numbers.reduce((total, n) => total * Math.abs(n), 1);
+
+// Dimensions of a matrix or nested array, without walking its elements
+function dimensions(value) {
+  if (math.isMatrix(value)) return value.size();
+  if (!Array.isArray(value)) return [];
+  return [value.length, ...(value.length > 0 ? dimensions(value[0]) : [])];
+}
+
+const elementCount = value => (math.isMatrix(value) || Array.isArray(value) ? product(dimensions(value)) : 1);
+const isCollection = value => math.isMatrix(value) || Array.isArray(value);
+
+function rangeLength(args) {
+  const [start, end, step = 1] = typeof args[0] === "string"
+    ? args[0].split(":").map(Number)
+    : sizeArguments(args);
+  return Math.abs((end - start) / (step || 1));
+}
+
+// random([rows, cols]) / randomInt([rows, cols], ...) return a matrix; random(min, max) a number
+const randomSize = args => (isCollection(args[0]) ? product(sizeArguments([args[0]])) : 1);
+
+function diagonalSize([x, k = 0]) {
+  const size = dimensions(x);
+  // A vector becomes a square matrix; a matrix gives back a vector
+  return size.length === 1 ? (size[0] + Math.abs(Number(k) || 0)) ** 2 : elementCount(x);
+}
+
+// Every function that can build a matrix is limited by the size it would create
+math.import({
+  ...Object.fromEntries(DISABLED_FUNCTIONS.map(name => [name, disabled(name)])),
+  zeros: limited("zeros", args => product(sizeArguments(args))),
+  ones: limited("ones", args => product(sizeArguments(args))),
+  identity: limited("identity", args => {
+    const [rows, cols = rows] = sizeArguments(args);
+    return rows * cols;
+  }),
+  range: limited("range", rangeLength),
+  resize: limited("resize", args => product(sizeArguments([args[1]]))),
+  reshape: limited("reshape", args => Math.max(elementCount(args[0]), product(sizeArguments([args[1]])))),
+  random: limited("random", randomSize),
+  randomInt: limited("randomInt", randomSize),
+  pickRandom: limited("pickRandom", args => (typeof args[1] === "number" ? args[1] : Number(args[1]?.number) || 1)),
+  kron: limited("kron", args => elementCount(args[0]) * elementCount(args[1])),
+  diag: limited("diag", diagonalSize),
+  concat: limited("concat", args => args.filter(isCollection).reduce((total, arg) => total + elementCount(arg), 0)),
+  matrix: limited("matrix", args => elementCount(args[0])),
+  sparse: limited("sparse", args => elementCount(args[0]))
+}, { override: true });
+
+/* ---------------- VARIABLES ---------------- */
+
+// Stored form: { name: { value } | { definition } }. Values go through mathjs'
+// JSON replacer so units and matrices survive; functions keep their source.
+function loadScope(variables = {}) {
+  const scope = new Map();
+
+  for (const [name, entry] of Object.entries(variables)) {
+    try {
+      if (entry.definition) {
+        parse(entry.definition).compile().evaluate(scope);
+      } else {
+        scope.set(name, JSON.parse(JSON.stringify(entry.value), reviver));
+      }
+    } catch (error) {
+      console.warn(`⚠️ Skipping stored variable ${name}:`, error.message);
+    }
+  }
+  return scope;
+}
+
+function saveScope(scope, definitions) {
+  const variables = {};
+  for (const [name, value] of scope) {
+    variables[name] = typeof value === "function"
+      ? { definition: definitions[name] }
+      : { value: JSON.parse(JSON.stringify(value, math.replacer)) };
+  }
+  return variables;
+}
+
+function describeScope(scope, definitions) {
+  return Object.fromEntries([...scope].map(([name, value]) => [
+    name,
+    typeof value === "function" ? definitions[name] : format(value)
+  ]));
+}
+
+/* ---------------- STEPS ---------------- */
+
+// Matrices larger than this show as "[99x99 matrix]" in the steps
+const MAX_STEP_ELEMENTS = 25;
+
+const isLarge = value => isCollection(value) && elementCount(value) > MAX_STEP_ELEMENTS;
+
+function display(value) {
+  return isLarge(value) ? `[${dimensions(value).join("x")} matrix]` : format(value);
+}
+
+// Steps continue with the value as displayed; large matrices are carried
+// as they are and only printed as their summary
+function toNode(value) {
+  if (isLarge(value)) {
+    const node = new math.ConstantNode(value);
+    node._toString = () => display(value);
+    return node;
+  }
+  if (typeof value === "number" && value >= 0) return new math.ConstantNode(Number(format(value)));
+  return new math.ParenthesisNode(parse(format(value)));
+}
+
+// Post-order walk: each operator or function call whose arguments are already
+// values becomes one step, then stands in for its value in its parent
+function explain(node, scope, steps) {
+  if (node.isParenthesisNode) return explain(node.content, scope, steps);
+  if (node.isAssignmentNode && !node.index) {
+    const value = explain(node.value, scope, steps);
+    steps.push(`${node.name} = ${value.toString()}`);
+    return value;
+  }
+  if (!node.isOperatorNode && !node.isFunctionNode) return node;
+
+  const args = node.args.map(arg => explain(arg, scope, steps));
+  const reduced = node.isOperatorNode
+    ? new math.OperatorNode(node.op, node.fn, args, node.implicit)
+    : new math.FunctionNode(node.fn, args);
+  const value = reduced.compile().evaluate(new Map(scope));
+
+  const shown = reduced.toString();
+  if (shown !== display(value)) {
+    steps.push(`${shown} = ${display(value)}`);
+  }
+  return toNode(value);
+}
+
+/* ---------------- EVALUATION ---------------- */
+
+// "15% of 200" -> "15% * 200"; mathjs handles "50%" and "200 + 10%" itself
+function normalizeExpression(expression) {
+  return expression.replace(/(\d+(?:\.\d+)?)\s*%\s*of\b/gi, "$1% *").trim();
+}
+
+function calculationError(code, details, extra = {}) {
+  const messages = {
+    empty_expression: "No expression to calculate",
+    expression_too_long: "Expression is too long",
+    syntax_error: "Invalid mathematical expression",
+    undefined_symbol: "Unknown variable or function",
+    function_disabled: "Function not allowed",
+    result_too_large: "Result is too large",
+    evaluation_error: "Could not evaluate the expression"
+  };
+
+  return {
+    error: messages[code],
+    code,
+    details,
+    ...extra,
+    suggestion: "Try an expression like 'sqrt(16)', '2^10', '15% of 200', '5 km to miles' or 'x = 5; x * 3'"
+  };
+}
+
+/**
+ * Evaluates `expression` with the stored `variables` of a session.
+ * Returns { result, variables }: `result` is the tool result (or an error
+ * object with a `code`), `variables` the updated store to save, or null
+ * when nothing may be saved.
+ */
+function calculate(expression, { variables = {} } = {}) {
+  const text = typeof expression === "string" ? normalizeExpression(expression) : "";
+
+  if (!text) {
+    return { result: calculationError("empty_expression", "The expression is empty", { expression }), variables: null };
+  }
+  if (text.length > MAX_EXPRESSION_LENGTH) {
+    return {
+      result: calculationError("expression_too_long", `Expressions are limited to ${MAX_EXPRESSION_LENGTH} characters`, { expression }),
+      variables: null
+    };
+  }
+
+  const scope = loadScope(variables);
+  const definitions = Object.fromEntries(
+    Object.entries(variables).filter(([, entry]) => entry.definition).map(([name, entry]) => [name, entry.definition])
+  );
+
+  try {
+    const root = parse(text);
+    const statements = root.isBlockNode ? root.blocks.map(block => block.node) : [root];
+    const steps = [];
+    let value;
+    let last;
+
+    for (const node of statements) {
+      last = node;
+      try {
+        explain(node, scope, steps);
+      } catch (error) {
+        // Steps are only an explanation; the evaluation below decides
+      }
+
+      value = node.compile().evaluate(scope);
+
+      if (node.isFunctionAssignmentNode) {
+        definitions[node.name] = node.toString();
+      } else if (node.isAssignmentNode && node.name) {
+        delete definitions[node.name];
+      }
+    }
+
+    const result = typeof value === "function" ? definitions[last.name] : format(value);
+    // "x = 5" and "f(x) = ..." already read as results
+    const formatted = last.isFunctionAssignmentNode ? result
+      : last.isAssignmentNode && last.name ? `${last.name} = ${result}`
+        : `${expression} = ${result}`;
+
+    return {
+      result: {
+        expression,
+        result,
+        formatted,
+        type: math.typeOf(value),
+        steps: steps.slice(0, MAX_STEPS),
+        ...(scope.size ? { variables: describeScope(scope, definitions) } : {})
+      },
+      variables: saveScope(scope, definitions)
+    };
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return { result: calculationError("syntax_error", error.message, { expression, position: error.char ?? null }), variables: null };
+    }
+
+    const undefinedSymbol = error.message.match(/^Undefined (?:symbol|function) (\S+)/);
+    if (undefinedSymbol) {
+      return { result: calculationError("undefined_symbol", error.message, { expression, symbol: undefinedSymbol[1] }), variables: null };
+    }
+
+    return {
+      result: calculationError(error.code || "evaluation_error", error.message, { expression }),
+      variables: null
+    };
+  }
+}
+
+module.exports = {
+  MAX_EXPRESSION_LENGTH,
+  calculate
+};
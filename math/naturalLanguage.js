@@ -0,0 +1,181 @@
+/*
+ * Deterministic natural-language -> mathjs translation, run before the
+ * calculator so "twelve plus seven", "what is 20 percent of 350" or
+ * "how many feet in 3 metres" need no LLM to become an expression:
+ *   - number words: "twenty-one", "two thousand and five", "three point one four"
+ *   - operators: plus, minus, times, multiplied by, divided by, over, mod, x
+ *   - "add 3 and 4", "subtract 3 from 10", "multiply 6 by 7", "divide 10 by 4",
+ *     "the sum / product of a and b", "the difference between a and b"
+ *   - "20 percent of 350", "squared", "cubed", "to the power of",
+ *     "to the 4th power", "square root of 16", "5 factorial", "half of 50"
+ *   - currency amounts ("$1,200", "20 dollars") become plain numbers
+ *   - unit phrases: "convert X to Y", "X in Y", "how many Y in X", and
+ *     spellings mathjs does not know (metres, pounds, mph, °C)
+ * Anything else is left alone, so a valid mathjs expression passes through
+ * unchanged.
+ */
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+  sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+const SCALE_WORDS = { thousand: 1e3, million: 1e6, billion: 1e9 };
+
+const WORD = `(?:${[...Object.keys(NUMBER_WORDS), "hundred", ...Object.keys(SCALE_WORDS)].join("|")})`;
+const DIGIT_WORD = `(?:${Object.keys(NUMBER_WORDS).slice(0, 10).join("|")})`;
+// "and" only joins after a scale: "one hundred and five", not "five and six"
+const NUMBER_PHRASE = new RegExp(
+  `\\b${WORD}(?:(?:[\\s-]+|(?<=hundred|thousand|million|billion)\\s+and\\s+)${WORD})*(?:\\s+point(?:\\s+${DIGIT_WORD})+)?\\b`,
+  "gi"
+);
+
+// An operand once number words are digits: 12, -3.5, 20%, (2 + 3)
+const OPERAND = String.raw`(-?\d+(?:\.\d+)?%?|\([^()]*\))`;
+
+// Unit spellings mathjs does not understand
+const UNIT_ALIASES = [
+  [/\b(kilo|centi|milli|micro|nano)?metre(s?)\b/gi, "$1meter$2"],
+  [/\b(milli|centi)?litre(s?)\b/gi, "$1liter$2"],
+  [/\bpounds?\b/gi, "lb"],
+  [/\bounces\b/gi, "oz"],
+  [/\bmph\b/gi, "mi/h"],
+  [/\b(kph|kmh)\b/gi, "km/h"],
+  [/°\s*c\b|\bdegrees? c(?:elsius)?\b/gi, "degC"],
+  [/°\s*f\b|\bdegrees? f(?:ahrenheit)?\b/gi, "degF"]
+];
+
+// Leading and trailing words of a question around the math itself
+const QUESTION_PREFIX = /^(?:(?:hey|ok|okay|please)[,\s]+)*(?:what(?:'s|\s+is|\s+are)|whats|how much is|calculate|compute|evaluate|work out|figure out|convert|solve)\s+/i;
+const QUESTION_SUFFIX = /(?:\s*(?:please|equals?|=))?[\s?.!]*$/i;
+
+// What makes a translated expression a calculation rather than a bare value
+// ("3pm", "2 hours") that mathjs would also evaluate
+const MATH_SIGNALS = [
+  // An operator between operands: 3 + 4, 2^10, x = 5, 17 mod 5
+  /[\w.)\]%!]\s*(?:[+*^=]|\bmod\b)\s*[\w.(\[-]/i,
+  // - and / only when spaced or next to brackets: 10 / 4, (2 + 3)/5, but not 12/25 or 555-1234
+  /[\w.)\]](?:\s+[-/]\s*|\s*[-/]\s+)[\w.(\[-]|[)\]]\s*[-/]|[-/]\s*[([]/,
+  // sqrt(16), det([1, 2; 3, 4]), 5!, 20% of 350
+  /\b[a-z]\w*\s*\(|\[|[\d)]!|%\s*of\b/i,
+  // Unit conversions: 5 km to miles
+  /\S\s+to\s+[a-z]/i
+];
+// 12/25 or 555-1234 count only when asked for explicitly ("what is 12/25")
+const ASKED_SIGNAL = /[\w.)]\s*[-/]\s*[\w.(]/;
+
+/* ---------------- NUMBERS ---------------- */
+
+function wordsToNumber(phrase) {
+  const [whole, fraction] = phrase.toLowerCase().split(/\s+point\s+/);
+  let total = 0;
+  let current = 0;
+
+  for (const word of whole.split(/[\s-]+/)) {
+    if (word === "and") continue;
+    if (word === "hundred") {
+      current = (current || 1) * 100;
+    } else if (SCALE_WORDS[word]) {
+      total += (current || 1) * SCALE_WORDS[word];
+      current = 0;
+    } else {
+      current += NUMBER_WORDS[word];
+    }
+  }
+
+  const number = String(total + current);
+  return fraction ? `${number}.${fraction.split(/\s+/).map(word => NUMBER_WORDS[word]).join("")}` : number;
+}
+
+function translateNumbers(text) {
+  return text
+    .replace(/[$€£¥]\s?(\d)/g, "$1")
+    // 1,200 -> 1200, except inside calls and matrices where "," separates arguments
+    .replace(/\b\d{1,3}(?:,\d{3})+(?:\.\d+)?\b/g, match => (/[([]/.test(text) ? match : match.replace(/,/g, "")))
+    .replace(/(\d)\s*(?:dollars?|bucks|usd|euros?|eur|gbp|yen)\b/gi, "$1")
+    .replace(NUMBER_PHRASE, wordsToNumber)
+    .replace(/\bnegative\s+(?=\d)/gi, "-");
+}
+
+/* ---------------- OPERATORS ---------------- */
+
+const VERB_FORMS = [
+  [new RegExp(`\\badd\\s+${OPERAND}\\s+(?:and|to)\\s+${OPERAND}`, "gi"), "$1 + $2"],
+  [new RegExp(`\\bsubtract\\s+${OPERAND}\\s+from\\s+${OPERAND}`, "gi"), "$2 - $1"],
+  [new RegExp(`\\bmultiply\\s+${OPERAND}\\s+(?:by|and)\\s+${OPERAND}`, "gi"), "$1 * $2"],
+  [new RegExp(`\\bdivide\\s+${OPERAND}\\s+by\\s+${OPERAND}`, "gi"), "$1 / $2"],
+  [new RegExp(`\\b(?:the\\s+)?sum of\\s+${OPERAND}\\s+and\\s+${OPERAND}`, "gi"), "$1 + $2"],
+  [new RegExp(`\\b(?:the\\s+)?product of\\s+${OPERAND}\\s+and\\s+${OPERAND}`, "gi"), "$1 * $2"],
+  [new RegExp(`\\b(?:the\\s+)?difference between\\s+${OPERAND}\\s+and\\s+${OPERAND}`, "gi"), "$1 - $2"],
+  [new RegExp(`\\b(?:the\\s+)?remainder of\\s+${OPERAND}\\s+divided by\\s+${OPERAND}`, "gi"), "$1 mod $2"],
+  [new RegExp(`\\b(?:the\\s+)?square root of\\s+${OPERAND}`, "gi"), "sqrt($1)"],
+  [new RegExp(`\\b(?:the\\s+)?cube root of\\s+${OPERAND}`, "gi"), "cbrt($1)"],
+  [new RegExp(`\\b(?:the\\s+)?factorial of\\s+${OPERAND}`, "gi"), "$1!"]
+];
+
+const OPERATOR_WORDS = [
+  [/(\d)\s*(?:percent|per cent|pct)\b/gi, "$1%"],
+  [/\s*\bsquared\b/gi, "^2"],
+  [/\s*\bcubed\b/gi, "^3"],
+  [/\s*\bto the (\d+)(?:st|nd|rd|th)? power\b/gi, "^$1"],
+  [/\s*\b(?:to the power of|raised to(?: the power of)?)\s*/gi, "^"],
+  [/\s*\bfactorial\b/gi, "!"],
+  [/\bhalf of\s+/gi, "0.5 * "],
+  [/\btwice\s+/gi, "2 * "],
+  [/\s+(?:plus|added to)\s+/gi, " + "],
+  [/\s+(?:minus|take away)\s+/gi, " - "],
+  [/\s+(?:times|multiplied by)\s+/gi, " * "],
+  [/(\d|\))\s*[x×]\s*(?=[\d(])/gi, "$1 * "],
+  [/\s+(?:divided by|over)\s+/gi, " / "],
+  [/÷/g, " / "],
+  [/\s+modulo\s+/gi, " mod "]
+];
+
+/* ---------------- UNITS ---------------- */
+
+function translateUnits(text) {
+  let result = UNIT_ALIASES.reduce((current, [pattern, unit]) => current.replace(pattern, unit), text);
+
+  // "how many feet (are there) in 3 meters" -> "3 meters to feet"
+  result = result.replace(/^how many\s+(.+?)\s+(?:are\s+)?(?:there\s+)?in\s+(.+)$/i, "$2 to $1");
+  // "convert 5 km into miles", "5 km in miles" -> "5 km to miles"
+  result = result.replace(/^convert\s+(?=\d)/i, "");
+  result = result.replace(/(\d\s*[a-z][\w/]*)\s+(?:in|into|as)\s+(?=[a-z])/gi, "$1 to ");
+
+  return result;
+}
+
+/* ---------------- PUBLIC ---------------- */
+
+// Natural-language math -> a mathjs expression; mathjs input comes back unchanged
+function translateExpression(text) {
+  let result = translateNumbers(String(text));
+  result = VERB_FORMS.reduce((current, [pattern, replacement]) => current.replace(pattern, replacement), result);
+  result = OPERATOR_WORDS.reduce((current, [pattern, replacement]) => current.replace(pattern, replacement), result);
+  result = translateUnits(result);
+  // Newlines separate statements, so only spaces collapse
+  return result.replace(/[ \t]+/g, " ").trim();
+}
+
+/**
+ * The math inside a question ("What is twelve plus seven?" -> "twelve plus
+ * seven") with its translation, or null when it has no number or nothing
+ * that makes it a calculation: bare numbers and units ("3pm", "2 hours")
+ * are replies, not math. Whether it evaluates is left to the calculator.
+ */
+function parseMathRequest(prompt) {
+  if (typeof prompt !== "string") return null;
+
+  const asked = QUESTION_PREFIX.test(prompt.trim());
+  const input = prompt.trim().replace(QUESTION_PREFIX, "").replace(QUESTION_SUFFIX, "").trim();
+  const expression = translateExpression(input);
+  const isMath = MATH_SIGNALS.some(pattern => pattern.test(expression)) || (asked && ASKED_SIGNAL.test(expression));
+
+  return /\d/.test(expression) && isMath ? { input, expression } : null;
+}
+
+module.exports = {
+  translateExpression,
+  parseMathRequest
+};
@@ -0,0 +1,160 @@
+const path = require("path");
+
+const NOTE_FORMATS = ["markdown", "text", "pdf", "json"];
+
+const EXTENSIONS = {
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".txt": "text",
+  ".pdf": "pdf",
+  ".json": "json"
+};
+
+const MIME_TYPES = {
+  "text/markdown": "markdown",
+  "text/x-markdown": "markdown",
+  "text/plain": "text",
+  "application/pdf": "pdf",
+  "application/json": "json"
+};
+
+// Content that cannot be parsed; routes answer with `status`
+function parseError(message) {
+  const error = new Error(message);
+  error.status = 422;
+  return error;
+}
+
+// Explicit format, then file extension, then MIME type
+function detectFormat({ format, filename, mimeType } = {}) {
+  if (format) {
+    return NOTE_FORMATS.includes(format) ? format : null;
+  }
+  if (filename) {
+    const byExtension = EXTENSIONS[path.extname(filename).toLowerCase()];
+    if (byExtension) return byExtension;
+  }
+  if (mimeType) {
+    return MIME_TYPES[mimeType.split(";")[0].trim().toLowerCase()] || null;
+  }
+  return "text";
+}
+
+/* ---------------- PARSERS ---------------- */
+
+// One section per heading; `heading` is the trail of enclosing headings
+function parseMarkdown(text) {
+  const sections = [];
+  const trail = [];
+  let lines = [];
+
+  const flush = () => {
+    const content = lines.join("\n").trim();
+    if (content) {
+      sections.push({ heading: trail.filter(Boolean).join(" > ") || null, content });
+    }
+    lines = [];
+  };
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (match) {
+      flush();
+      const level = match[1].length;
+      trail.length = level;
+      trail[level - 1] = match[2];
+      continue;
+    }
+    lines.push(line);
+  }
+  flush();
+
+  return sections;
+}
+
+function parseText(text) {
+  const content = text.trim();
+  return content ? [{ heading: null, content }] : [];
+}
+
+async function parsePdf(buffer) {
+  // Loaded lazily like the embedder; the lib entry avoids pdf-parse's debug mode
+  const pdf = require("pdf-parse/lib/pdf-parse.js");
+
+  let data;
+  try {
+    data = await pdf(buffer);
+  } catch (error) {
+    throw parseError(`Could not read PDF: ${error.message}`);
+  }
+
+  // Scanned PDFs have no text layer
+  return parseText(data.text);
+}
+
+// Arbitrary JSON: one section per top-level key, leaves as "a.b[0]: value" lines
+function parseJson(value) {
+  const lines = (node, prefix) => {
+    if (node === null || typeof node !== "object") {
+      return [`${prefix}: ${node}`];
+    }
+    const entries = Array.isArray(node)
+      ? node.map((child, i) => [`${prefix}[${i}]`, child])
+      : Object.entries(node).map(([key, child]) => [prefix ? `${prefix}.${key}` : key, child]);
+    return entries.flatMap(([childPath, child]) => lines(child, childPath));
+  };
+
+  if (value === null || typeof value !== "object") {
+    return parseText(String(value));
+  }
+
+  const entries = Array.isArray(value) ? value.map((child, i) => [`[${i}]`, child]) : Object.entries(value);
+  return entries
+    .map(([key, child]) => ({ heading: key, content: lines(child, key).join("\n") }))
+    .filter(section => section.content.trim());
+}
+
+/**
+ * content -> sections [{ heading, content }].
+ * `content` is a string (text formats, or base64 with `encoding: "base64"`),
+ * a Buffer (raw uploads) or, for JSON, an already parsed value.
+ */
+async function parseNote({ format, content, encoding }) {
+  if (content === undefined || content === null || content === "") {
+    throw parseError("Note content is required");
+  }
+
+  const toBuffer = () => {
+    if (Buffer.isBuffer(content)) return content;
+    if (typeof content !== "string") throw parseError(`${format} content must be a string`);
+    return Buffer.from(content, encoding === "base64" ? "base64" : "utf-8");
+  };
+  const toText = () => toBuffer().toString("utf-8");
+
+  switch (format) {
+    case "markdown":
+      return parseMarkdown(toText());
+    case "text":
+      return parseText(toText());
+    case "pdf":
+      return parsePdf(toBuffer());
+    case "json": {
+      if (typeof content === "object" && !Buffer.isBuffer(content)) {
+        return parseJson(content);
+      }
+      try {
+        return parseJson(JSON.parse(toText()));
+      } catch (error) {
+        throw parseError(`Invalid JSON: ${error.message}`);
+      }
+    }
+    default:
+      throw parseError(`Unsupported note format "${format}". Use one of: ${NOTE_FORMATS.join(", ")}`);
+  }
+}
+
+module.exports = {
+  NOTE_FORMATS,
+  detectFormat,
+  parseNote
+};
@@ -0,0 +1,135 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const NOTE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+class NoteStore {
+  constructor() {
+    // Prototype-less, so GET /notes/toString is a 404 like any unknown id
+    this.notes = Object.create(null);
+    this.DB_PATH = process.env.NOTES_DB_PATH || path.join(__dirname, "./notes.json");
+  }
+
+  /* ---------------- NOTES ---------------- */
+
+  isValidId(id) {
+    return typeof id === "string" && NOTE_ID_PATTERN.test(id);
+  }
+
+  get(id) {
+    return this.notes[id] || null;
+  }
+
+  // Newest first, without the note text
+  list() {
+    return Object.values(this.notes)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(note => this.summarize(note));
+  }
+
+  summarize({ sections, ...note }) {
+    return {
+      ...note,
+      sections: sections.length,
+      characters: sections.reduce((sum, s) => sum + s.content.length, 0)
+    };
+  }
+
+  // sections: [{ heading, content }] as produced by noteParser
+  upsert({ id, title, format, filename = null, field = "notes", tags = [], sections }) {
+    const noteId = id || `note_${crypto.randomUUID()}`;
+    if (!this.isValidId(noteId)) {
+      throw new Error(`Invalid note id: ${noteId}`);
+    }
+
+    const now = new Date().toISOString();
+    const existing = this.notes[noteId];
+
+    this.notes[noteId] = {
+      id: noteId,
+      title,
+      format,
+      filename,
+      field,
+      tags,
+      sections,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    this.saveToDisk();
+    console.log(`🗒️ Note ${existing ? "updated" : "created"}: ${noteId}`);
+    return { note: this.notes[noteId], created: !existing };
+  }
+
+  delete(id) {
+    if (!this.notes[id]) return false;
+
+    delete this.notes[id];
+    this.saveToDisk();
+    console.log(`🗑️ Note deleted: ${id}`);
+    return true;
+  }
+
+  /* ---------------- DOCUMENTS ---------------- */
+
+  // Loader documents (schema in rag/loader.js), one per note section
+  toDocuments() {
+    return Object.values(this.notes).flatMap(note =>
+      note.sections.map(section => ({
+        content: section.heading
+          ? `${note.title} - ${section.heading}\n\n${section.content}`
+          : `${note.title}\n\n${section.content}`,
+        metadata: {
+          field: note.field,
+          source: `notes/${note.id}`,
+          path: section.heading || note.title,
+          updatedAt: note.updatedAt,
+          tags: note.tags,
+          noteId: note.id,
+          title: note.title
+        }
+      }))
+    );
+  }
+
+  /* ---------------- PERSISTENCE ---------------- */
+
+  saveToDisk() {
+    fs.writeFileSync(this.DB_PATH, JSON.stringify(this.notes, null, 2));
+  }
+
+  loadFromDisk() {
+    if (!fs.existsSync(this.DB_PATH)) {
+      return false;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.DB_PATH, "utf-8"));
+      if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return false;
+      }
+      this.notes = Object.assign(Object.create(null), data);
+    } catch (error) {
+      console.error("❌ Failed to load notes:", error.message);
+      return false;
+    }
+
+    console.log(`📂 Loaded ${Object.keys(this.notes).length} notes from disk`);
+    return true;
+  }
+}
+
+const instance = new NoteStore();
+
+module.exports = {
+  isValidId: id => instance.isValidId(id),
+  get: id => instance.get(id),
+  list: () => instance.list(),
+  summarize: note => instance.summarize(note),
+  upsert: note => instance.upsert(note),
+  delete: id => instance.delete(id),
+  toDocuments: () => instance.toDocuments(),
+  loadFromDisk: () => instance.loadFromDisk()
+};
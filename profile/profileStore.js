@@ -0,0 +1,115 @@
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+const schema = require("./profileSchema.json");
+
+// Top-level sections the schema describes; other keys are allowed
+const PROFILE_SECTIONS = Object.keys(schema.properties);
+
+class ProfileStore {
+  constructor() {
+    this.PROFILE_PATH = process.env.OWNER_PROFILE_PATH || path.join(__dirname, "../data/owner_profile.json");
+    this.validator = new Ajv({ allErrors: true }).compile(schema);
+    this.cache = null;
+    this.cachedMtime = null;
+  }
+
+  /* ---------------- READ ---------------- */
+
+  // Re-read whenever the file changes on disk, so edits made outside the API
+  // are picked up too (unlike require(), which caches forever)
+  get() {
+    const mtime = fs.statSync(this.PROFILE_PATH).mtimeMs;
+
+    if (!this.cache || mtime !== this.cachedMtime) {
+      this.cache = JSON.parse(fs.readFileSync(this.PROFILE_PATH, "utf-8"));
+      this.cachedMtime = mtime;
+    }
+
+    // Callers get a copy; the cache only changes through writes
+    return structuredClone(this.cache);
+  }
+
+  getSection(section) {
+    const profile = this.get();
+    return Object.prototype.hasOwnProperty.call(profile, section) ? profile[section] : undefined;
+  }
+
+  /* ---------------- VALIDATION ---------------- */
+
+  // -> [{ path, message }], empty when valid
+  validate(profile) {
+    if (this.validator(profile)) return [];
+
+    return this.validator.errors.map(error => ({
+      path: error.instancePath || "/",
+      message: error.message,
+      ...(error.params?.allowedValues ? { allowed: error.params.allowedValues } : {}),
+      ...(error.params?.additionalProperty ? { property: error.params.additionalProperty } : {})
+    }));
+  }
+
+  /* ---------------- WRITE ---------------- */
+
+  // Replaces the whole profile. Returns { profile } or { errors }
+  replace(profile) {
+    const errors = this.validate(profile);
+    if (errors.length > 0) return { errors };
+
+    this.write(profile);
+    return { profile: this.get() };
+  }
+
+  // JSON merge patch (RFC 7386) of one section: objects merge, null deletes,
+  // anything else replaces
+  patchSection(section, patch) {
+    const profile = this.get();
+    const merged = mergePatch(profile[section], patch);
+
+    if (merged === undefined) {
+      delete profile[section];
+    } else {
+      profile[section] = merged;
+    }
+
+    return this.replace(profile);
+  }
+
+  write(profile) {
+    const tmp = `${this.PROFILE_PATH}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(profile, null, 2) + "\n");
+    fs.renameSync(tmp, this.PROFILE_PATH);
+
+    this.cache = null;
+    console.log("💾 Owner profile saved");
+  }
+}
+
+function mergePatch(target, patch) {
+  if (patch === null) return undefined;
+  if (typeof patch !== "object" || Array.isArray(patch)) return patch;
+
+  const result = target && typeof target === "object" && !Array.isArray(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    const merged = mergePatch(result[key], value);
+    if (merged === undefined) {
+      delete result[key];
+    } else {
+      result[key] = merged;
+    }
+  }
+  return result;
+}
+
+const instance = new ProfileStore();
+
+module.exports = {
+  PROFILE_SECTIONS,
+  schema,
+  getPath: () => instance.PROFILE_PATH,
+  get: () => instance.get(),
+  getSection: section => instance.getSection(section),
+  validate: profile => instance.validate(profile),
+  replace: profile => instance.replace(profile),
+  patchSection: (section, patch) => instance.patchSection(section, patch)
+};
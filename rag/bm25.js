@@ -0,0 +1,72 @@
+// Okapi BM25 keyword scoring, used alongside embeddings for hybrid search so
+// exact names ("Babli Devi", "MCA") are found even when the embedding is weak.
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "do", "for", "from", "has",
+  "have", "i", "in", "is", "it", "me", "my", "of", "on", "or", "so", "that",
+  "the", "to", "was", "what", "which", "who", "with", "you", "your"
+]);
+
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => !STOPWORDS.has(token));
+}
+
+class BM25Index {
+  constructor() {
+    this.termFreqs = [];      // per document: Map(term -> count)
+    this.docLengths = [];
+    this.docFreq = new Map(); // term -> number of documents containing it
+    this.avgLength = 0;
+  }
+
+  build(texts) {
+    this.termFreqs = [];
+    this.docLengths = [];
+    this.docFreq = new Map();
+
+    for (const text of texts) {
+      const tokens = tokenize(text);
+      const freqs = new Map();
+      tokens.forEach(token => freqs.set(token, (freqs.get(token) || 0) + 1));
+
+      this.termFreqs.push(freqs);
+      this.docLengths.push(tokens.length);
+      freqs.forEach((_, term) => this.docFreq.set(term, (this.docFreq.get(term) || 0) + 1));
+    }
+
+    const total = this.docLengths.reduce((sum, n) => sum + n, 0);
+    this.avgLength = this.docLengths.length ? total / this.docLengths.length : 0;
+    return this;
+  }
+
+  idf(term) {
+    const n = this.docLengths.length;
+    const df = this.docFreq.get(term) || 0;
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  }
+
+  score(queryTokens, docIndex) {
+    const freqs = this.termFreqs[docIndex];
+    if (!freqs) return 0;
+
+    const lengthNorm = 1 - B + B * (this.docLengths[docIndex] / (this.avgLength || 1));
+    let score = 0;
+
+    for (const term of new Set(queryTokens)) {
+      const tf = freqs.get(term);
+      if (!tf) continue;
+      score += this.idf(term) * (tf * (K1 + 1)) / (tf + K1 * lengthNorm);
+    }
+
+    return score;
+  }
+}
+
+module.exports = {
+  BM25Index,
+  tokenize
+};
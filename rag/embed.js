@@ -1,14 +1,87 @@
-function chunkDocuments(docs) {
+const crypto = require("crypto");
+const { RecursiveCharacterTextSplitter, TokenTextSplitter } = require("@langchain/textsplitters");
+const normalizeMetadata = require("./metadata");
+
+/*
+ * Splits loader documents into chunks for embedding:
+ *   {
+ *     id: string,              // "<parentId>_<chunkIndex>", stable per source + path
+ *     content: string,
+ *     metadata: {
+ *       ...document metadata,
+ *       parentId: string,      // the document the chunk was cut from
+ *       chunkIndex: number,
+ *       chunkCount: number
+ *     },
+ *     parent?: { id, content } // full document text, only when it was split
+ *   }
+ *
+ * strategy "recursive" splits on paragraphs, lines, then words and measures
+ * characters; "token" measures tiktoken tokens (the encoding is fetched on
+ * first use).
+ */
+const DEFAULTS = {
+  strategy: process.env.RAG_CHUNK_STRATEGY || "recursive",
+  chunkSize: Number(process.env.RAG_CHUNK_SIZE) || 500,
+  chunkOverlap: Number(process.env.RAG_CHUNK_OVERLAP ?? 50)
+};
+
+const SPLITTERS = {
+  recursive: RecursiveCharacterTextSplitter,
+  token: TokenTextSplitter
+};
+
+function createSplitter({ strategy, chunkSize, chunkOverlap }) {
+  const Splitter = SPLITTERS[strategy];
+  if (!Splitter) {
+    throw new Error(`Unknown chunking strategy "${strategy}". Use one of: ${Object.keys(SPLITTERS).join(", ")}`);
+  }
+  return new Splitter({ chunkSize, chunkOverlap: Math.min(chunkOverlap, chunkSize - 1) });
+}
+
+// Same source + path -> same id across rebuilds; repeats get a counter
+function parentIdFor(metadata, seen) {
+  const key = `${metadata.source || "unknown"}#${metadata.path || metadata.field}`;
+  const count = seen.get(key) || 0;
+  seen.set(key, count + 1);
+
+  const hash = crypto.createHash("sha1").update(count ? `${key}#${count}` : key).digest("hex");
+  return `doc_${hash.slice(0, 12)}`;
+}
+
+async function chunkDocuments(docs, options = {}) {
   if (!Array.isArray(docs) || docs.length === 0) {
     console.warn("⚠️ No documents to chunk");
     return [];
   }
 
-  return docs.map((doc, index) => ({
-    id: `chunk_${index}`,
-    content: doc.content,
-    field: doc.field || "general"
-  }));
+  const settings = { ...DEFAULTS, ...options };
+  const splitter = createSplitter(settings);
+  const seen = new Map();
+  const chunks = [];
+
+  for (const doc of docs) {
+    if (!doc.content) continue;
+
+    const metadata = normalizeMetadata(doc.metadata, doc);
+    const parentId = parentIdFor(metadata, seen);
+    const pieces = doc.content.length > settings.chunkSize || settings.strategy !== "recursive"
+      ? await splitter.splitText(doc.content)
+      : [doc.content];
+
+    pieces.forEach((content, chunkIndex) => {
+      chunks.push({
+        id: `${parentId}_${chunkIndex}`,
+        content,
+        metadata: { ...metadata, parentId, chunkIndex, chunkCount: pieces.length },
+        ...(pieces.length > 1 ? { parent: { id: parentId, content: doc.content } } : {})
+      });
+    });
+  }
+
+  console.log(`✂️ Split ${docs.length} documents into ${chunks.length} chunks (${settings.strategy}, size ${settings.chunkSize}, overlap ${settings.chunkOverlap})`);
+  return chunks;
 }
 
 module.exports = chunkDocuments;
+module.exports.CHUNK_STRATEGIES = Object.keys(SPLITTERS);
@@ -0,0 +1,261 @@
+const fs = require("fs");
+const path = require("path");
+const { loadSources } = require("./loader");
+const chunkDocuments = require("./embed");
+const vectorStore = require("./vectorStore");
+
+/*
+ * Retrieval evaluation. A dataset labels questions with the documents that
+ * answer them:
+ *   {
+ *     name: string,
+ *     sources?: [...],          // sources config entries (rag/loader.js); default: data/sources.json
+ *     questions: [{ question: string, expected: string[] }]
+ *   }
+ * `expected` holds document paths (metadata.path, e.g. "education[1]"), which
+ * stay the same whatever the chunking, so configurations with different chunk
+ * sizes are scored against the same labels. Retrieved chunks are reduced to
+ * their document paths (first occurrence wins) before scoring.
+ *
+ * A configuration is a set of search and chunking options:
+ *   { name, mode, topK, minScore, alpha, strategy, chunkSize, chunkOverlap }
+ * Unset options use the defaults of VectorStore.search and chunkDocuments.
+ * Metrics are computed at k = topK.
+ *
+ * Run locally with `npm run eval` (see the end of this file).
+ */
+
+const DATASET_PATH = process.env.RAG_EVAL_DATASET || path.join(__dirname, "evalDataset.json");
+
+// VectorStore.search defaults
+const DEFAULT_TOP_K = 3;
+
+const DEFAULT_CONFIGS = [
+  { name: "vector", mode: "vector" },
+  { name: "keyword", mode: "keyword" },
+  { name: "hybrid", mode: "hybrid" },
+  { name: "hybrid, top 5", mode: "hybrid", topK: 5 },
+  { name: "vector, 200-char chunks", mode: "vector", chunkSize: 200, chunkOverlap: 20 },
+  { name: "hybrid, 200-char chunks", mode: "hybrid", chunkSize: 200, chunkOverlap: 20 }
+];
+
+const CHUNK_OPTIONS = ["strategy", "chunkSize", "chunkOverlap"];
+
+// Bad dataset or configuration; routes answer with `status`
+function invalidError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/* ---------------- METRICS ---------------- */
+
+// Share of the expected documents found in the first k
+function recallAtK(retrieved, expected, k) {
+  const top = new Set(retrieved.slice(0, k));
+  return expected.filter(id => top.has(id)).length / expected.length;
+}
+
+// 1 / rank of the first expected document, 0 if none was retrieved
+function reciprocalRank(retrieved, expected, k) {
+  const rank = retrieved.slice(0, k).findIndex(id => expected.includes(id));
+  return rank === -1 ? 0 : 1 / (rank + 1);
+}
+
+// Binary relevance; the ideal ranking puts every expected document first
+function ndcgAtK(retrieved, expected, k) {
+  let dcg = 0;
+  retrieved.slice(0, k).forEach((id, i) => {
+    if (expected.includes(id)) dcg += 1 / Math.log2(i + 2);
+  });
+
+  let ideal = 0;
+  for (let i = 0; i < Math.min(expected.length, k); i++) {
+    ideal += 1 / Math.log2(i + 2);
+  }
+  return ideal > 0 ? dcg / ideal : 0;
+}
+
+/* ---------------- VALIDATION ---------------- */
+
+function loadDataset(datasetPath = DATASET_PATH) {
+  return JSON.parse(fs.readFileSync(datasetPath, "utf-8"));
+}
+
+function checkDataset(dataset) {
+  if (!dataset || typeof dataset !== "object" || !Array.isArray(dataset.questions) || dataset.questions.length === 0) {
+    throw invalidError("Dataset must contain a non-empty \"questions\" array");
+  }
+  if (dataset.sources !== undefined && !Array.isArray(dataset.sources)) {
+    throw invalidError("Dataset \"sources\" must be an array");
+  }
+
+  dataset.questions.forEach((q, i) => {
+    if (typeof q?.question !== "string" || !q.question.trim()) {
+      throw invalidError(`questions[${i}].question must be a non-empty string`);
+    }
+    if (!Array.isArray(q.expected) || q.expected.length === 0 || !q.expected.every(e => typeof e === "string")) {
+      throw invalidError(`questions[${i}].expected must be a non-empty array of document paths`);
+    }
+  });
+}
+
+function checkConfig(config, i) {
+  const where = `configs[${i}]`;
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw invalidError(`${where} must be an object`);
+  }
+  if (config.mode !== undefined && !vectorStore.SEARCH_MODES.includes(config.mode)) {
+    throw invalidError(`${where}.mode must be one of: ${vectorStore.SEARCH_MODES.join(", ")}`);
+  }
+  if (config.strategy !== undefined && !chunkDocuments.CHUNK_STRATEGIES.includes(config.strategy)) {
+    throw invalidError(`${where}.strategy must be one of: ${chunkDocuments.CHUNK_STRATEGIES.join(", ")}`);
+  }
+  for (const key of ["topK", "chunkSize"]) {
+    if (config[key] !== undefined && !(Number.isInteger(config[key]) && config[key] > 0)) {
+      throw invalidError(`${where}.${key} must be a positive integer`);
+    }
+  }
+  if (config.chunkOverlap !== undefined && !(Number.isInteger(config.chunkOverlap) && config.chunkOverlap >= 0)) {
+    throw invalidError(`${where}.chunkOverlap must be a non-negative integer`);
+  }
+  for (const key of ["minScore", "alpha"]) {
+    if (config[key] !== undefined && typeof config[key] !== "number") {
+      throw invalidError(`${where}.${key} must be a number`);
+    }
+  }
+}
+
+/* ---------------- EVALUATION ---------------- */
+
+// Only the options that are set, so chunkDocuments and search keep their defaults
+function pick(config, keys) {
+  return Object.fromEntries(keys.filter(key => config[key] !== undefined).map(key => [key, config[key]]));
+}
+
+function average(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Scores every configuration on the dataset. Each distinct chunking setting
+ * is indexed once into an in-memory store; the saved index is not touched.
+ * Returns a report; `details` adds the retrieved documents of every question.
+ */
+async function evaluate({ dataset = loadDataset(), configs = DEFAULT_CONFIGS, details = false } = {}) {
+  checkDataset(dataset);
+  if (!Array.isArray(configs) || configs.length === 0) {
+    throw invalidError("configs must be a non-empty array");
+  }
+  configs.forEach(checkConfig);
+
+  const started = Date.now();
+  const docs = await loadSources(dataset.sources);
+  if (docs.length === 0) {
+    throw new Error("The dataset sources produced no documents");
+  }
+
+  const stores = new Map();
+  const indexFor = async chunkOptions => {
+    const key = JSON.stringify(chunkOptions);
+    if (!stores.has(key)) {
+      const chunks = await chunkDocuments(docs, chunkOptions);
+      const store = vectorStore.createScratchStore();
+      await store.buildVectorStore(chunks);
+      stores.set(key, { store, chunks: chunks.length });
+    }
+    return stores.get(key);
+  };
+
+  const results = [];
+  for (const [i, config] of configs.entries()) {
+    const k = config.topK || DEFAULT_TOP_K;
+    const { store, chunks } = await indexFor(pick(config, CHUNK_OPTIONS));
+    const questions = [];
+
+    for (const { question, expected } of dataset.questions) {
+      const found = await store.search(question, pick(config, ["mode", "topK", "minScore", "alpha"]));
+      const retrieved = [...new Set(found.map(r => r.metadata.path))];
+
+      questions.push({
+        question,
+        expected,
+        retrieved,
+        recall: recallAtK(retrieved, expected, k),
+        reciprocalRank: reciprocalRank(retrieved, expected, k),
+        ndcg: ndcgAtK(retrieved, expected, k)
+      });
+    }
+
+    results.push({
+      name: config.name || `config ${i + 1}`,
+      config,
+      chunks,
+      metrics: {
+        k,
+        recall: round(average(questions.map(q => q.recall))),
+        mrr: round(average(questions.map(q => q.reciprocalRank))),
+        ndcg: round(average(questions.map(q => q.ndcg)))
+      },
+      ...(details ? { questions } : {})
+    });
+  }
+
+  // Highest nDCG, then MRR
+  const best = [...results].sort((a, b) =>
+    b.metrics.ndcg - a.metrics.ndcg || b.metrics.mrr - a.metrics.mrr
+  )[0];
+
+  return {
+    dataset: { name: dataset.name || "unnamed", questions: dataset.questions.length },
+    best: best.name,
+    results,
+    durationMs: Date.now() - started,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  DATASET_PATH,
+  DEFAULT_CONFIGS,
+  recallAtK,
+  reciprocalRank,
+  ndcgAtK,
+  loadDataset,
+  evaluate
+};
+
+// `node rag/evaluate.js [--dataset file.json] [--out report.json]`
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const i = args.indexOf(name);
+    return i === -1 ? undefined : args[i + 1];
+  };
+
+  (async () => {
+    await vectorStore.initEmbedder();
+    const report = await evaluate({ dataset: loadDataset(option("--dataset") || DATASET_PATH) });
+
+    console.table(Object.fromEntries(report.results.map(({ name, chunks, metrics }) => [name, {
+      chunks,
+      [`recall@${metrics.k}`]: metrics.recall,
+      mrr: metrics.mrr,
+      [`ndcg@${metrics.k}`]: metrics.ndcg
+    }])));
+    console.log(`🏆 Best: ${report.best} (${report.dataset.questions} questions, ${report.durationMs}ms)`);
+
+    if (option("--out")) {
+      fs.writeFileSync(option("--out"), JSON.stringify(report, null, 2));
+      console.log(`💾 Report written to ${option("--out")}`);
+    }
+  })().catch(error => {
+    console.error("❌ Evaluation failed:", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,37 @@
+// Reciprocal rank fusion (Cormack et al., 2009): merges ranked result lists
+// without comparing their raw scores, which differ between queries and modes.
+const RRF_K = 60;
+
+/**
+ * lists: arrays of search results, best first. A result found by several
+ * lists gets 1 / (k + rank) from each. Returns at most `topK` results sorted
+ * by `rrfScore`; `score` stays the best original score of the result.
+ */
+function reciprocalRankFusion(lists, { k = RRF_K, topK = Infinity } = {}) {
+  const fused = new Map();
+
+  for (const results of lists) {
+    results.forEach((result, rank) => {
+      const entry = fused.get(result.id);
+      const contribution = 1 / (k + rank + 1);
+
+      if (entry) {
+        entry.rrfScore += contribution;
+        if (result.score > entry.score) {
+          fused.set(result.id, { ...result, rrfScore: entry.rrfScore });
+        }
+      } else {
+        fused.set(result.id, { ...result, rrfScore: contribution });
+      }
+    });
+  }
+
+  return [...fused.values()]
+    .sort((a, b) => b.rrfScore - a.rrfScore || b.score - a.score)
+    .slice(0, topK);
+}
+
+module.exports = {
+  RRF_K,
+  reciprocalRankFusion
+};
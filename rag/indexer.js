@@ -0,0 +1,144 @@
+const fs = require("fs");
+const path = require("path");
+const { loadSources, loadSourcesConfig, loadCollectionsConfig } = require("./loader");
+const chunkDocuments = require("./embed");
+const vectorStore = require("./vectorStore");
+
+const DATA_DIR = path.join(__dirname, "../data");
+const WATCH_DEBOUNCE_MS = 500;
+
+class Indexer {
+  constructor() {
+    this.running = null;
+    this.pending = null;
+    this.lastRun = null;
+    // name -> { load: () => documents, collection }; the sources config is
+    // always indexed and assigns collections per source
+    this.sources = { config: { load: () => loadSources(), collection: null } };
+  }
+
+  registerSource(name, loadDocuments, { collection = vectorStore.DEFAULT_COLLECTION } = {}) {
+    this.sources[name] = { load: loadDocuments, collection };
+  }
+
+  /**
+   * Loads and chunks every registered source and syncs each collection of the
+   * vector store with the documents assigned to it.
+   * Runs one at a time: a call made while a run is in progress waits for it
+   * and then runs once more, so edits made during a run are not missed.
+   */
+  reindex({ force = false } = {}) {
+    if (this.running) {
+      if (!this.pending) {
+        this.pending = this.running
+          .catch(() => {})
+          .then(() => {
+            this.pending = null;
+            return this.reindex({ force });
+          });
+      }
+      return this.pending;
+    }
+
+    this.running = this.run({ force }).finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  // Creates the configured collections and those sources index into, so their
+  // saved vectors can be loaded before the first run
+  prepareCollections() {
+    vectorStore.configureCollections(loadCollectionsConfig());
+
+    const names = [
+      ...loadSourcesConfig().map(entry => entry.collection),
+      ...Object.values(this.sources).map(source => source.collection)
+    ];
+    for (const name of names.filter(Boolean)) {
+      vectorStore.configureCollections({ [name]: {} });
+    }
+  }
+
+  async run({ force }) {
+    const started = Date.now();
+    this.prepareCollections();
+
+    // collection -> documents
+    const docsByCollection = new Map(vectorStore.listCollections().map(name => [name, []]));
+    for (const { load, collection } of Object.values(this.sources)) {
+      for (const doc of await load()) {
+        const name = collection || doc.metadata?.collection || vectorStore.DEFAULT_COLLECTION;
+        if (!docsByCollection.has(name)) docsByCollection.set(name, []);
+        docsByCollection.get(name).push(doc);
+      }
+    }
+
+    const chunksByCollection = new Map();
+    for (const [name, docs] of docsByCollection) {
+      chunksByCollection.set(name, await chunkDocuments(docs));
+    }
+
+    const chunkCount = [...chunksByCollection.values()].reduce((sum, chunks) => sum + chunks.length, 0);
+    if (chunkCount === 0) {
+      throw new Error("No chunks created from the registered sources");
+    }
+
+    const totals = { added: 0, updated: 0, unchanged: 0, removed: 0, rebuilt: false };
+    const collections = {};
+    for (const [name, chunks] of chunksByCollection) {
+      let summary;
+      if (chunks.length > 0) {
+        summary = await vectorStore.syncVectorStore(chunks, { force, collection: name });
+      } else {
+        // Every document of the collection is gone
+        const { vectors } = vectorStore.getStats(name);
+        vectorStore.clear(name);
+        summary = { added: 0, updated: 0, unchanged: 0, removed: vectors, rebuilt: false };
+      }
+
+      collections[name] = { ...summary, chunks: chunks.length };
+      for (const key of ["added", "updated", "unchanged", "removed"]) totals[key] += summary[key];
+      totals.rebuilt = totals.rebuilt || summary.rebuilt;
+    }
+
+    this.lastRun = {
+      ...totals,
+      chunks: chunkCount,
+      collections,
+      durationMs: Date.now() - started,
+      finishedAt: new Date().toISOString()
+    };
+    return this.lastRun;
+  }
+
+  // Re-indexes (debounced) whenever a file under `dir` changes
+  watch(dir = DATA_DIR) {
+    let timer = null;
+
+    const watcher = fs.watch(dir, { recursive: true }, (eventType, filename) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        console.log(`👀 ${filename || dir} changed - re-indexing`);
+        this.reindex().catch(error => {
+          console.error("❌ Re-indexing failed:", error.message);
+        });
+      }, WATCH_DEBOUNCE_MS);
+    });
+
+    watcher.on("close", () => clearTimeout(timer));
+    console.log(`👀 Watching ${path.relative(process.cwd(), dir) || dir} for changes`);
+    return watcher;
+  }
+}
+
+const instance = new Indexer();
+
+module.exports = {
+  DATA_DIR,
+  registerSource: (name, loadDocuments, opts) => instance.registerSource(name, loadDocuments, opts),
+  prepareCollections: () => instance.prepareCollections(),
+  reindex: opts => instance.reindex(opts),
+  watch: dir => instance.watch(dir),
+  getLastRun: () => instance.lastRun
+};
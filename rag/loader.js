@@ -1,123 +1,141 @@
 const fs = require("fs");
 const path = require("path");
+const { PROJECT_ROOT } = require("./loaders/common");
+const profileStore = require("../profile/profileStore");
 
-module.exports = function loadOwnerData() {
-  const filePath = path.join(__dirname, "../data/owner_profile.json");
-  const raw = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+/*
+ * Document schema produced by loaders and carried through chunking into the
+ * vector store:
+ *   {
+ *     content: string,
+ *     metadata: {
+ *       field: string,        // topic, e.g. "education"
+ *       source: string,       // file relative to the project root
+ *       path: string,         // location inside the source, e.g. "education[1]"
+ *       updatedAt: string,    // ISO mtime of the source file (or the item's date)
+ *       tags: string[],
+ *       sourceName: string,   // entry in the sources config that produced it
+ *       sourceType: string
+ *     }
+ *   }
+ *
+ * Sources are listed in data/sources.json (SOURCES_CONFIG overrides the path):
+ *   {
+ *     "sources": [
+ *       { "name": "profile", "type": "profile" },
+ *       { "name": "journal", "type": "markdown", "path": "data/notes", "tags": ["journal"] },
+ *       { "name": "contacts", "type": "csv", "path": "data/contacts.csv", "titleColumn": "name" },
+ *       { "name": "mail", "type": "email", "path": "data/mail/archive.mbox", "collection": "emails" },
+ *       { "name": "calendar", "type": "ics", "path": "data/calendar.ics" }
+ *     ],
+ *     "collections": {
+ *       "emails": { "model": "Xenova/bge-small-en-v1.5" }
+ *     }
+ *   }
+ * `path` is relative to the project root; the profile defaults to the file
+ * the profile API edits (OWNER_PROFILE_PATH). `field` and `tags` apply to every
+ * document of the source; `collection` picks the vector store collection
+ * (default "default", see rag/vectorStore.js); other keys are loader options.
+ * A loader is a function (source) => documents (or a promise of them).
+ *
+ * `collections` optionally sets a collection's embedding `model` and `path`
+ * (its vectorDB JSON file, relative to the project root).
+ */
 
-  const docs = [];
+const CONFIG_PATH = process.env.SOURCES_CONFIG || path.join(PROJECT_ROOT, "data/sources.json");
 
-  const push = (content, field) => {
-    if (content && typeof content === "string") {
-      docs.push({
-        content: content.trim(),
-        metadata: { field }
-      });
-    }
-  };
+const DEFAULT_SOURCES = [
+  { name: "profile", type: "profile" }
+];
 
-  /* ---------------- PROFILE SUMMARY ---------------- */
-  if (raw.profileSummary) {
-    push(raw.profileSummary, "summary");
-  }
+const DEFAULT_PATHS = {
+  profile: () => profileStore.getPath()
+};
 
-  /* ---------------- PERSONAL ---------------- */
-  if (raw.personal?.name) {
-    push(`My name is ${raw.personal.name}.`, "name");
-  }
+const loaders = {
+  profile: require("./loaders/profile"),
+  markdown: require("./loaders/markdown"),
+  csv: require("./loaders/csv"),
+  email: require("./loaders/email"),
+  ics: require("./loaders/ics")
+};
 
-  if (raw.personal?.parents) {
-    const p = raw.personal.parents;
+function registerLoader(type, loader) {
+  loaders[type] = loader;
+}
 
-    if (p.description) {
-      push(p.description, "parents");
-    } else if (p.father && p.mother) {
-      push(
-        `My father's name is ${p.father} and my mother's name is ${p.mother}.`,
-        "parents"
-      );
-    }
-  }
+function getLoaderTypes() {
+  return Object.keys(loaders);
+}
 
-  /* ---------------- EDUCATION ---------------- */
-  if (Array.isArray(raw.education)) {
-    raw.education.forEach(edu => {
-      if (edu.description) {
-        push(edu.description, "education");
-      } else {
-        push(
-          `I completed ${edu.degree} in ${edu.field}. Status: ${edu.status}.`,
-          "education"
-        );
-      }
-    });
+function readConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    return { sources: DEFAULT_SOURCES };
   }
 
-  /* ---------------- SKILLS ---------------- */
-  if (raw.skills && typeof raw.skills === "object") {
-    Object.entries(raw.skills).forEach(([category, data]) => {
-      if (data.description) {
-        push(data.description, "skills");
-      } else if (Array.isArray(data.list)) {
-        push(
-          `My ${category} skills include ${data.list.join(", ")}.`,
-          "skills"
-        );
-      }
-    });
+  const config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  if (!Array.isArray(config?.sources)) {
+    throw new Error(`${configPath} must contain a "sources" array`);
   }
+  return config;
+}
+
+function loadSourcesConfig(configPath = CONFIG_PATH) {
+  return readConfig(configPath).sources;
+}
 
-  /* ---------------- PROJECTS ---------------- */
-  if (Array.isArray(raw.projects)) {
-    raw.projects.forEach(project => {
-      if (project.description) {
-        push(
-          `I worked on the project "${project.name}". ${project.description}`,
-          "projects"
-        );
-      } else {
-        push(`I worked on the project "${project.name}".`, "projects");
-      }
-    });
+function loadCollectionsConfig(configPath = CONFIG_PATH) {
+  const { collections = {} } = readConfig(configPath);
+  if (typeof collections !== "object" || Array.isArray(collections)) {
+    throw new Error(`${configPath}: "collections" must be an object`);
   }
+  return collections;
+}
 
-  /* ---------------- GOALS ---------------- */
-  if (raw.goals) {
-    if (raw.goals.description) {
-      push(raw.goals.description, "goals");
-    }
+/**
+ * Runs the loader of every configured source. A missing or failing source is
+ * logged and skipped so the others still get indexed.
+ */
+async function loadSources(sources = loadSourcesConfig()) {
+  const docs = [];
 
-    if (raw.goals.career) {
-      push(`My career goal is to ${raw.goals.career}.`, "goals");
-    }
-  }
+  for (const [i, entry] of sources.entries()) {
+    const entryPath = entry.path || DEFAULT_PATHS[entry.type]?.();
+    const source = {
+      ...entry,
+      name: entry.name || `${entry.type}-${i}`,
+      path: path.resolve(PROJECT_ROOT, entryPath || "")
+    };
+    const loader = loaders[source.type];
 
-  /* ---------------- HABITS ---------------- */
-  if (raw.habits && typeof raw.habits === "object") {
-    Object.entries(raw.habits).forEach(([type, data]) => {
-      if (data.description) {
-        push(data.description, "habits");
-      } else if (Array.isArray(data.list)) {
-        push(
-          `My ${type} habits include ${data.list.join(", ")}.`,
-          "habits"
-        );
-      }
-    });
-  }
+    if (!loader) {
+      console.warn(`⚠️ Source "${source.name}": unknown type "${source.type}" (available: ${getLoaderTypes().join(", ")})`);
+      continue;
+    }
+    if (!entryPath || !fs.existsSync(source.path)) {
+      console.warn(`⚠️ Source "${source.name}": ${entryPath || "path"} not found - skipping`);
+      continue;
+    }
 
-  /* ---------------- HOBBIES ---------------- */
-  if (raw.hobbies) {
-    if (raw.hobbies.description) {
-      push(raw.hobbies.description, "hobbies");
-    } else if (Array.isArray(raw.hobbies.list)) {
-      push(
-        `My hobbies include ${raw.hobbies.list.join(", ")}.`,
-        "hobbies"
-      );
+    try {
+      const loaded = await loader(source);
+      console.log(`📚 Source "${source.name}" (${source.type}): ${loaded.length} documents${source.collection ? ` -> ${source.collection}` : ""}`);
+      docs.push(...(source.collection
+        ? loaded.map(doc => ({ ...doc, metadata: { ...doc.metadata, collection: source.collection } }))
+        : loaded));
+    } catch (error) {
+      console.error(`❌ Source "${source.name}" failed to load:`, error.message);
     }
   }
 
-  console.log(`✅ Loaded ${docs.length} owner profile chunks`);
   return docs;
+}
+
+module.exports = {
+  CONFIG_PATH,
+  registerLoader,
+  getLoaderTypes,
+  loadSourcesConfig,
+  loadCollectionsConfig,
+  loadSources
 };
@@ -0,0 +1,67 @@
+const fs = require("fs");
+const path = require("path");
+
+const PROJECT_ROOT = path.join(__dirname, "../..");
+
+// Shared by the loader plugins: provenance and document construction
+
+function relativeSource(file) {
+  return path.relative(PROJECT_ROOT, file).split(path.sep).join("/");
+}
+
+function fileUpdatedAt(file) {
+  return fs.statSync(file).mtime.toISOString();
+}
+
+// Files under `dir` (recursively) with one of `extensions`, in a stable order
+function listFiles(dir, extensions) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) return listFiles(full, extensions);
+      return extensions.includes(path.extname(entry.name).toLowerCase()) ? [full] : [];
+    });
+}
+
+// A file, or every matching file in a directory
+function resolveFiles(target, extensions) {
+  return fs.statSync(target).isDirectory() ? listFiles(target, extensions) : [target];
+}
+
+/**
+ * Collects documents for one source. `defaults` (field, source, updatedAt,
+ * tags) apply to every document; `extra` metadata wins over them.
+ */
+function createCollector(source, defaults) {
+  const docs = [];
+
+  const push = (content, extra = {}) => {
+    if (!content || typeof content !== "string" || !content.trim()) return;
+
+    docs.push({
+      content: content.trim(),
+      metadata: {
+        field: source.field || defaults.field,
+        source: defaults.source,
+        path: defaults.path,
+        updatedAt: defaults.updatedAt,
+        sourceName: source.name,
+        sourceType: source.type,
+        ...extra,
+        tags: [...(source.tags || []), ...(extra.tags || [])].filter(Boolean)
+      }
+    });
+  };
+
+  return { docs, push };
+}
+
+module.exports = {
+  PROJECT_ROOT,
+  relativeSource,
+  fileUpdatedAt,
+  listFiles,
+  resolveFiles,
+  createCollector
+};
@@ -0,0 +1,81 @@
+const fs = require("fs");
+const { relativeSource, fileUpdatedAt, createCollector } = require("./common");
+
+// RFC 4180: quoted fields may contain commas, newlines and "" escapes
+function parseCSV(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ""));
+}
+
+/**
+ * Loader for a CSV file with a header row (source type "csv").
+ * One document per row as "column: value" pairs. Options:
+ *   columns      only these columns (default: all)
+ *   titleColumn  column used as the row's title and path
+ *   delimiter    default ","
+ */
+module.exports = function loadCSV(source) {
+  const [header, ...rows] = parseCSV(fs.readFileSync(source.path, "utf-8"), source.delimiter);
+  if (!header) return [];
+
+  const columns = (source.columns || header).filter(column => header.includes(column));
+  const { docs, push } = createCollector(source, {
+    field: "records",
+    source: relativeSource(source.path),
+    updatedAt: fileUpdatedAt(source.path)
+  });
+
+  rows.forEach((values, i) => {
+    const record = Object.fromEntries(header.map((column, j) => [column, (values[j] || "").trim()]));
+    const title = source.titleColumn ? record[source.titleColumn] : null;
+
+    push(
+      columns
+        .filter(column => record[column])
+        .map(column => `${column}: ${record[column]}`)
+        .join(". "),
+      { path: title || `row ${i + 1}`, ...(title ? { title } : {}) }
+    );
+  });
+
+  return docs;
+};
+
+module.exports.parseCSV = parseCSV;
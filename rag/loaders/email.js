@@ -0,0 +1,130 @@
+const fs = require("fs");
+const path = require("path");
+const { relativeSource, fileUpdatedAt, resolveFiles, createCollector } = require("./common");
+
+const EXTENSIONS = [".mbox", ".eml"];
+const MAX_BODY_CHARS = 4000;
+
+/* ---------------- MIME PARSING ---------------- */
+
+// Headers (with folded continuation lines) and the raw body
+function splitMessage(raw) {
+  const text = raw.replace(/\r\n/g, "\n");
+  const end = text.indexOf("\n\n");
+  const head = end === -1 ? text : text.slice(0, end);
+  const body = end === -1 ? "" : text.slice(end + 2);
+
+  const headers = {};
+  for (const line of head.replace(/\n[ \t]+/g, " ").split("\n")) {
+    const match = line.match(/^([\w-]+):\s*(.*)$/);
+    if (match) headers[match[1].toLowerCase()] = match[2].trim();
+  }
+  return { headers, body };
+}
+
+// RFC 2047 encoded words, e.g. =?UTF-8?B?...?=
+function decodeHeader(value = "") {
+  return value.replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, text) => {
+    const buffer = encoding.toUpperCase() === "B"
+      ? Buffer.from(text, "base64")
+      : Buffer.from(text.replace(/_/g, " ").replace(/=([0-9A-F]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))), "binary");
+    return buffer.toString(/utf-?8/i.test(charset) ? "utf-8" : "latin1");
+  });
+}
+
+function decodeBody(body, encoding = "") {
+  switch (encoding.toLowerCase()) {
+    case "base64":
+      return Buffer.from(body.replace(/\s+/g, ""), "base64").toString("utf-8");
+    case "quoted-printable":
+      return Buffer.from(
+        body.replace(/=\n/g, "").replace(/=([0-9A-F]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))),
+        "binary"
+      ).toString("utf-8");
+    default:
+      return body;
+  }
+}
+
+// First text/plain part (HTML stripped as a fallback) of a possibly multipart body
+function extractText({ headers, body }) {
+  const contentType = headers["content-type"] || "text/plain";
+  const boundary = contentType.match(/boundary="?([^";]+)"?/i);
+
+  if (/^multipart\//i.test(contentType) && boundary) {
+    const parts = body
+      .split(`--${boundary[1]}`)
+      .slice(1)
+      .filter(part => !part.startsWith("--"))
+      .map(part => splitMessage(part.replace(/^\n/, "")));
+
+    const plain = parts.find(p => /^text\/plain/i.test(p.headers["content-type"] || "text/plain"));
+    const nested = parts.find(p => /^multipart\//i.test(p.headers["content-type"] || ""));
+    const html = parts.find(p => /^text\/html/i.test(p.headers["content-type"] || ""));
+    return plain ? extractText(plain) : nested ? extractText(nested) : html ? extractText(html) : "";
+  }
+
+  const text = decodeBody(body, headers["content-transfer-encoding"]);
+  return /^text\/html/i.test(contentType) ? text.replace(/<[^>]+>/g, " ").replace(/[ \t]+/g, " ") : text;
+}
+
+// An mbox file is messages separated by "From " lines
+function splitMbox(text) {
+  return text
+    .replace(/\r\n/g, "\n")
+    .split(/^From .*$/m)
+    .map(message => message.replace(/^\n/, "").replace(/^>(>*From )/gm, "$1"))
+    .filter(message => message.trim());
+}
+
+function parseMessage(raw) {
+  const message = splitMessage(raw);
+  const date = new Date(message.headers.date);
+
+  return {
+    messageId: message.headers["message-id"] || null,
+    from: decodeHeader(message.headers.from),
+    to: decodeHeader(message.headers.to),
+    subject: decodeHeader(message.headers.subject) || "(no subject)",
+    date: Number.isNaN(date.getTime()) ? null : date.toISOString(),
+    text: extractText(message).trim()
+  };
+}
+
+/**
+ * Loader for email archives (source type "email"): an .mbox file, an .eml
+ * file, or a directory of them. One document per message.
+ */
+module.exports = function loadEmailArchive(source) {
+  const docs = [];
+
+  for (const file of resolveFiles(source.path, EXTENSIONS)) {
+    const raw = fs.readFileSync(file, "utf-8");
+    const messages = path.extname(file).toLowerCase() === ".mbox" ? splitMbox(raw) : [raw];
+    const { docs: fileDocs, push } = createCollector(source, {
+      field: "emails",
+      source: relativeSource(file),
+      updatedAt: fileUpdatedAt(file)
+    });
+
+    messages.map(parseMessage).forEach((email, i) => {
+      const body = email.text.length > MAX_BODY_CHARS ? email.text.slice(0, MAX_BODY_CHARS) + "..." : email.text;
+      const sender = email.from.match(/<([^>]+)>/)?.[1] || email.from;
+
+      push(
+        `Email from ${email.from || "unknown"} to ${email.to || "unknown"}${email.date ? ` on ${email.date.slice(0, 10)}` : ""}. Subject: ${email.subject}\n\n${body}`,
+        {
+          path: email.messageId || `message[${i}]`,
+          title: email.subject,
+          ...(email.date ? { updatedAt: email.date } : {}),
+          tags: [sender]
+        }
+      );
+    });
+    docs.push(...fileDocs);
+  }
+
+  return docs;
+};
+
+module.exports.parseMessage = parseMessage;
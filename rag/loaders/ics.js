@@ -0,0 +1,114 @@
+const fs = require("fs");
+const { relativeSource, fileUpdatedAt, resolveFiles, createCollector } = require("./common");
+
+/* ---------------- ICS PARSING ---------------- */
+
+function unescapeText(value = "") {
+  return value
+    .replace(/\\n/gi, "\n")
+    .replace(/\\([,;\\])/g, "$1");
+}
+
+// 20241015T090000Z (UTC), 20241015T090000 (floating / TZID), 20241015 (all day)
+function parseDate(value, params = {}) {
+  const match = value && value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return { date: null, allDay: false };
+
+  const [, y, mo, d, h, mi, s, utc] = match;
+  if (!h || params.VALUE === "DATE") {
+    return { date: `${y}-${mo}-${d}`, allDay: true };
+  }
+  return { date: `${y}-${mo}-${d}T${h}:${mi}:${s}${utc ? "Z" : ""}`, allDay: false };
+}
+
+/**
+ * VEVENTs of an iCalendar file:
+ * [{ uid, summary, description, location, start, end, allDay, organizer, attendees }]
+ */
+function parseICS(text) {
+  // Unfold continuation lines (RFC 5545 3.1)
+  const lines = text.replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+  const events = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      event = { attendees: [] };
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (event) events.push(event);
+      event = null;
+      continue;
+    }
+    if (!event) continue;
+
+    const match = line.match(/^([A-Z-]+)((?:;[^:]*)?):(.*)$/);
+    if (!match) continue;
+
+    const [, name, rawParams, value] = match;
+    const params = Object.fromEntries(
+      rawParams.split(";").filter(Boolean).map(param => param.split("=")).map(([k, v]) => [k, v])
+    );
+
+    switch (name) {
+      case "UID": event.uid = value; break;
+      case "SUMMARY": event.summary = unescapeText(value); break;
+      case "DESCRIPTION": event.description = unescapeText(value); break;
+      case "LOCATION": event.location = unescapeText(value); break;
+      case "DTSTART": {
+        const { date, allDay } = parseDate(value, params);
+        event.start = date;
+        event.allDay = allDay;
+        if (params.TZID) event.timezone = params.TZID;
+        break;
+      }
+      case "DTEND": event.end = parseDate(value, params).date; break;
+      case "ORGANIZER": event.organizer = params.CN || value.replace(/^mailto:/i, ""); break;
+      case "ATTENDEE": event.attendees.push(params.CN || value.replace(/^mailto:/i, "")); break;
+      default: break;
+    }
+  }
+
+  return events;
+}
+
+function describeEvent(event) {
+  const when = !event.start ? ""
+    : event.allDay ? ` on ${event.start}`
+      : ` on ${event.start.slice(0, 10)} at ${event.start.slice(11, 16)}`;
+  return [
+    `Calendar event "${event.summary || "Untitled"}"${when}.`,
+    event.location ? `Location: ${event.location}.` : "",
+    event.attendees.length ? `Attendees: ${event.attendees.join(", ")}.` : "",
+    event.description || ""
+  ].filter(Boolean).join(" ");
+}
+
+/**
+ * Loader for iCalendar files (source type "ics"): one document per event.
+ */
+module.exports = function loadCalendar(source) {
+  const docs = [];
+
+  for (const file of resolveFiles(source.path, [".ics"])) {
+    const { docs: fileDocs, push } = createCollector(source, {
+      field: "calendar",
+      source: relativeSource(file),
+      updatedAt: fileUpdatedAt(file)
+    });
+
+    parseICS(fs.readFileSync(file, "utf-8")).forEach((event, i) => {
+      push(describeEvent(event), {
+        path: event.uid || `event[${i}]`,
+        title: event.summary || null,
+        tags: event.location ? [event.location] : []
+      });
+    });
+    docs.push(...fileDocs);
+  }
+
+  return docs;
+};
+
+module.exports.parseICS = parseICS;
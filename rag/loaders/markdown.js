@@ -0,0 +1,39 @@
+const fs = require("fs");
+const path = require("path");
+const { relativeSource, fileUpdatedAt, resolveFiles, createCollector } = require("./common");
+const { detectFormat, parseNote } = require("../../notes/noteParser");
+
+const EXTENSIONS = [".md", ".markdown", ".txt"];
+
+/**
+ * Loader for a folder of Markdown / text notes (source type "markdown").
+ * One document per heading section; `path` is "<file>#<heading trail>".
+ */
+module.exports = async function loadMarkdownFolder(source) {
+  const docs = [];
+
+  for (const file of resolveFiles(source.path, EXTENSIONS)) {
+    const relative = path.relative(source.path, file).split(path.sep).join("/") || path.basename(file);
+    const title = path.basename(file, path.extname(file));
+    const sections = await parseNote({
+      format: detectFormat({ filename: file }),
+      content: fs.readFileSync(file, "utf-8")
+    });
+
+    const { docs: fileDocs, push } = createCollector(source, {
+      field: "notes",
+      source: relativeSource(file),
+      updatedAt: fileUpdatedAt(file)
+    });
+
+    sections.forEach(section => {
+      push(
+        section.heading ? `${title} - ${section.heading}\n\n${section.content}` : `${title}\n\n${section.content}`,
+        { path: section.heading ? `${relative}#${section.heading}` : relative, title }
+      );
+    });
+    docs.push(...fileDocs);
+  }
+
+  return docs;
+};
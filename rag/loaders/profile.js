@@ -0,0 +1,200 @@
+const fs = require("fs");
+const { relativeSource, fileUpdatedAt, createCollector } = require("./common");
+
+// Sections with hand-written phrasing below; any other top-level key is
+// flattened generically
+const KNOWN_SECTIONS = ["profileSummary", "personal", "education", "skills", "projects", "goals", "habits", "hobbies"];
+
+// "favouriteFoods" / "favourite_foods" -> "favourite foods"
+function humanize(key) {
+  return String(key)
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/[_-]+/g, " ")
+    .toLowerCase();
+}
+
+function describe(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) {
+    const parts = value.map(describe).filter(Boolean);
+    return parts.join(value.some(v => v && typeof v === "object") ? "; " : ", ");
+  }
+  if (typeof value === "object") {
+    return Object.entries(value)
+      .map(([key, child]) => {
+        const text = describe(child);
+        return text ? `${humanize(key)}: ${text}` : "";
+      })
+      .filter(Boolean)
+      .join(". ");
+  }
+  return String(value);
+}
+
+/**
+ * Loader for the owner profile JSON (source type "profile").
+ */
+module.exports = function loadProfile(source) {
+  const filePath = source.path;
+  const raw = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+
+  const collector = createCollector(source, {
+    source: relativeSource(filePath),
+    updatedAt: fileUpdatedAt(filePath)
+  });
+  const docs = collector.docs;
+
+  const push = (content, field, { path: jsonPath = field, tags = [] } = {}) => {
+    collector.push(content, { field, path: jsonPath, tags });
+  };
+
+  /* ---------------- PROFILE SUMMARY ---------------- */
+  if (raw.profileSummary) {
+    push(raw.profileSummary, "summary", { path: "profileSummary" });
+  }
+
+  /* ---------------- PERSONAL ---------------- */
+  if (raw.personal?.name) {
+    push(`My name is ${raw.personal.name}.`, "name", { path: "personal.name" });
+  }
+
+  if (raw.personal?.parents) {
+    const p = raw.personal.parents;
+
+    const meta = { path: "personal.parents", tags: ["family"] };
+
+    if (p.description) {
+      push(p.description, "parents", meta);
+    } else if (p.father && p.mother) {
+      push(
+        `My father's name is ${p.father} and my mother's name is ${p.mother}.`,
+        "parents",
+        meta
+      );
+    }
+  }
+
+  /* ---------------- EDUCATION ---------------- */
+  if (Array.isArray(raw.education)) {
+    raw.education.forEach((edu, i) => {
+      const meta = { path: `education[${i}]`, tags: [edu.degree, edu.field] };
+
+      if (edu.description) {
+        push(edu.description, "education", meta);
+      } else {
+        push(
+          `I completed ${edu.degree} in ${edu.field}. Status: ${edu.status}.`,
+          "education",
+          meta
+        );
+      }
+    });
+  }
+
+  /* ---------------- SKILLS ---------------- */
+  if (raw.skills && typeof raw.skills === "object") {
+    Object.entries(raw.skills).forEach(([category, data]) => {
+      const meta = { path: `skills.${category}`, tags: [category, ...(data.list || [])] };
+
+      if (data.description) {
+        push(data.description, "skills", meta);
+      } else if (Array.isArray(data.list)) {
+        push(
+          `My ${category} skills include ${data.list.join(", ")}.`,
+          "skills",
+          meta
+        );
+      }
+    });
+  }
+
+  /* ---------------- PROJECTS ---------------- */
+  if (Array.isArray(raw.projects)) {
+    raw.projects.forEach((project, i) => {
+      const meta = { path: `projects[${i}]`, tags: [project.name] };
+
+      if (project.description) {
+        push(
+          `I worked on the project "${project.name}". ${project.description}`,
+          "projects",
+          meta
+        );
+      } else {
+        push(`I worked on the project "${project.name}".`, "projects", meta);
+      }
+    });
+  }
+
+  /* ---------------- GOALS ---------------- */
+  if (raw.goals) {
+    if (raw.goals.description) {
+      push(raw.goals.description, "goals", { path: "goals.description" });
+    }
+
+    if (raw.goals.career) {
+      push(`My career goal is to ${raw.goals.career}.`, "goals", { path: "goals.career", tags: ["career"] });
+    }
+  }
+
+  /* ---------------- HABITS ---------------- */
+  if (raw.habits && typeof raw.habits === "object") {
+    Object.entries(raw.habits).forEach(([type, data]) => {
+      const meta = { path: `habits.${type}`, tags: [type] };
+
+      if (data.description) {
+        push(data.description, "habits", meta);
+      } else if (Array.isArray(data.list)) {
+        push(
+          `My ${type} habits include ${data.list.join(", ")}.`,
+          "habits",
+          meta
+        );
+      }
+    });
+  }
+
+  /* ---------------- HOBBIES ---------------- */
+  if (raw.hobbies) {
+    const meta = { path: "hobbies", tags: raw.hobbies.list || [] };
+
+    if (raw.hobbies.description) {
+      push(raw.hobbies.description, "hobbies", meta);
+    } else if (Array.isArray(raw.hobbies.list)) {
+      push(
+        `My hobbies include ${raw.hobbies.list.join(", ")}.`,
+        "hobbies",
+        meta
+      );
+    }
+  }
+
+  /* ---------------- OTHER SECTIONS ---------------- */
+  Object.entries(raw)
+    .filter(([key]) => !KNOWN_SECTIONS.includes(key))
+    .forEach(([key, value]) => {
+      const label = humanize(key);
+
+      if (Array.isArray(value)) {
+        value.forEach((item, i) => {
+          push(`${label}: ${describe(item)}`, key, { path: `${key}[${i}]`, tags: [label] });
+        });
+      } else if (value && typeof value === "object") {
+        if (typeof value.description === "string") {
+          push(value.description, key, { tags: [label] });
+        }
+        Object.entries(value)
+          .filter(([child]) => child !== "description")
+          .forEach(([child, data]) => {
+            const text = describe(data);
+            if (text) {
+              push(`${label} - ${humanize(child)}: ${text}`, key, { path: `${key}.${child}`, tags: [label, humanize(child)] });
+            }
+          });
+      } else if (value !== null && value !== undefined) {
+        push(`${label}: ${value}`, key, { tags: [label] });
+      }
+    });
+
+  console.log(`✅ Loaded ${docs.length} owner profile chunks`);
+  return docs;
+};
@@ -0,0 +1,16 @@
+// Normalizes document/chunk metadata to the schema documented in loader.js.
+// Legacy chunks only carried a top-level `field` (or nothing at all).
+function normalizeMetadata(metadata = {}, legacy = {}) {
+  const tags = Array.isArray(metadata.tags) ? metadata.tags : [];
+
+  return {
+    ...metadata,
+    field: metadata.field || legacy.field || "general",
+    source: metadata.source || legacy.source || null,
+    path: metadata.path || null,
+    updatedAt: metadata.updatedAt || null,
+    tags: tags.filter(tag => typeof tag === "string" && tag.trim() !== "")
+  };
+}
+
+module.exports = normalizeMetadata;
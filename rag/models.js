@@ -0,0 +1,26 @@
+const path = require("path");
+
+/*
+ * @xenova/transformers with one model directory for embedders and rerankers.
+ * Models are looked up in RAG_MODEL_DIR first (<dir>/<org>/<model>/...) and
+ * downloads are cached there in the same layout, so a model fetched once - or
+ * copied in by hand - keeps working offline. RAG_OFFLINE=true never downloads.
+ */
+const MODEL_DIR = process.env.RAG_MODEL_DIR || path.join(__dirname, "../models");
+
+// Loaded lazily: the ONNX runtime is only needed when a real model is used
+function loadTransformers() {
+  const transformers = require("@xenova/transformers");
+  const { env } = transformers;
+
+  env.localModelPath = MODEL_DIR;
+  env.cacheDir = MODEL_DIR;
+  env.allowRemoteModels = process.env.RAG_OFFLINE !== "true";
+
+  return transformers;
+}
+
+module.exports = {
+  MODEL_DIR,
+  loadTransformers
+};
@@ -0,0 +1,86 @@
+// Cross-encoder re-ranking: scores (query, chunk) pairs jointly, which ranks
+// more precisely than comparing separately computed embeddings, but costs one
+// model pass per candidate - so only the top candidates of a search are
+// re-scored.
+const { loadTransformers } = require("./models");
+
+const RERANK_MODEL = process.env.RAG_RERANK_MODEL || "Xenova/ms-marco-MiniLM-L-6-v2";
+
+class Reranker {
+  constructor() {
+    // (query, texts) => Promise<number[]>, one relevance score (0..1) per text
+    this.scorer = null;
+    this.model = null;
+    this.loading = null;
+  }
+
+  /* ---------------- MODEL ---------------- */
+
+  async initReranker() {
+    if (this.scorer) {
+      console.log("ℹ️ Reranker already initialized");
+      return;
+    }
+
+    // Concurrent first requests share one download
+    if (!this.loading) {
+      this.loading = this.loadModel().finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+  }
+
+  async loadModel() {
+    console.log("🔹 Initializing reranker...");
+    const { AutoTokenizer, AutoModelForSequenceClassification } = loadTransformers();
+    const tokenizer = await AutoTokenizer.from_pretrained(RERANK_MODEL);
+    const model = await AutoModelForSequenceClassification.from_pretrained(RERANK_MODEL);
+
+    this.setScorer(async (query, texts) => {
+      const inputs = tokenizer(texts.map(() => query), {
+        text_pair: texts,
+        padding: true,
+        truncation: true
+      });
+      const { logits } = await model(inputs);
+      // One relevance logit per pair
+      return Array.from(logits.data, logit => 1 / (1 + Math.exp(-logit)));
+    }, { model: RERANK_MODEL });
+    console.log("✅ Reranker initialized successfully");
+  }
+
+  // Any function with the scorer's signature, e.g. a stub in tests
+  setScorer(scorer, { model = "custom" } = {}) {
+    this.scorer = scorer;
+    this.model = model;
+  }
+
+  /* ---------------- RE-RANKING ---------------- */
+
+  /**
+   * Re-scores search results against `query` and keeps the best `topK`.
+   * `score` becomes the cross-encoder score; the search score moves to
+   * `retrievalScore`.
+   */
+  async rerank(query, results, { topK = results.length } = {}) {
+    if (results.length === 0) return [];
+    if (!this.scorer) await this.initReranker();
+
+    const scores = await this.scorer(query, results.map(r => r.content));
+
+    return results
+      .map((result, i) => ({ ...result, retrievalScore: result.score, score: scores[i] }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+}
+
+const instance = new Reranker();
+
+module.exports = {
+  RERANK_MODEL,
+  initReranker: () => instance.initReranker(),
+  setScorer: (scorer, opts) => instance.setScorer(scorer, opts),
+  rerank: (query, results, opts) => instance.rerank(query, results, opts)
+};
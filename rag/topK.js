@@ -0,0 +1,53 @@
+// Bounded min-heap keeping the K highest-scoring items: O(n log K) instead of
+// sorting every candidate.
+class TopK {
+  constructor(k) {
+    this.k = Math.max(0, Math.floor(k));
+    this.heap = [];
+  }
+
+  push(item, score) {
+    if (this.k === 0) return;
+
+    if (this.heap.length < this.k) {
+      this.heap.push({ item, score });
+      this.siftUp(this.heap.length - 1);
+    } else if (score > this.heap[0].score) {
+      this.heap[0] = { item, score };
+      this.siftDown(0);
+    }
+  }
+
+  // Highest score first
+  sorted() {
+    return [...this.heap].sort((a, b) => b.score - a.score).map(entry => entry.item);
+  }
+
+  siftUp(i) {
+    const heap = this.heap;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].score <= heap[i].score) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  siftDown(i) {
+    const heap = this.heap;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+
+      if (left < heap.length && heap[left].score < heap[smallest].score) smallest = left;
+      if (right < heap.length && heap[right].score < heap[smallest].score) smallest = right;
+      if (smallest === i) break;
+
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+}
+
+module.exports = TopK;
@@ -1,13 +1,55 @@
-const { pipeline } = require("@xenova/transformers");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
+const normalizeMetadata = require("./metadata");
+const { BM25Index, tokenize } = require("./bm25");
+const TopK = require("./topK");
+const { reciprocalRankFusion } = require("./fusion");
+const { loadTransformers } = require("./models");
+
+// vectorDB.json layout; version 1 was a bare array of vectors, version 2
+// did not record the embedding model, version 3 kept embeddings inline.
+// Since version 4 embeddings live in a Float32 sidecar (vectorDB.bin):
+// `count` rows of `dimension` little-endian floats, in `vectors` order,
+// whose SHA-256 is recorded as `embeddingsSha256`.
+const DB_VERSION = 4;
+
+const EMBEDDING_MODEL = process.env.RAG_EMBEDDING_MODEL || "Xenova/all-MiniLM-L6-v2";
+
+const SEARCH_MODES = ["vector", "keyword", "hybrid"];
+const DEFAULT_TOP_K = 3;
+
+/*
+ * Collections are independent stores, each with its own embedding model,
+ * files and stats. "default" lives at VECTOR_DB_PATH (rag/vectorDB.json);
+ * other collections sit next to it as vectorDB.<name>.json/.bin unless the
+ * collections config gives a `path`.
+ */
+const DEFAULT_COLLECTION = "default";
+const COLLECTION_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DEFAULT_DB_PATH = process.env.VECTOR_DB_PATH || path.join(__dirname, "./vectorDB.json");
 
 class VectorStore {
-  constructor() {
+  // `persist: false` keeps the store in memory only (see createScratchStore)
+  constructor({ name = DEFAULT_COLLECTION, dbPath = collectionPath(name), embeddingModel = EMBEDDING_MODEL, persist = true } = {}) {
+    this.name = name;
+    this.persist = persist;
+    // Model initEmbedder() loads; `model` names the embedder actually in use
+    this.embeddingModel = embeddingModel;
     this.embedder = null;
+    this.model = null;
+    // Model and dimension the stored vectors were embedded with
+    this.index = { model: null, dimension: null };
+    // { id, content, hash, metadata }; embeddings are rows of `matrix`
     this.vectors = [];
+    // Unit-length embeddings, one row of `index.dimension` floats per vector
+    this.matrix = new Float32Array(0);
+    // Full text of documents that were split into several chunks, by parentId
+    this.parents = {};
     this.fieldIndex = {};
-    this.DB_PATH = path.join(__dirname, "./vectorDB.json");
+    this.keywordIndex = new BM25Index();
+    this.DB_PATH = dbPath;
+    this.EMBEDDINGS_PATH = this.DB_PATH.replace(/\.json$/, "") + ".bin";
   }
 
   /* ---------------- EMBEDDER ---------------- */
@@ -18,14 +60,19 @@ class VectorStore {
       return;
     }
 
-    console.log("🔹 Initializing embedder...");
-    this.embedder = await pipeline(
-      "feature-extraction",
-      "Xenova/all-MiniLM-L6-v2"
-    );
+    console.log(`🔹 Initializing embedder ${this.embeddingModel} (${this.name})...`);
+    this.embedder = await loadPipeline(this.embeddingModel);
+    this.model = this.embeddingModel;
     console.log("✅ Embedder initialized successfully");
   }
 
+  // Any function with the pipeline's signature, e.g. a stub in tests:
+  // (text, { pooling, normalize }) => Promise<{ data }>
+  setEmbedder(embedder, { model = "custom" } = {}) {
+    this.embedder = embedder;
+    this.model = model;
+  }
+
   async embedText(text) {
     if (!this.embedder) {
       throw new Error("Embedder not initialized");
@@ -36,38 +83,92 @@ class VectorStore {
       normalize: true
     });
 
-    return Array.from(output.data);
+    return normalizeVector(Float32Array.from(output.data));
+  }
+
+  embeddingAt(i) {
+    const dimension = this.index.dimension;
+    return this.matrix.subarray(i * dimension, (i + 1) * dimension);
   }
 
   /* ---------------- VECTOR STORE ---------------- */
 
   async buildVectorStore(chunks) {
+    return this.syncVectorStore(chunks, { force: true });
+  }
+
+  /**
+   * Incremental indexing: chunks whose content hash is unchanged keep their
+   * embedding, new or edited chunks are embedded, chunks no longer present are
+   * dropped. A different embedding model or dimension (or `force`) re-embeds
+   * everything. Returns { added, updated, unchanged, removed, rebuilt }.
+   */
+  async syncVectorStore(chunks, { force = false } = {}) {
     if (!Array.isArray(chunks) || chunks.length === 0) {
       throw new Error("No chunks provided to buildVectorStore()");
     }
 
-    console.log(`🔹 Building vector store from ${chunks.length} chunks`);
-    this.vectors = [];
+    const rebuilt = force || !this.isCompatible();
+    console.log(`🔹 ${rebuilt ? "Building" : "Updating"} vector store from ${chunks.length} chunks`);
+
+    const previous = new Map(rebuilt ? [] : this.vectors.map((v, i) => [v.id, { ...v, embedding: this.embeddingAt(i) }]));
+    const summary = { added: 0, updated: 0, unchanged: 0, removed: 0, rebuilt };
+    const vectors = [];
+    const embeddings = [];
+    const parents = {};
 
     for (const chunk of chunks) {
       if (!chunk.content) continue;
 
-      const embedding = await this.embedText(chunk.content);
+      if (chunk.parent) {
+        parents[chunk.parent.id] = chunk.parent.content;
+      }
+
+      const hash = hashContent(chunk.content);
+      const existing = previous.get(chunk.id);
+      previous.delete(chunk.id);
+
+      let embedding;
+      if (existing && existing.hash === hash) {
+        embedding = existing.embedding;
+        summary.unchanged++;
+      } else {
+        embedding = await this.embedText(chunk.content);
+        summary[existing ? "updated" : "added"]++;
+      }
 
-      this.vectors.push({
+      if (embeddings.length > 0 && embedding.length !== embeddings[0].length) {
+        throw new Error(`Embedding dimension changed from ${embeddings[0].length} to ${embedding.length} while indexing`);
+      }
+
+      vectors.push({
         id: chunk.id,
         content: chunk.content,
-        embedding,
-        metadata: {
-          field: chunk.field || "general"
-        }
+        hash,
+        metadata: normalizeMetadata(chunk.metadata, chunk)
       });
+      embeddings.push(embedding);
     }
 
+    summary.removed = previous.size;
+    this.vectors = vectors;
+    this.parents = parents;
+    this.index = { model: this.model, dimension: embeddings[0]?.length ?? null };
+    this.matrix = packRows(embeddings, this.index.dimension);
+
     this.buildIndex();
-    this.saveToDisk();
+    if (this.persist) this.saveToDisk();
 
-    console.log(`✅ Vector store built: ${this.vectors.length} vectors`);
+    console.log(`✅ Vector store ${rebuilt ? "built" : "updated"}: ${this.vectors.length} vectors`, summary);
+    return summary;
+  }
+
+  // Stored vectors can be reused only if they came from the current model
+  isCompatible() {
+    return this.vectors.length > 0 &&
+      this.index.model === this.model &&
+      this.index.dimension > 0 &&
+      this.matrix.length === this.vectors.length * this.index.dimension;
   }
 
   buildIndex() {
@@ -81,22 +182,55 @@ class VectorStore {
       }
       this.fieldIndex[field].push(i);
     }
+
+    this.keywordIndex.build(this.vectors.map(v => v.content));
   }
 
   /* ---------------- SEARCH ---------------- */
 
-  cosineSimilarity(a, b) {
-    let dot = 0, na = 0, nb = 0;
-    for (let i = 0; i < a.length; i++) {
-      dot += a[i] * b[i];
-      na += a[i] * a[i];
-      nb += b[i] * b[i];
+  // Rows and query are unit length, so the dot product is the cosine similarity
+  dotProduct(query, i) {
+    const matrix = this.matrix;
+    const dimension = query.length;
+    let dot = 0;
+    for (let j = 0, offset = i * dimension; j < dimension; j++, offset++) {
+      dot += query[j] * matrix[offset];
     }
-    return dot / (Math.sqrt(na) * Math.sqrt(nb) || 1);
+    return dot;
   }
 
-  async search(query, { topK = 3, minScore = 0.25 } = {}) {
-    if (!this.embedder) {
+  // Vector indices restricted to `fields` through the field index
+  candidateIndices(fields) {
+    if (!Array.isArray(fields) || fields.length === 0) {
+      return Uint32Array.from({ length: this.vectors.length }, (_, i) => i);
+    }
+
+    const indices = new Set();
+    for (const field of fields) {
+      (this.fieldIndex[field] || []).forEach(i => indices.add(i));
+    }
+    return [...indices];
+  }
+
+  // The passage a chunk was cut from; unsplit documents are their own parent
+  getParent(vector) {
+    const id = vector.metadata.parentId || vector.id;
+    return { id, content: this.parents[id] || vector.content };
+  }
+
+  /**
+   * mode "vector": cosine similarity of embeddings (default)
+   * mode "keyword": BM25, normalized to 0..1 against the best candidate
+   * mode "hybrid": alpha * vector + (1 - alpha) * keyword
+   *
+   * `includeParent` adds `parent: { id, content }` with the surrounding passage.
+   */
+  async search(query, { topK = DEFAULT_TOP_K, minScore = 0.25, fields, mode = "vector", alpha = 0.6, includeParent = false } = {}) {
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`Unknown search mode "${mode}". Use one of: ${SEARCH_MODES.join(", ")}`);
+    }
+
+    if (mode !== "keyword" && !this.embedder) {
       throw new Error("Embedder not initialized");
     }
 
@@ -105,24 +239,76 @@ class VectorStore {
       return [];
     }
 
-    const queryEmbedding = await this.embedText(query);
+    const candidates = this.candidateIndices(fields);
+    if (candidates.length === 0) return [];
 
-    return this.vectors
-      .map(v => ({
+    const queryEmbedding = mode === "keyword" ? null : await this.embedText(query);
+    if (queryEmbedding && queryEmbedding.length !== this.index.dimension) {
+      throw new Error(`Query embedding has ${queryEmbedding.length} dimensions, the index has ${this.index.dimension} - re-index the store`);
+    }
+
+    let keywordScores = null;
+    if (mode !== "vector") {
+      const queryTokens = tokenize(query);
+      keywordScores = new Float32Array(candidates.length);
+      let max = 0;
+      for (let n = 0; n < candidates.length; n++) {
+        keywordScores[n] = this.keywordIndex.score(queryTokens, candidates[n]);
+        if (keywordScores[n] > max) max = keywordScores[n];
+      }
+      for (let n = 0; n < candidates.length && max > 0; n++) {
+        keywordScores[n] /= max;
+      }
+    }
+
+    const best = new TopK(topK);
+    for (let n = 0; n < candidates.length; n++) {
+      const i = candidates[n];
+      const vectorScore = queryEmbedding ? this.dotProduct(queryEmbedding, i) : 0;
+      const keywordScore = keywordScores ? keywordScores[n] : 0;
+      const score = mode === "vector" ? vectorScore
+        : mode === "keyword" ? keywordScore
+          : alpha * vectorScore + (1 - alpha) * keywordScore;
+
+      if (score >= minScore) {
+        best.push({ i, score, vectorScore, keywordScore }, score);
+      }
+    }
+
+    return best.sorted().map(({ i, score, vectorScore, keywordScore }) => {
+      const v = this.vectors[i];
+      return {
         ...v,
-        score: this.cosineSimilarity(queryEmbedding, v.embedding)
-      }))
-      .filter(v => v.score >= minScore)
-      .sort((a, b) => b.score - a.score)
-      .slice(0, topK);
+        collection: this.name,
+        score,
+        ...(mode === "hybrid" ? { scores: { vector: vectorScore, keyword: keywordScore } } : {}),
+        ...(includeParent ? { parent: this.getParent(v) } : {})
+      };
+    });
   }
 
   /* ---------------- PERSISTENCE ---------------- */
 
+  // Sidecar first: a crash in between leaves a JSON file whose checksum does
+  // not match the sidecar (even when the size does), which loadFromDisk() rejects
   saveToDisk() {
-    fs.writeFileSync(
+    const { matrix } = this;
+    const embeddings = Buffer.from(matrix.buffer, matrix.byteOffset, matrix.byteLength);
+    writeFileAtomic(this.EMBEDDINGS_PATH, embeddings);
+    writeFileAtomic(
       this.DB_PATH,
-      JSON.stringify(this.vectors, null, 2)
+      JSON.stringify({
+        version: DB_VERSION,
+        collection: this.name,
+        savedAt: new Date().toISOString(),
+        model: this.index.model,
+        dimension: this.index.dimension,
+        count: this.vectors.length,
+        embeddings: path.basename(this.EMBEDDINGS_PATH),
+        embeddingsSha256: hashContent(embeddings),
+        vectors: this.vectors,
+        parents: this.parents
+      })
     );
     console.log("💾 Vector store saved");
   }
@@ -132,46 +318,325 @@ class VectorStore {
       return false;
     }
 
-    const data = JSON.parse(fs.readFileSync(this.DB_PATH, "utf-8"));
+    // A corrupt file is rebuilt from the data sources like a missing one
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.DB_PATH, "utf-8"));
+    } catch (error) {
+      console.error(`❌ Failed to load vector store ${this.DB_PATH}:`, error.message);
+      return false;
+    }
 
-    if (!Array.isArray(data) || data.length === 0) {
+    const isLegacy = Array.isArray(data);
+    const vectors = isLegacy ? data : data?.vectors;
+
+    if (!Array.isArray(vectors) || vectors.length === 0) {
       return false;
     }
 
-    // Normalize legacy data
-    this.vectors = data.map(v => ({
+    // Versions before 4 stored embeddings inline
+    const inline = isLegacy || data.version < DB_VERSION;
+    let dimension;
+    let matrix;
+
+    if (inline) {
+      dimension = vectors[0].embedding?.length || 0;
+      const rows = vectors.map(v => normalizeVector(Float32Array.from(v.embedding || [])));
+      if (rows.some(row => row.length !== dimension)) {
+        console.warn("⚠️ Stored embeddings have mixed dimensions - ignoring the saved store");
+        return false;
+      }
+      matrix = packRows(rows, dimension);
+    } else {
+      dimension = data.dimension;
+      if (!(dimension > 0)) return false;
+      matrix = this.readEmbeddings(vectors.length * dimension, data.embeddingsSha256);
+      if (!matrix) return false;
+    }
+
+    // Migrate legacy vectors (top-level `field`, missing metadata) to the current schema
+    this.vectors = vectors.map(({ field, embedding, ...v }) => ({
       ...v,
-      metadata: v.metadata || { field: "general" }
+      metadata: normalizeMetadata(v.metadata, { field })
     }));
+    this.matrix = matrix;
+    this.parents = (!isLegacy && data.parents) || {};
+    this.index = {
+      model: (!isLegacy && data.model) || null,
+      dimension
+    };
 
     this.buildIndex();
     console.log(`📂 Loaded ${this.vectors.length} vectors from disk`);
+
+    if (inline) {
+      console.log("🔄 Migrating vector store to the binary embeddings format");
+      this.saveToDisk();
+    }
     return true;
   }
 
+  // Files saved before the checksum was recorded are checked by size only
+  readEmbeddings(expectedLength, expectedSha256) {
+    if (!fs.existsSync(this.EMBEDDINGS_PATH)) {
+      console.warn(`⚠️ Embeddings file ${this.EMBEDDINGS_PATH} is missing`);
+      return null;
+    }
+
+    const buffer = fs.readFileSync(this.EMBEDDINGS_PATH);
+    if (buffer.byteLength !== expectedLength * Float32Array.BYTES_PER_ELEMENT ||
+      (expectedSha256 && hashContent(buffer) !== expectedSha256)) {
+      console.warn("⚠️ Embeddings file does not match vectorDB.json - ignoring the saved store");
+      return null;
+    }
+
+    // Copy into an aligned buffer; Node may pool small file reads at odd offsets
+    return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+  }
+
   /* ---------------- UTILS ---------------- */
 
   clear() {
     this.vectors = [];
+    this.matrix = new Float32Array(0);
+    this.parents = {};
+    this.index = { model: null, dimension: null };
     this.fieldIndex = {};
-    if (fs.existsSync(this.DB_PATH)) fs.unlinkSync(this.DB_PATH);
+    this.keywordIndex = new BM25Index();
+    for (const file of [this.DB_PATH, this.EMBEDDINGS_PATH]) {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
   }
 
   getStats() {
+    const fieldCounts = {};
+    for (const [field, indices] of Object.entries(this.fieldIndex)) {
+      fieldCounts[field] = indices.length;
+    }
+
+    const sourceCounts = {};
+    for (const v of this.vectors) {
+      const source = v.metadata.source || "unknown";
+      sourceCounts[source] = (sourceCounts[source] || 0) + 1;
+    }
+
     return {
       vectors: this.vectors.length,
-      fields: Object.keys(this.fieldIndex)
+      embeddingModel: this.embeddingModel,
+      model: this.index.model,
+      dimension: this.index.dimension,
+      fields: Object.keys(this.fieldIndex),
+      fieldCounts,
+      sourceCounts,
+      splitDocuments: Object.keys(this.parents).length
     };
   }
 }
 
-const instance = new VectorStore();
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+function normalizeVector(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+
+  if (norm > 0 && Math.abs(norm - 1) > 1e-6) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+function packRows(rows, dimension) {
+  const matrix = new Float32Array(rows.length * (dimension || 0));
+  rows.forEach((row, i) => matrix.set(row, i * dimension));
+  return matrix;
+}
+
+// Write to a temp file and rename over the target, so readers never see a
+// half-written file
+function writeFileAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+/* ---------------- COLLECTIONS ---------------- */
+
+// Feature-extraction pipelines by model, shared by collections using the same one
+const pipelines = new Map();
+const collections = new Map();
+// setEmbedder() applies to every collection, including ones created later
+let sharedEmbedder = null;
+
+function loadPipeline(model) {
+  if (!pipelines.has(model)) {
+    const { pipeline } = loadTransformers();
+    pipelines.set(model, pipeline("feature-extraction", model).catch(error => {
+      pipelines.delete(model);
+      throw error;
+    }));
+  }
+  return pipelines.get(model);
+}
+
+function collectionPath(name) {
+  return name === DEFAULT_COLLECTION
+    ? DEFAULT_DB_PATH
+    : path.join(path.dirname(DEFAULT_DB_PATH), `vectorDB.${name}.json`);
+}
+
+// Creates the collection on first use; a changed `model` takes effect at the
+// next initEmbedder(), and the next sync re-embeds (isCompatible() fails)
+function ensureCollection(name, { model, path: dbPath } = {}) {
+  if (typeof name !== "string" || !COLLECTION_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid collection name "${name}": use 1-64 letters, digits, '-' or '_'`);
+  }
+
+  let store = collections.get(name);
+  if (!store) {
+    store = new VectorStore({
+      name,
+      dbPath: dbPath ? path.resolve(__dirname, "..", dbPath) : collectionPath(name),
+      embeddingModel: model || EMBEDDING_MODEL
+    });
+    if (sharedEmbedder) store.setEmbedder(sharedEmbedder.embedder, sharedEmbedder.options);
+    collections.set(name, store);
+  } else if (model && model !== store.embeddingModel) {
+    store.embeddingModel = model;
+    if (!sharedEmbedder) store.embedder = null;
+  }
+  return store;
+}
+
+function getCollection(name) {
+  const store = collections.get(name);
+  if (!store) {
+    throw new Error(`Unknown collection "${name}". Available: ${[...collections.keys()].join(", ")}`);
+  }
+  return store;
+}
+
+// { name: { model, path } } from the sources config (rag/loader.js)
+function configureCollections(config = {}) {
+  for (const [name, options] of Object.entries(config)) {
+    ensureCollection(name, options || {});
+  }
+}
+
+async function initEmbedder() {
+  for (const store of collections.values()) {
+    await store.initEmbedder();
+  }
+}
+
+function setEmbedder(embedder, options) {
+  sharedEmbedder = { embedder, options };
+  for (const store of collections.values()) {
+    store.setEmbedder(embedder, options);
+  }
+}
+
+async function syncVectorStore(chunks, { collection = DEFAULT_COLLECTION, ...options } = {}) {
+  const store = ensureCollection(collection);
+  if (!store.embedder) await store.initEmbedder();
+  return store.syncVectorStore(chunks, options);
+}
+
+/**
+ * Searches one collection, a list of them, or (by default) every non-empty
+ * one. Scores of different models are not comparable, so results of several
+ * collections are merged by reciprocal rank fusion.
+ */
+async function search(query, { collection, ...options } = {}) {
+  const stores = collection === undefined
+    ? [...collections.values()]
+    : [].concat(collection).map(getCollection);
+  const searched = stores.length === 1 ? stores : stores.filter(store => store.vectors.length > 0);
+
+  if (searched.length === 0) return [];
+  if (searched.length === 1) return searched[0].search(query, options);
+
+  const lists = [];
+  for (const store of searched) {
+    lists.push(await store.search(query, options));
+  }
+  return reciprocalRankFusion(lists, { topK: options.topK ?? DEFAULT_TOP_K });
+}
+
+function loadFromDisk() {
+  let loaded = false;
+  for (const store of collections.values()) {
+    if (store.loadFromDisk()) loaded = true;
+  }
+  return loaded;
+}
+
+function clear(collection) {
+  const stores = collection === undefined ? [...collections.values()] : [getCollection(collection)];
+  stores.forEach(store => store.clear());
+}
+
+// One collection, or totals over all of them plus `collections` with each
+// one's stats; `model` and `dimension` are those of the default collection
+function getStats(collection) {
+  if (collection !== undefined) {
+    return { collection, ...getCollection(collection).getStats() };
+  }
+
+  const perCollection = {};
+  const total = { vectors: 0, fieldCounts: {}, sourceCounts: {}, splitDocuments: 0 };
+
+  for (const [name, store] of collections) {
+    const stats = store.getStats();
+    perCollection[name] = stats;
+    total.vectors += stats.vectors;
+    total.splitDocuments += stats.splitDocuments;
+    for (const key of ["fieldCounts", "sourceCounts"]) {
+      for (const [k, count] of Object.entries(stats[key])) {
+        total[key][k] = (total[key][k] || 0) + count;
+      }
+    }
+  }
+
+  const main = perCollection[DEFAULT_COLLECTION];
+  return {
+    vectors: total.vectors,
+    model: main.model,
+    dimension: main.dimension,
+    fields: Object.keys(total.fieldCounts),
+    fieldCounts: total.fieldCounts,
+    sourceCounts: total.sourceCounts,
+    splitDocuments: total.splitDocuments,
+    collections: perCollection
+  };
+}
+
+ensureCollection(DEFAULT_COLLECTION);
+
+// An empty in-memory store sharing the default collection's embedder, e.g. to
+// compare chunking settings without touching the saved index
+function createScratchStore() {
+  const main = collections.get(DEFAULT_COLLECTION);
+  const store = new VectorStore({ name: "scratch", persist: false, embeddingModel: main.embeddingModel });
+  store.setEmbedder(main.embedder, { model: main.model });
+  return store;
+}
 
 module.exports = {
-  initEmbedder: () => instance.initEmbedder(),
-  buildVectorStore: chunks => instance.buildVectorStore(chunks),
-  search: (q, opts) => instance.search(q, opts),
-  loadFromDisk: () => instance.loadFromDisk(),
-  clear: () => instance.clear(),
-  getStats: () => instance.getStats()
+  SEARCH_MODES,
+  DEFAULT_COLLECTION,
+  EMBEDDING_MODEL,
+  configureCollections,
+  listCollections: () => [...collections.keys()],
+  createScratchStore,
+  initEmbedder,
+  setEmbedder,
+  buildVectorStore: (chunks, opts) => syncVectorStore(chunks, { ...opts, force: true }),
+  syncVectorStore,
+  search,
+  loadFromDisk,
+  clear,
+  getStats
 };
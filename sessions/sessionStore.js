@@ -0,0 +1,157 @@
+const fs = require("fs");
+const path = require("path");
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+class SessionStore {
+  constructor() {
+    // No prototype: ids like "constructor" or "__proto__" must not find inherited members
+    this.sessions = Object.create(null);
+    this.DB_PATH = process.env.SESSIONS_DB_PATH || path.join(__dirname, "./sessions.json");
+    // How many stored messages are replayed into the LLM prompt
+    this.historyWindow = Number(process.env.SESSION_HISTORY_WINDOW) || 10;
+    // Hard cap on messages kept per session on disk
+    this.maxMessages = Number(process.env.SESSION_MAX_MESSAGES) || 200;
+  }
+
+  /* ---------------- SESSIONS ---------------- */
+
+  isValidId(id) {
+    return typeof id === "string" && SESSION_ID_PATTERN.test(id);
+  }
+
+  get(id) {
+    return this.sessions[id] || null;
+  }
+
+  getOrCreate(id) {
+    if (!this.isValidId(id)) {
+      throw new Error(`Invalid session id: ${id}`);
+    }
+
+    if (!this.sessions[id]) {
+      const now = new Date().toISOString();
+      this.sessions[id] = {
+        id,
+        createdAt: now,
+        updatedAt: now,
+        messages: []
+      };
+      console.log(`🆕 Session created: ${id}`);
+    }
+
+    return this.sessions[id];
+  }
+
+  delete(id) {
+    if (!this.sessions[id]) return false;
+
+    delete this.sessions[id];
+    this.saveToDisk();
+    console.log(`🗑️ Session deleted: ${id}`);
+    return true;
+  }
+
+  /* ---------------- HISTORY ---------------- */
+
+  // message: { role: "user" | "assistant" | "tool", content, name? }
+  append(id, message) {
+    const session = this.getOrCreate(id);
+
+    session.messages.push({
+      role: message.role,
+      content: typeof message.content === "string"
+        ? message.content
+        : JSON.stringify(message.content),
+      ...(message.name ? { name: message.name } : {}),
+      timestamp: new Date().toISOString()
+    });
+
+    if (session.messages.length > this.maxMessages) {
+      session.messages = session.messages.slice(-this.maxMessages);
+    }
+
+    session.updatedAt = new Date().toISOString();
+    this.saveToDisk();
+  }
+
+  // Last `limit` messages converted to the chat `messages` format
+  getHistory(id, { limit = this.historyWindow } = {}) {
+    const session = this.get(id);
+    if (!session || limit <= 0) return [];
+
+    return session.messages.slice(-limit).map(m => {
+      if (m.role === "tool") {
+        return {
+          role: "system",
+          content: `Result of tool ${m.name || "unknown"}: ${m.content}`
+        };
+      }
+      return { role: m.role, content: m.content };
+    });
+  }
+
+  /* ---------------- VARIABLES ---------------- */
+
+  // Calculator variables of a session, in math/calculator.js' stored form
+  getVariables(id) {
+    return this.get(id)?.variables || {};
+  }
+
+  setVariables(id, variables) {
+    const session = this.getOrCreate(id);
+    session.variables = variables;
+    session.updatedAt = new Date().toISOString();
+    this.saveToDisk();
+  }
+
+  /* ---------------- PERSISTENCE ---------------- */
+
+  saveToDisk() {
+    fs.writeFileSync(this.DB_PATH, JSON.stringify(this.sessions, null, 2));
+  }
+
+  loadFromDisk() {
+    if (!fs.existsSync(this.DB_PATH)) {
+      return false;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.DB_PATH, "utf-8"));
+      if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return false;
+      }
+      this.sessions = Object.assign(Object.create(null), data);
+    } catch (error) {
+      console.error("❌ Failed to load sessions:", error.message);
+      return false;
+    }
+
+    console.log(`📂 Loaded ${Object.keys(this.sessions).length} sessions from disk`);
+    return true;
+  }
+
+  /* ---------------- UTILS ---------------- */
+
+  getStats() {
+    return {
+      sessions: Object.keys(this.sessions).length,
+      historyWindow: this.historyWindow
+    };
+  }
+}
+
+const instance = new SessionStore();
+
+module.exports = {
+  isValidId: id => instance.isValidId(id),
+  get: id => instance.get(id),
+  getOrCreate: id => instance.getOrCreate(id),
+  delete: id => instance.delete(id),
+  append: (id, message) => instance.append(id, message),
+  getHistory: (id, opts) => instance.getHistory(id, opts),
+  getVariables: id => instance.getVariables(id),
+  setVariables: (id, variables) => instance.setVariables(id, variables),
+  loadFromDisk: () => instance.loadFromDisk(),
+  getStats: () => instance.getStats()
+};
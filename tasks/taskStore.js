@@ -0,0 +1,226 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PRIORITIES = ["low", "normal", "high"];
+const STATUSES = ["open", "done"];
+// list() filters on the due date of open tasks
+const DUE_FILTERS = ["overdue", "today", "week"];
+
+class TaskStore {
+  constructor() {
+    this.tasks = Object.create(null);
+    this.DB_PATH = process.env.TASKS_DB_PATH || path.join(__dirname, "./tasks.json");
+  }
+
+  /* ---------------- TASKS ---------------- */
+
+  create({ title, notes = null, dueAt = null, priority = "normal", tags = [], sessionId = null }) {
+    const now = new Date().toISOString();
+    const task = {
+      id: `task_${crypto.randomUUID()}`,
+      title,
+      notes,
+      dueAt,
+      priority,
+      tags,
+      status: "open",
+      completedAt: null,
+      // { remindAt, email, jobId, status: "pending" | "sent" | "failed" | "cancelled" }
+      reminder: null,
+      sessionId,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.tasks[task.id] = task;
+    this.saveToDisk();
+    console.log(`✅ Task created: ${task.id} (${title})`);
+    return task;
+  }
+
+  get(id) {
+    return this.tasks[id] || null;
+  }
+
+  /**
+   * A task by id or title, for tools where the model only knows the title.
+   * Returns { task } or { error: "not_found" | "ambiguous", matches }.
+   */
+  find(ref) {
+    if (this.tasks[ref]) return { task: this.tasks[ref] };
+
+    const needle = String(ref || "").trim().toLowerCase();
+    const candidates = Object.values(this.tasks);
+
+    const exact = candidates.filter(task => task.title.toLowerCase() === needle);
+    const matches = exact.length > 0 ? exact : candidates.filter(task => needle && task.title.toLowerCase().includes(needle));
+
+    if (matches.length === 1) return { task: matches[0] };
+    // Prefer the one open task among several matches
+    const openMatches = matches.filter(task => task.status === "open");
+    if (openMatches.length === 1) return { task: openMatches[0] };
+
+    return { error: matches.length === 0 ? "not_found" : "ambiguous", matches };
+  }
+
+  // Open tasks by due date (undated last), then done tasks, newest first
+  list({ status, due, query, now = new Date() } = {}) {
+    const endOfDay = new Date(now);
+    endOfDay.setHours(23, 59, 59, 999);
+    const endOfWeek = new Date(endOfDay.getTime() + 6 * 86400e3);
+    const needle = query?.trim().toLowerCase();
+
+    const dueMatches = task => {
+      if (!due) return true;
+      if (task.status !== "open" || !task.dueAt) return false;
+      const dueAt = new Date(task.dueAt);
+      if (due === "overdue") return dueAt < now;
+      return dueAt <= (due === "today" ? endOfDay : endOfWeek);
+    };
+
+    return Object.values(this.tasks)
+      .filter(task => !status || task.status === status)
+      .filter(dueMatches)
+      .filter(task => !needle || `${task.title}\n${task.notes || ""}\n${task.tags.join(" ")}`.toLowerCase().includes(needle))
+      .sort((a, b) =>
+        STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status) ||
+        (a.status === "open" ? compareDue(a, b) : (b.completedAt || "").localeCompare(a.completedAt || "")) ||
+        a.createdAt.localeCompare(b.createdAt)
+      );
+  }
+
+  update(id, fields) {
+    const task = this.get(id);
+    if (!task) return null;
+
+    for (const key of ["title", "notes", "dueAt", "priority", "tags"]) {
+      if (fields[key] !== undefined) task[key] = fields[key];
+    }
+    if (fields.status !== undefined && fields.status !== task.status) {
+      task.status = fields.status;
+      task.completedAt = fields.status === "done" ? new Date().toISOString() : null;
+    }
+
+    task.updatedAt = new Date().toISOString();
+    this.saveToDisk();
+    return task;
+  }
+
+  setReminder(id, reminder) {
+    const task = this.get(id);
+    if (!task) return null;
+
+    task.reminder = reminder && { ...task.reminder, ...reminder };
+    task.updatedAt = new Date().toISOString();
+    this.saveToDisk();
+    return task;
+  }
+
+  delete(id) {
+    if (!this.tasks[id]) return false;
+
+    delete this.tasks[id];
+    this.saveToDisk();
+    console.log(`🗑️ Task deleted: ${id}`);
+    return true;
+  }
+
+  /* ---------------- VALIDATION ---------------- */
+
+  // Plain fields only; due and reminder times are parsed by the caller.
+  // `partial` allows leaving out the title (updates). -> error messages
+  validate(fields = {}, { partial = false } = {}) {
+    const errors = [];
+
+    if (fields.title !== undefined || !partial) {
+      if (typeof fields.title !== "string" || !fields.title.trim()) {
+        errors.push("title must be a non-empty string");
+      }
+    }
+    if (fields.notes !== undefined && fields.notes !== null && typeof fields.notes !== "string") {
+      errors.push("notes must be a string");
+    }
+    if (fields.priority !== undefined && !PRIORITIES.includes(fields.priority)) {
+      errors.push(`priority must be one of: ${PRIORITIES.join(", ")}`);
+    }
+    if (fields.tags !== undefined && !(Array.isArray(fields.tags) && fields.tags.every(tag => typeof tag === "string"))) {
+      errors.push("tags must be an array of strings");
+    }
+    if (fields.status !== undefined && !STATUSES.includes(fields.status)) {
+      errors.push(`status must be one of: ${STATUSES.join(", ")}`);
+    }
+    return errors;
+  }
+
+  /* ---------------- DOCUMENTS ---------------- */
+
+  // Loader documents (schema in rag/loader.js), one per task, so search_notes finds tasks
+  toDocuments() {
+    return Object.values(this.tasks).map(task => ({
+      content: [
+        `Task: ${task.title}`,
+        `Status: ${task.status}${task.dueAt ? `, due ${task.dueAt}` : ""}, priority ${task.priority}`,
+        ...(task.notes ? [task.notes] : [])
+      ].join("\n"),
+      metadata: {
+        field: "tasks",
+        source: `tasks/${task.id}`,
+        path: task.title,
+        updatedAt: task.updatedAt,
+        tags: task.tags,
+        taskId: task.id,
+        title: task.title
+      }
+    }));
+  }
+
+  /* ---------------- PERSISTENCE ---------------- */
+
+  saveToDisk() {
+    fs.writeFileSync(this.DB_PATH, JSON.stringify(this.tasks, null, 2));
+  }
+
+  loadFromDisk() {
+    if (!fs.existsSync(this.DB_PATH)) {
+      return false;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.DB_PATH, "utf-8"));
+      if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return false;
+      }
+      this.tasks = Object.assign(Object.create(null), data);
+    } catch (error) {
+      console.error("❌ Failed to load tasks:", error.message);
+      return false;
+    }
+
+    console.log(`📂 Loaded ${Object.keys(this.tasks).length} tasks from disk`);
+    return true;
+  }
+}
+
+function compareDue(a, b) {
+  if (a.dueAt && b.dueAt) return a.dueAt.localeCompare(b.dueAt);
+  return (a.dueAt ? -1 : 0) + (b.dueAt ? 1 : 0);
+}
+
+const instance = new TaskStore();
+
+module.exports = {
+  PRIORITIES,
+  STATUSES,
+  DUE_FILTERS,
+  create: fields => instance.create(fields),
+  get: id => instance.get(id),
+  find: ref => instance.find(ref),
+  list: filters => instance.list(filters),
+  update: (id, fields) => instance.update(id, fields),
+  setReminder: (id, reminder) => instance.setReminder(id, reminder),
+  delete: id => instance.delete(id),
+  validate: (fields, options) => instance.validate(fields, options),
+  toDocuments: () => instance.toDocuments(),
+  loadFromDisk: () => instance.loadFromDisk()
+};
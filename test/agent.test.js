@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./helpers/setup");
+
+setupTestEnv();
+
+const { runAgent } = require("../llm/agent");
+const MockProvider = require("../llm/providers/mockProvider");
+
+const toolDefinitions = [{ type: "function", function: { name: "search_notes" } }];
+
+function agent(mock, options = {}) {
+  const executed = [];
+  const run = runAgent({
+    prompt: "search my notes about projects and email a summary to bob@example.com",
+    complete: request => mock.complete(request),
+    buildSystemPrompt: native => `system (${native ? "native" : "text"})`,
+    toolDefinitions,
+    executeTool: async call => {
+      executed.push(call.name);
+      return call.name === "search_notes" ? { notes: ["Apollo launch"] } : { sent: true };
+    },
+    ...options
+  });
+  return run.then(result => ({ ...result, executed }));
+}
+
+test("runs sequential tool calls and shows each result to the model", async () => {
+  const mock = new MockProvider({ script: [
+    { tool: "search_notes", arguments: { query: "projects" } },
+    { tool: "send_email", arguments: { to: "bob@example.com", body: "Apollo launch" } },
+    "I emailed Bob a summary of your Apollo notes."
+  ] });
+
+  const result = await agent(mock);
+
+  assert.equal(result.answer, "I emailed Bob a summary of your Apollo notes.");
+  assert.deepEqual(result.executed, ["search_notes", "send_email"]);
+  assert.deepEqual(result.steps.map(s => [s.step, s.type, s.tool]), [
+    [1, "tool_call", "search_notes"],
+    [2, "tool_call", "send_email"],
+    [3, "answer", undefined]
+  ]);
+
+  const second = mock.requests[1].messages;
+  assert.equal(second.at(-2).tool_calls[0].function.name, "search_notes");
+  assert.deepEqual(second.at(-1), {
+    role: "tool",
+    tool_call_id: "call_1_0",
+    name: "search_notes",
+    content: JSON.stringify({ notes: ["Apollo launch"] })
+  });
+  assert.equal(mock.requests[2].messages.filter(m => m.role === "tool").length, 2);
+});
+
+test("returns every result of a parallel batch to the model", async () => {
+  const mock = new MockProvider({ script: [
+    { tools: [{ tool: "search_notes", arguments: {} }, { tool: "list_tasks", arguments: {} }] },
+    "Done."
+  ] });
+
+  const result = await agent(mock);
+
+  assert.deepEqual(result.steps.filter(s => s.type === "tool_call").map(s => s.step), [1, 1]);
+  assert.deepEqual(mock.requests[1].messages.filter(m => m.role === "tool").map(m => m.name), ["search_notes", "list_tasks"]);
+});
+
+test("feeds results back as a user message in text mode", async () => {
+  const mock = new MockProvider({ script: [
+    "TOOL_CALL:{\"name\":\"search_notes\",\"arguments\":{\"query\":\"projects\"}}",
+    "You have one project note."
+  ] });
+
+  const result = await agent(mock, { nativeTools: false });
+
+  assert.equal(result.answer, "You have one project note.");
+  assert.equal(mock.requests[0].tools, undefined);
+  assert.equal(mock.requests[0].messages[0].content, "system (text)");
+  assert.match(mock.requests[1].messages.at(-1).content, /^TOOL_RESULT search_notes: \{"notes":\["Apollo launch"\]\}/);
+});
+
+test("stops at maxSteps and answers with the formatResult hook", async () => {
+  const call = { tool: "search_notes", arguments: { query: "projects" } };
+  const formatResult = (name, result) => name === "search_notes" ? `Found: ${result.notes.join(", ")}` : null;
+
+  let result = await agent(new MockProvider({ script: [call, call, call] }), { maxSteps: 2, formatResult });
+  assert.equal(result.truncated, true);
+  assert.deepEqual(result.executed, ["search_notes", "search_notes"]);
+  assert.equal(result.answer, "Found: Apollo launch");
+
+  // No hook output, or a failed tool: generic answers
+  result = await agent(new MockProvider({ script: [call] }), { maxSteps: 1 });
+  assert.equal(result.answer, "Operation completed using search_notes.");
+
+  result = await agent(new MockProvider({ script: [call] }), {
+    maxSteps: 1,
+    executeTool: async () => ({ error: "index unavailable" })
+  });
+  assert.equal(result.answer, "I tried to use search_notes, but encountered an error: index unavailable");
+  assert.equal(result.steps[0].success, false);
+});
@@ -0,0 +1,934 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, parseEvents } = require("./helpers/setup");
+
+let jobQueue;
+
+let ctx;
+
+test.before(async () => {
+  ctx = await startApp();
+  jobQueue = require("../email/jobQueue");
+});
+
+test.after(async () => {
+  await ctx.close();
+});
+
+test.beforeEach(() => {
+  ctx.mock.reset();
+  ctx.mailbox.sent.length = 0;
+});
+
+test.describe("POST /ask", () => {
+  test("requires a prompt", async () => {
+    const res = await ctx.request("POST", "/ask", {});
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Prompt is required");
+  });
+
+  test("rejects non-object JSON bodies with a 400", async () => {
+    assert.equal((await ctx.request("POST", "/ask", null)).status, 400);
+    assert.equal((await ctx.request("POST", "/ask", "hello")).status, 400);
+    assert.equal((await ctx.request("POST", "/email/test", null)).status, 400);
+  });
+
+  test("rejects an invalid sessionId", async () => {
+    const res = await ctx.request("POST", "/ask", { prompt: "hi", sessionId: "bad id!" });
+    assert.equal(res.status, 400);
+  });
+
+  test("returns the model's answer with RAG context in the system prompt", async () => {
+    ctx.mock.enqueue("Your hobbies are coding and football.");
+
+    const res = await ctx.request("POST", "/ask", { prompt: "What do I enjoy in my free time?" });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.answer, "Your hobbies are coding and football.");
+    assert.equal(res.body.tool_used, false);
+    assert.deepEqual(res.body.llm, { provider: "mock", model: "mock-model" });
+
+    const [request] = ctx.mock.requests;
+    assert.equal(request.messages[0].role, "system");
+    assert.match(request.messages[0].content, /CONTEXT FROM PERSONAL DATA/);
+    assert.match(request.messages[0].content, /football/i);
+    assert.deepEqual(request.messages.at(-1), { role: "user", content: "What do I enjoy in my free time?" });
+    assert.ok(request.tools.some(t => t.function.name === "calculate"));
+  });
+
+  test("numbers the context passages and returns the cited sources", async () => {
+    ctx.mock.enqueue("You like coding and football [1]. You also climb [7].");
+
+    const res = await ctx.request("POST", "/ask", { prompt: "What do I enjoy in my free time?" });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.answer, "You like coding and football [1]. You also climb.");
+    assert.ok(res.body.sources.length > 0);
+    assert.deepEqual(Object.keys(res.body.sources[0]).sort(), ["cited", "field", "id", "passage", "score", "snippet", "source"]);
+    assert.equal(res.body.sources[0].passage, 1);
+    assert.equal(res.body.sources[0].cited, true);
+    assert.ok(res.body.sources.slice(1).every(s => !s.cited));
+
+    assert.match(ctx.mock.requests[0].messages[0].content, /\[1\] \(\w+\) /);
+  });
+
+  test("blocks general knowledge questions without calling the model", async () => {
+    const res = await ctx.request("POST", "/ask", { prompt: "Explain photosynthesis" });
+
+    assert.equal(res.body.blocked, true);
+    assert.equal(ctx.mock.requests.length, 0);
+  });
+
+  test("feeds tool results back to the model", async () => {
+    ctx.mock.enqueue({ tool: "calculate", arguments: { expression: "23 + 4" } }, "23 + 4 is 27.");
+
+    const res = await ctx.request("POST", "/ask", { prompt: "help me with 23 + 4" });
+
+    assert.equal(res.body.answer, "23 + 4 is 27.");
+    assert.equal(res.body.tool_used, true);
+    assert.equal(res.body.tool_name, "calculate");
+    assert.deepEqual(res.body.steps.map(s => s.type), ["tool_call", "answer"]);
+
+    const toolMessage = ctx.mock.requests[1].messages.find(m => m.role === "tool");
+    assert.equal(toolMessage.name, "calculate");
+    assert.match(toolMessage.content, /27/);
+  });
+
+  test("runs parallel tool calls and stops at maxSteps with formatResult", async () => {
+    ctx.mock.enqueue(
+      { tools: [{ tool: "calculate", arguments: { expression: "1+1" } }, { tool: "get_current_time", arguments: {} }] },
+      { tool: "calculate", arguments: { expression: "2*3" } }
+    );
+
+    const res = await ctx.request("POST", "/ask", { prompt: "calculate things", maxSteps: 2 });
+
+    assert.equal(res.body.truncated, true);
+    assert.deepEqual(res.body.tools_used, ["calculate", "get_current_time", "calculate"]);
+    assert.equal(res.body.answer, "2*3 = 6");
+  });
+
+  test("answers plain calculations locally without the LLM", async () => {
+    const res = await ctx.request("POST", "/ask", { prompt: "What is twenty percent of 350?", sessionId: "local-math" });
+
+    assert.equal(ctx.mock.requests.length, 0);
+    assert.equal(res.body.local, true);
+    assert.equal(res.body.answer, "20% of 350 = 70");
+    assert.equal(res.body.tool_name, "calculate");
+    assert.equal(res.body.tool_result.input, "twenty percent of 350");
+    assert.equal(res.body.tool_result.expression, "20% of 350");
+
+    const session = await ctx.request("GET", "/sessions/local-math");
+    assert.deepEqual(session.body.messages.map(m => m.role), ["user", "tool", "assistant"]);
+  });
+
+  test("short follow-up replies go to the LLM with the history, not the calculator", async () => {
+    const sessionId = "follow-up";
+    ctx.mock.enqueue("When should we meet?");
+    await ctx.request("POST", "/ask", { prompt: "Help me plan my meeting with Ana", sessionId });
+
+    for (const prompt of ["3pm", "10 am", "2 hours", "12/25", "555-1234"]) {
+      ctx.mock.reset();
+      ctx.mock.enqueue("Noted.");
+      const res = await ctx.request("POST", "/ask", { prompt, sessionId });
+
+      assert.equal(res.body.local, undefined, prompt);
+      assert.equal(res.body.answer, "Noted.", prompt);
+      assert.ok(ctx.mock.requests[0].messages.some(m => m.content === "Help me plan my meeting with Ana"), prompt);
+    }
+  });
+
+  test("parses the TOOL_CALL text format when the model ignores native tools", async () => {
+    ctx.mock.enqueue(
+      "TOOL_CALL:{'name':'calculate','arguments':{'expression':'5 * 10'}}",
+      "That is 50."
+    );
+
+    const res = await ctx.request("POST", "/ask", { prompt: "help me with 5 * 10" });
+
+    assert.equal(res.body.tool_result.result, "50");
+    assert.equal(res.body.answer, "That is 50.");
+  });
+
+  test("falls back to the TOOL_CALL text format when the model does not support tools", async () => {
+    ctx.mock.enqueue(
+      { error: { status: 400, message: "This model does not support tools" } },
+      "TOOL_CALL:{\"name\":\"calculate\",\"arguments\":{\"expression\":\"9 * 9\"}}",
+      "That is 81."
+    );
+
+    const res = await ctx.request("POST", "/ask", { prompt: "help me with 9 * 9" });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.answer, "That is 81.");
+    assert.deepEqual(res.body.steps.map(s => [s.type, s.mode]), [["tool_call", undefined], ["answer", "text"]]);
+
+    const [native, ...text] = ctx.mock.requests;
+    assert.ok(native.tools.length > 0);
+    assert.ok(text.every(request => request.tools === undefined));
+
+    // Both prompts list the registry; only the text one spells out parameters
+    const { tools } = (await ctx.request("GET", "/tools")).body;
+    const textPrompt = text[0].messages[0].content;
+    for (const tool of tools) {
+      assert.ok(native.messages[0].content.includes(`- ${tool.name}: ${tool.description}`), tool.name);
+      assert.ok(textPrompt.includes(`- ${tool.name}: ${tool.description}`), tool.name);
+    }
+    assert.match(textPrompt, /TOOL_CALL:/);
+    assert.doesNotMatch(native.messages[0].content, /Parameters:/);
+    assert.match(textPrompt, /Parameters:/);
+  });
+
+  test("collects an email draft across turns and sends it after confirmation", async () => {
+    const sessionId = "email-flow";
+
+    let res = await ctx.request("POST", "/ask", { prompt: "send email to bob@example.com", sessionId });
+    assert.equal(res.body.missing_info, "subject");
+
+    res = await ctx.request("POST", "/ask", { prompt: "the subject is Meeting", sessionId });
+    assert.equal(res.body.missing_info, "body");
+
+    res = await ctx.request("POST", "/ask", { prompt: "Hello, it's 10:30", sessionId });
+    assert.equal(res.body.awaiting_confirmation, true);
+    assert.equal(ctx.mailbox.sent.length, 0);
+
+    res = await ctx.request("POST", "/ask", { prompt: "yes", sessionId });
+    assert.equal(res.body.success, true);
+    assert.equal(ctx.mailbox.sent.length, 1);
+    assert.equal(ctx.mailbox.sent[0].to, "bob@example.com");
+    assert.equal(ctx.mailbox.sent[0].subject, "Meeting");
+    assert.equal(ctx.mailbox.sent[0].text, "Hello, it's 10:30");
+    assert.equal(ctx.mock.requests.length, 0);
+  });
+
+  test("confirm and cancel words never fill a missing draft field", async () => {
+    const sessionId = "email-early-send";
+
+    await ctx.request("POST", "/ask", { prompt: "send email to bob@example.com", sessionId });
+    let res = await ctx.request("POST", "/ask", { prompt: "send", sessionId });
+    assert.equal(res.body.missing_info, "subject");
+    assert.equal(res.body.draft.subject, null);
+
+    res = await ctx.request("POST", "/ask", { prompt: "the subject is Plans", sessionId });
+    res = await ctx.request("POST", "/ask", { prompt: "yes", sessionId });
+    assert.equal(res.body.missing_info, "body");
+    assert.equal(res.body.draft.body, null);
+    assert.equal(ctx.mailbox.sent.length, 0);
+  });
+
+  test("questions and other requests are answered while a draft stays open", async () => {
+    const sessionId = "email-detour";
+
+    await ctx.request("POST", "/ask", { prompt: "send email to bob@example.com", sessionId });
+    ctx.mock.enqueue("You know Node.js and Python [1].");
+    let res = await ctx.request("POST", "/ask", { prompt: "What are my skills?", sessionId });
+    assert.match(res.body.answer, /^You know Node\.js and Python \[1\]\.\n\n📝 Your email to bob@example\.com is still open: give me the subject/);
+    assert.equal(ctx.mock.requests.length, 1);
+
+    res = await ctx.request("POST", "/ask", { prompt: "calculate 6 * 7", sessionId });
+    assert.equal(res.body.tool_result.result, "42");
+    assert.match(res.body.open_draft, /^draft_/);
+
+    res = await ctx.request("POST", "/ask", { prompt: "Skills", sessionId });
+    assert.equal(res.body.draft.subject, "Skills");
+    assert.equal(res.body.missing_info, "body");
+
+    // A new email replaces the unfinished one
+    const previous = res.body.draft.id;
+    res = await ctx.request("POST", "/ask", { prompt: "send an email to ana@example.com", sessionId });
+    assert.equal(res.body.draft.to, "ana@example.com");
+    const drafts = (await ctx.request("GET", `/drafts?sessionId=${sessionId}`)).body.drafts;
+    assert.equal(drafts.find(d => d.id === previous).status, "cancelled");
+  });
+
+  test("schedules a draft with \"send it tomorrow at 9am\" and sends it when due", async () => {
+    const sessionId = "email-later";
+
+    await ctx.request("POST", "/ask", { prompt: "send email to bob@example.com", sessionId });
+    await ctx.request("POST", "/ask", { prompt: "the subject is Lunch", sessionId });
+    let res = await ctx.request("POST", "/ask", { prompt: "Are you free on Friday?", sessionId });
+    assert.equal(res.body.awaiting_confirmation, true);
+
+    res = await ctx.request("POST", "/ask", { prompt: "send it tomorrow at 9am", sessionId });
+    assert.equal(res.body.tool_result.scheduled, true);
+    assert.equal(res.body.draft.status, "scheduled");
+    assert.equal(new Date(res.body.tool_result.scheduleAt).getHours(), 9);
+    assert.equal(ctx.mailbox.sent.length, 0);
+
+    const { jobId } = res.body.tool_result;
+    await jobQueue.processDue(new Date(Date.now() + 2 * 86400e3));
+    assert.equal(ctx.mailbox.sent.length, 1);
+    assert.equal(ctx.mailbox.sent[0].subject, "Lunch");
+
+    const jobs = (await ctx.request("GET", "/email/scheduled?status=sent")).body.jobs;
+    assert.ok(jobs.some(job => job.id === jobId));
+    const drafts = (await ctx.request("GET", `/drafts?sessionId=${sessionId}`)).body.drafts;
+    assert.equal(drafts[0].status, "sent");
+  });
+
+  test("an email in a parallel batch does not drop the other tool calls", async () => {
+    const sessionId = "email-batch";
+    ctx.mock.enqueue({
+      tools: [
+        { tool: "calculate", arguments: { expression: "6 * 7" } },
+        { tool: "send_email", arguments: { to: "gus@example.com", subject: "Hi", body: "Hello" } },
+        { tool: "get_current_time", arguments: {} }
+      ]
+    });
+
+    const res = await ctx.request("POST", "/ask", { prompt: "work out 6 * 7 and email Gus", sessionId });
+    assert.equal(res.body.awaiting_confirmation, true);
+    assert.deepEqual(res.body.steps.map(s => [s.type, s.tool]), [
+      ["tool_call", "calculate"],
+      ["intercepted", "send_email"],
+      ["tool_call", "get_current_time"]
+    ]);
+    assert.equal(res.body.steps[0].result.result, "42");
+    assert.equal(res.body.steps[2].result.skipped, true);
+    assert.equal(ctx.mailbox.sent.filter(m => m.to === "gus@example.com").length, 0);
+
+    const session = await ctx.request("GET", `/sessions/${sessionId}`);
+    assert.deepEqual(session.body.messages.map(m => m.role), ["user", "tool", "tool", "assistant"]);
+  });
+
+  test("template emails from the LLM wait for confirmation in a draft", async () => {
+    const sessionId = "template-draft";
+    ctx.mock.enqueue({
+      tool: "send_email_template",
+      arguments: { to: "erin@example.com", template: "meeting", recipientName: "Erin", date: "2099-04-06 10:00" }
+    });
+
+    let res = await ctx.request("POST", "/ask", { prompt: "invite Erin to a meeting", sessionId });
+    assert.equal(res.body.awaiting_confirmation, true);
+    assert.equal(res.body.draft.subject.startsWith("Meeting Invitation"), true);
+    assert.match(res.body.answer, /Attachment: invite\.ics/);
+    assert.equal(ctx.mailbox.sent.filter(m => m.to === "erin@example.com").length, 0);
+
+    res = await ctx.request("POST", "/ask", { prompt: "yes", sessionId });
+    assert.equal(res.body.success, true);
+    const mail = ctx.mailbox.sent.at(-1);
+    assert.equal(mail.to, "erin@example.com");
+    assert.match(mail.text, /^Hello Erin,/);
+    assert.equal(mail.attachments[0].filename, "invite.ics");
+  });
+
+  test("a meeting booked for a template draft goes when the draft is cancelled or unscheduled", async () => {
+    const meetingsOn = async day =>
+      (await ctx.request("POST", "/tools/list_events/test", { from: day, to: `${day}T23:59` })).body.result.events;
+    const askForMeeting = (sessionId, date, extra = {}) => {
+      ctx.mock.reset();
+      ctx.mock.enqueue({
+        tool: "send_email_template",
+        arguments: { to: "hal@example.com", template: "meeting", recipientName: "Hal", date, ...extra }
+      });
+      return ctx.request("POST", "/ask", { prompt: "invite Hal to a meeting", sessionId });
+    };
+
+    let res = await askForMeeting("meeting-cancel", "2099-04-07 10:00");
+    assert.equal(res.body.awaiting_confirmation, true);
+    assert.equal((await meetingsOn("2099-04-07")).length, 1);
+
+    res = await ctx.request("POST", "/ask", { prompt: "cancel", sessionId: "meeting-cancel" });
+    assert.equal(res.body.draft.status, "cancelled");
+    assert.deepEqual(await meetingsOn("2099-04-07"), []);
+
+    await askForMeeting("meeting-later", "2099-04-08 10:00", { scheduleAt: "2099-04-01T09:00" });
+    res = await ctx.request("POST", "/ask", { prompt: "send", sessionId: "meeting-later" });
+    assert.equal(res.body.tool_result.scheduled, true);
+    assert.equal((await meetingsOn("2099-04-08")).length, 1);
+
+    await ctx.request("DELETE", `/email/scheduled/${res.body.tool_result.jobId}`);
+    assert.deepEqual(await meetingsOn("2099-04-08"), []);
+    assert.equal(ctx.mailbox.sent.length, 0);
+  });
+
+  test("drafts can be edited and sent through the REST endpoints", async () => {
+    const sessionId = "draft-rest";
+    const { body } = await ctx.request("POST", "/ask", { prompt: "send email to carol@example.com", sessionId });
+    const id = body.draft.id;
+
+    let res = await ctx.request("POST", `/drafts/${id}/send`);
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.body.missing_fields, ["subject", "body"]);
+
+    res = await ctx.request("PATCH", `/drafts/${id}`, { to: "not-an-email", priority: "urgent" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details.length, 2);
+
+    res = await ctx.request("PATCH", `/drafts/${id}`, { subject: "Lunch", body: "Noon on Friday?", priority: "high" });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.missing_fields, []);
+
+    res = await ctx.request("POST", `/drafts/${id}/send`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.draft.status, "sent");
+    assert.equal(ctx.mailbox.sent.length, 1);
+    assert.equal(ctx.mailbox.sent[0].subject, "Lunch");
+
+    assert.equal((await ctx.request("POST", `/drafts/${id}/send`)).status, 409);
+    assert.equal((await ctx.request("PATCH", `/drafts/${id}`, { subject: "Again" })).status, 409);
+    const drafts = (await ctx.request("GET", `/drafts?sessionId=${sessionId}&status=sent`)).body.drafts;
+    assert.deepEqual(drafts.map(d => d.id), [id]);
+  });
+
+  test("draft ids that name Object members are not found", async () => {
+    assert.equal((await ctx.request("PATCH", "/drafts/constructor", { subject: "x" })).status, 404);
+    assert.equal((await ctx.request("POST", "/drafts/toString/send")).status, 404);
+  });
+
+  test("rewrites follow-up questions into standalone queries when enabled", async () => {
+    const sessionId = "rewrite";
+    ctx.mock.enqueue("You built two projects.");
+    await ctx.request("POST", "/ask", { prompt: "What projects have I built?", sessionId });
+
+    ctx.mock.reset();
+    ctx.mock.enqueue(
+      '{"query": "online examination system project", "subQueries": ["examination system features", "online examination system project"]}',
+      "It had timers and auto-evaluation [1]."
+    );
+    const res = await ctx.request("POST", "/ask", { prompt: "and the second one?", sessionId, queryRewrite: "multi" });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.retrieval, {
+      mode: "multi",
+      original: "and the second one?",
+      query: "online examination system project",
+      queries: ["online examination system project", "examination system features"],
+      reranked: false
+    });
+    assert.match(ctx.mock.requests[0].messages[1].content, /user: What projects have I built\?/);
+    assert.match(ctx.mock.requests[1].messages[0].content, /online examination system/i);
+    assert.equal(res.body.sources[0].field, "projects");
+  });
+
+  test("re-ranks the retrieved chunks when asked to", async () => {
+    const reranker = require("../rag/reranker");
+    const scored = [];
+    // Prefers the cooking/football hobbies chunk regardless of the search order
+    reranker.setScorer(async (query, texts) => {
+      scored.push(...texts);
+      return texts.map(text => (/cooking/.test(text) ? 0.99 : 0.1));
+    });
+
+    ctx.mock.enqueue("You enjoy cooking [1].", "You enjoy cooking.");
+    const res = await ctx.request("POST", "/ask", { prompt: "What do I enjoy in my free time?", rerank: true });
+
+    assert.equal(res.status, 200);
+    assert.ok(scored.length > 3);
+    assert.equal(res.body.retrieval.reranked, true);
+    assert.equal(res.body.sources[0].field, "hobbies");
+    assert.equal(res.body.sources[0].score, 0.99);
+
+    scored.length = 0;
+    const plain = await ctx.request("POST", "/ask", { prompt: "What do I enjoy in my free time?", rerank: false });
+    assert.equal(plain.status, 200);
+    assert.equal(scored.length, 0);
+    assert.equal(plain.body.retrieval, undefined);
+  });
+
+  test("rejects an unknown queryRewrite mode", async () => {
+    const res = await ctx.request("POST", "/ask", { prompt: "hi", queryRewrite: "always" });
+    assert.equal(res.status, 400);
+
+    const rerank = await ctx.request("POST", "/ask", { prompt: "hi", rerank: "yes" });
+    assert.equal(rerank.status, 400);
+  });
+
+  test("replays session history into later turns", async () => {
+    const sessionId = "history";
+    ctx.mock.enqueue("Nice to meet you, Sam.", "Your name is Sam.");
+
+    await ctx.request("POST", "/ask", { prompt: "my name is Sam", sessionId });
+    await ctx.request("POST", "/ask", { prompt: "what is my name?", sessionId });
+
+    const roles = ctx.mock.requests[1].messages.map(m => m.role);
+    assert.deepEqual(roles, ["system", "user", "assistant", "user"]);
+
+    const session = await ctx.request("GET", `/sessions/${sessionId}`);
+    assert.equal(session.body.messageCount, 4);
+
+    const deleted = await ctx.request("DELETE", `/sessions/${sessionId}`);
+    assert.equal(deleted.body.deleted, true);
+    assert.equal((await ctx.request("GET", `/sessions/${sessionId}`)).status, 404);
+  });
+
+  test("session ids that name Object members are ordinary sessions", async () => {
+    assert.equal((await ctx.request("GET", "/sessions/constructor")).status, 404);
+    assert.equal((await ctx.request("DELETE", "/sessions/toString")).status, 404);
+
+    ctx.mock.enqueue("Hello.");
+    const res = await ctx.request("POST", "/ask", { prompt: "hi there", sessionId: "constructor" });
+    assert.equal(res.status, 200);
+    assert.equal((await ctx.request("GET", "/sessions/constructor")).body.messageCount, 2);
+    await ctx.request("DELETE", "/sessions/constructor");
+  });
+});
+
+test("POST /ask/stream emits the documented events", async () => {
+  ctx.mock.enqueue({ tool: "calculate", arguments: { expression: "6 * 7" } }, "It is 42.");
+
+  const res = await ctx.request("POST", "/ask/stream", { prompt: "help me with 6 * 7" });
+  const events = parseEvents(res.text);
+  const types = events.map(e => e.event);
+
+  assert.match(res.headers.get("content-type"), /text\/event-stream/);
+  assert.deepEqual(types.slice(0, 4), ["start", "rag_context", "tool_start", "tool_result"]);
+  assert.equal(types.at(-1), "done");
+  assert.equal(events.filter(e => e.event === "token").map(e => e.data.delta).join(""), "It is 42.");
+  assert.equal(events.at(-1).data.answer, "It is 42.");
+});
+
+test("POST /ask/stream aborts the upstream request when the client disconnects", { timeout: 5000 }, async () => {
+  // The completion stays pending until the server gives up on it
+  let upstreamAborted;
+  const aborted = new Promise(resolve => { upstreamAborted = resolve; });
+  ctx.mock.enqueue(request => new Promise(resolve => {
+    request.signal.addEventListener("abort", () => {
+      upstreamAborted();
+      resolve("Too late.");
+    });
+  }));
+
+  const client = new AbortController();
+  const res = await fetch(`${ctx.baseUrl}/ask/stream`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ prompt: "What do I enjoy in my free time?" }),
+    signal: client.signal
+  });
+
+  // Disconnect once retrieval is done and the model call is in flight
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  while (!text.includes("event: rag_context")) {
+    const { value, done } = await reader.read();
+    assert.equal(done, false);
+    text += decoder.decode(value, { stream: true });
+  }
+  client.abort();
+
+  await aborted;
+  assert.equal(ctx.mock.requests.length, 1);
+  assert.equal(ctx.mock.requests[0].signal.aborted, true);
+});
+
+test.describe("LLM providers", () => {
+  const llm = require("../llm/providers");
+  const MockProvider = require("../llm/providers/mockProvider");
+  const prompt = "What do I enjoy in my free time?";
+
+  test.afterEach(() => llm.setProviders([ctx.mock]));
+
+  test("answers from the fallback provider after a 429", async () => {
+    const backup = new MockProvider({ name: "backup", script: ["You enjoy football."] });
+    llm.setProviders([ctx.mock, backup]);
+    ctx.mock.enqueue({ error: { status: 429, message: "Rate limit reached" } });
+
+    const res = await ctx.request("POST", "/ask", { prompt });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.answer, "You enjoy football.");
+    assert.deepEqual(res.body.llm, { provider: "backup", model: "mock-model" });
+    assert.equal(ctx.mock.requests.length, 1);
+    assert.deepEqual(backup.requests[0].messages, ctx.mock.requests[0].messages);
+  });
+
+  test("sends a per-request model to the provider", async () => {
+    ctx.mock.enqueue("You enjoy football.");
+
+    const res = await ctx.request("POST", "/ask", { prompt, model: "llama-3.3-70b-versatile" });
+
+    assert.equal(ctx.mock.requests[0].model, "llama-3.3-70b-versatile");
+    assert.deepEqual(res.body.llm, { provider: "mock", model: "llama-3.3-70b-versatile" });
+  });
+
+  test("rejects a model the provider does not know", async () => {
+    const backup = new MockProvider({ name: "backup", script: ["unused"] });
+    llm.setProviders([ctx.mock, backup]);
+    ctx.mock.enqueue(request => request.model === "no-such-model"
+      ? { error: { status: 404, message: "The model `no-such-model` does not exist", body: { error: { code: "model_not_found" } } } }
+      : "unused");
+
+    const res = await ctx.request("POST", "/ask", { prompt, model: "no-such-model" });
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /Model "no-such-model" is not available on LLM provider mock/);
+    assert.equal(backup.requests.length, 0);
+
+    for (const model of [42, "", "  "]) {
+      assert.equal((await ctx.request("POST", "/ask", { prompt, model })).status, 400, String(model));
+    }
+    assert.equal(ctx.mock.requests.length, 1);
+  });
+});
+
+test.describe("scheduled emails", () => {
+  test("send_email with scheduleAt queues the email instead of sending it", async () => {
+    const res = await ctx.request("POST", "/tools/send_email/test", {
+      to: "carol@example.com",
+      subject: "Reminder",
+      body: "Don't forget",
+      scheduleAt: "in 2 hours"
+    });
+
+    assert.equal(res.body.result.scheduled, true);
+    assert.ok(new Date(res.body.result.scheduleAt) > new Date());
+    assert.equal(ctx.mailbox.sent.length, 0);
+
+    const list = await ctx.request("GET", "/email/scheduled?status=scheduled");
+    const job = list.body.jobs.find(j => j.id === res.body.result.jobId);
+    assert.equal(job.email.to, "carol@example.com");
+
+    const cancelled = await ctx.request("DELETE", `/email/scheduled/${job.id}`);
+    assert.equal(cancelled.body.job.status, "cancelled");
+    assert.equal((await ctx.request("DELETE", `/email/scheduled/${job.id}`)).status, 409);
+    assert.equal((await ctx.request("DELETE", "/email/scheduled/job_missing")).status, 404);
+  });
+
+  test("rejects send times that are unclear or in the past", async () => {
+    const email = { to: "carol@example.com", subject: "Hi", body: "Hello" };
+
+    let res = await ctx.request("POST", "/tools/send_email/test", { ...email, scheduleAt: "whenever" });
+    assert.equal(res.body.result.success, false);
+    assert.match(res.body.result.error, /Could not understand/);
+
+    res = await ctx.request("POST", "/tools/send_email/test", { ...email, scheduleAt: "2020-01-01T09:00" });
+    assert.match(res.body.result.error, /in the past/);
+
+    assert.equal((await ctx.request("GET", "/email/scheduled?status=later")).status, 400);
+  });
+
+  test("a job with a bad recipient fails on the first attempt", async () => {
+    const job = jobQueue.schedule({ to: "not-an-email", subject: "Hi", body: "Hello" }, { scheduleAt: new Date(Date.now() + 60e3) });
+
+    await jobQueue.processDue(new Date(Date.now() + 120e3));
+    assert.equal(job.status, "failed");
+    assert.equal(job.attempts, 1);
+    assert.match(job.lastError, /Invalid recipient/);
+  });
+});
+
+test.describe("tasks and reminders", () => {
+  // Indexed tasks would show up in the RAG stats of later tests
+  test.afterEach(async () => {
+    for (const task of (await ctx.request("GET", "/tasks")).body.tasks) {
+      await ctx.request("DELETE", `/tasks/${task.id}`);
+    }
+  });
+
+  test("the task tools create, list, remind about and complete tasks", async () => {
+    let res = await ctx.request("POST", "/tools/create_task/test", {
+      title: "Submit expense report",
+      due: "tomorrow at 5pm",
+      priority: "high"
+    });
+    const task = res.body.result.task;
+    assert.equal(new Date(task.dueAt).getHours(), 17);
+    assert.equal(task.priority, "high");
+
+    res = await ctx.request("POST", "/tools/set_reminder/test", { task: "expense report", remindAt: "in 1 hour" });
+    assert.equal(res.body.result.task.reminder.status, "pending");
+    assert.equal(res.body.result.task.reminder.email, "owner@example.com");
+
+    res = await ctx.request("POST", "/tools/list_tasks/test", { due: "week" });
+    assert.ok(res.body.result.tasks.some(t => t.id === task.id));
+
+    res = await ctx.request("POST", "/tools/complete_task/test", { task: "Submit expense report" });
+    assert.equal(res.body.result.task.status, "done");
+    assert.equal(res.body.result.task.reminder, null);
+    const job = jobQueue.list({ status: "cancelled" }).find(j => j.taskId === task.id);
+    assert.ok(job);
+
+    res = await ctx.request("POST", "/tools/complete_task/test", { task: "nothing like this" });
+    assert.equal(res.body.result.success, false);
+  });
+
+  test("answers built from a tool result keep their brackets", async () => {
+    await ctx.request("POST", "/tools/create_task/test", { title: "Ship release [7]" });
+    ctx.mock.enqueue({ tool: "list_tasks", arguments: {} });
+
+    const res = await ctx.request("POST", "/ask", { prompt: "What tasks do I have?", maxSteps: 1 });
+    assert.equal(res.body.truncated, true);
+    assert.match(res.body.answer, /Ship release \[7\]/);
+  });
+
+  test("reminders are emailed when due", async () => {
+    const res = await ctx.request("POST", "/tools/set_reminder/test", { text: "Water the plants", remindAt: "in 30 minutes" });
+    const { task } = res.body.result;
+    assert.equal(task.title, "Water the plants");
+
+    await jobQueue.processDue(new Date(Date.now() + 3600e3));
+    const mail = ctx.mailbox.sent.find(m => m.subject === "⏰ Reminder: Water the plants");
+    assert.equal(mail.to, "owner@example.com");
+
+    const saved = await ctx.request("GET", `/tasks/${task.id}`);
+    assert.equal(saved.body.task.reminder.status, "sent");
+  });
+
+  test("/tasks routes validate, update and delete tasks", async () => {
+    let res = await ctx.request("POST", "/tasks", { title: "", due: "someday", remindAt: "2020-01-01T10:00" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details.length, 3);
+
+    res = await ctx.request("POST", "/tasks", { title: "Plan the garden party", due: "2099-06-01", tags: ["garden"] });
+    assert.equal(res.status, 201);
+    const { id } = res.body.task;
+
+    res = await ctx.request("PATCH", `/tasks/${id}`, { due: null, notes: "Invite the neighbours", remindAt: "2099-05-30 09:00" });
+    assert.equal(res.body.task.dueAt, null);
+    assert.equal(res.body.task.reminder.status, "pending");
+
+    res = await ctx.request("GET", "/tasks?q=neighbours");
+    assert.deepEqual(res.body.tasks.map(t => t.id), [id]);
+    assert.equal((await ctx.request("GET", "/tasks?due=soon")).status, 400);
+
+    // Tasks are indexed next to the notes
+    res = await ctx.request("POST", "/tools/search_notes/test", { query: "garden party neighbours" });
+    assert.equal(res.body.result.notes[0].taskId, id);
+
+    const { jobId } = (await ctx.request("GET", `/tasks/${id}`)).body.task.reminder;
+    res = await ctx.request("DELETE", `/tasks/${id}`);
+    assert.equal(res.body.success, true);
+    assert.equal(jobQueue.get(jobId).status, "cancelled");
+    assert.equal((await ctx.request("GET", `/tasks/${id}`)).status, 404);
+    assert.equal((await ctx.request("PATCH", `/tasks/${id}`, { title: "x" })).status, 404);
+  });
+});
+
+test.describe("calendar", () => {
+  test.afterEach(async () => {
+    for (const event of (await ctx.request("GET", "/calendar/events")).body.events) {
+      await ctx.request("DELETE", `/calendar/events/${event.id}`);
+    }
+  });
+
+  test("create_event invites attendees and reports conflicts before booking", async () => {
+    let res = await ctx.request("POST", "/tools/create_event/test", {
+      title: "Design review",
+      start: "2099-03-02T10:00",
+      durationMinutes: 90,
+      location: "Room 4",
+      attendees: ["ana@example.com", "ben@example.com"]
+    });
+    const { event, invitation } = res.body.result;
+    assert.equal(new Date(event.end) - new Date(event.start), 90 * 60e3);
+    assert.equal(invitation.success, true);
+
+    const mail = ctx.mailbox.sent.find(m => m.subject.startsWith("Invitation: Design review"));
+    assert.equal(mail.to, "ana@example.com");
+    assert.deepEqual(mail.cc, ["ben@example.com"]);
+    assert.equal(mail.attachments[0].filename, "invite.ics");
+    assert.match(mail.attachments[0].contentType, /^text\/calendar.*method=REQUEST/);
+    const invite = mail.attachments[0].content.replace(/\r\n /g, "");
+    assert.match(invite, /METHOD:REQUEST[\s\S]*SUMMARY:Design review[\s\S]*RSVP=TRUE:mailto:ben@example.com/);
+
+    res = await ctx.request("POST", "/tools/create_event/test", { title: "Lunch", start: "2099-03-02T11:00" });
+    assert.equal(res.body.result.conflict, true);
+    assert.equal(res.body.result.conflicts[0].id, event.id);
+    assert.equal(res.body.result.suggestion.start, new Date("2099-03-02T11:30").toISOString());
+    assert.match(res.body.result.error, /Conflicts with "Design review"/);
+
+    res = await ctx.request("POST", "/tools/create_event/test", { title: "Lunch", start: "2099-03-02T11:00", force: true });
+    assert.equal(res.body.result.success, true);
+
+    res = await ctx.request("POST", "/tools/list_events/test", { from: "2099-03-02", to: "2099-03-03" });
+    assert.deepEqual(res.body.result.events.map(e => e.title), ["Design review", "Lunch"]);
+
+    res = await ctx.request("POST", "/tools/find_free_slot/test", { from: "2099-03-02T09:00", durationMinutes: 60, count: 2 });
+    assert.deepEqual(res.body.result.slots.map(slot => new Date(slot.start).getHours()), [9, 12]);
+  });
+
+  test("create_event from the LLM books the event and drafts the invitation", async () => {
+    const sessionId = "event-invite";
+    const sentCount = ctx.mailbox.sent.length;
+    ctx.mock.enqueue({
+      tool: "create_event",
+      arguments: { title: "Retro", start: "2099-03-04T14:00", attendees: ["fay@example.com"] }
+    });
+
+    let res = await ctx.request("POST", "/ask", { prompt: "set up a retro with Fay on Wednesday at 2", sessionId });
+    assert.equal(res.body.awaiting_confirmation, true);
+    assert.match(res.body.answer, /^📅 Event added: Retro/);
+    assert.equal(res.body.draft.eventId, res.body.event.id);
+    assert.equal(ctx.mailbox.sent.length, sentCount);
+
+    res = await ctx.request("POST", "/tools/list_events/test", { from: "2099-03-04", to: "2099-03-05" });
+    assert.deepEqual(res.body.result.events.map(e => e.title), ["Retro"]);
+
+    res = await ctx.request("POST", "/ask", { prompt: "send it", sessionId });
+    assert.equal(res.body.success, true);
+    const mail = ctx.mailbox.sent.at(-1);
+    assert.equal(mail.to, "fay@example.com");
+    assert.match(mail.subject, /^Invitation: Retro/);
+    assert.equal(mail.attachments[0].filename, "invite.ics");
+  });
+
+  test("the meeting template books the meeting and attaches the invite", async () => {
+    let res = await ctx.request("POST", "/tools/send_email_template/test", {
+      to: "carla@example.com",
+      template: "meeting",
+      recipientName: "Carla",
+      date: "2099-03-03 15:00"
+    });
+    assert.equal(res.body.result.success, true);
+    assert.equal(res.body.result.event.title, "Meeting with Carla");
+
+    const mail = ctx.mailbox.sent.at(-1);
+    assert.equal(mail.attachments[0].filename, "invite.ics");
+    assert.match(mail.attachments[0].content, /UID:.+\r\nDTSTAMP/);
+
+    const sentCount = ctx.mailbox.sent.length;
+    res = await ctx.request("POST", "/tools/send_email_template/test", {
+      to: "dan@example.com",
+      template: "meeting",
+      recipientName: "Dan",
+      date: "2099-03-03 15:30"
+    });
+    assert.equal(res.body.result.conflict, true);
+    assert.equal(ctx.mailbox.sent.length, sentCount);
+  });
+
+  test("/calendar routes validate, list, export and import events", async () => {
+    let res = await ctx.request("POST", "/calendar/events", { title: " ", start: "someday", attendees: ["not-an-email"] });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details.length, 3);
+
+    res = await ctx.request("POST", "/calendar/events", { title: "Dentist", start: "2099-04-06T08:30", end: "2099-04-06T09:15" });
+    assert.equal(res.status, 201);
+    const { id } = res.body.event;
+
+    res = await ctx.request("POST", "/calendar/events", { title: "Standup", start: "2099-04-06T09:00" });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.details[0].id, id);
+    assert.equal(res.body.suggestion.start, new Date("2099-04-06T09:15").toISOString());
+
+    res = await ctx.request("GET", "/calendar/free?duration=30&from=2099-04-06T08:00&count=1");
+    assert.equal(res.body.slots[0].start, new Date("2099-04-06T09:15").toISOString());
+    assert.equal((await ctx.request("GET", "/calendar/events?from=whenever")).status, 400);
+
+    res = await fetch(`${ctx.baseUrl}/calendar/export`);
+    assert.match(res.headers.get("content-type"), /^text\/calendar/);
+    assert.match(res.headers.get("content-disposition"), /calendar\.ics/);
+    const ics = await res.text();
+    assert.match(ics, /SUMMARY:Dentist/);
+
+    // Importing the export again updates the same event
+    res = await fetch(`${ctx.baseUrl}/calendar/import`, { method: "POST", headers: { "content-type": "text/calendar" }, body: ics });
+    assert.deepEqual(await res.json().then(({ created, updated }) => ({ created, updated })), { created: 0, updated: 1 });
+
+    res = await ctx.request("POST", "/calendar/import", {
+      content: "BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nUID:trip-1\r\nDTSTART;VALUE=DATE:20990410\r\nSUMMARY:Trip\r\nEND:VEVENT\r\nEND:VCALENDAR"
+    });
+    assert.equal(res.body.created, 1);
+    res = await ctx.request("GET", "/calendar/events?q=trip");
+    assert.equal(res.body.events[0].allDay, true);
+    assert.equal((await ctx.request("POST", "/calendar/import", { content: "nope" })).status, 400);
+
+    assert.equal((await ctx.request("GET", `/calendar/events/${id}`)).body.event.title, "Dentist");
+    assert.equal((await ctx.request("DELETE", `/calendar/events/${id}`)).body.success, true);
+    assert.equal((await ctx.request("GET", `/calendar/events/${id}`)).status, 404);
+  });
+});
+
+test("GET /tools lists every registered tool", async () => {
+  const res = await ctx.request("GET", "/tools");
+  const names = res.body.tools.map(t => t.name);
+
+  assert.equal(res.body.count, names.length);
+  for (const name of ["search_notes", "get_profile_data", "calculate", "get_current_time", "send_email", "send_email_template", "validate_email", "create_task", "list_tasks", "complete_task", "set_reminder", "create_event", "list_events", "find_free_slot"]) {
+    assert.ok(names.includes(name), name);
+  }
+});
+
+test.describe("POST /tools/:toolName/test", () => {
+  test("executes the tool", async () => {
+    const res = await ctx.request("POST", "/tools/calculate/test", { expression: "2 * 21" });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.result.result, "42");
+  });
+
+  test("keeps calculator variables per session", async () => {
+    let res = await ctx.request("POST", "/tools/calculate/test?sessionId=calc", { expression: "x = 5" });
+    assert.deepEqual(res.body.result.variables, { x: "5" });
+
+    res = await ctx.request("POST", "/tools/calculate/test?sessionId=calc", { expression: "x * 3" });
+    assert.equal(res.body.result.result, "15");
+    assert.deepEqual(res.body.result.steps, ["x * 3 = 15"]);
+
+    res = await ctx.request("POST", "/tools/calculate/test?sessionId=other", { expression: "x * 3" });
+    assert.equal(res.body.result.code, "undefined_symbol");
+  });
+
+  test("returns 404 for unknown tools", async () => {
+    const res = await ctx.request("POST", "/tools/nope/test", {});
+
+    assert.equal(res.status, 404);
+    assert.ok(res.body.available_tools.includes("calculate"));
+  });
+});
+
+test("POST /email/test sends through the configured transport", async () => {
+  const res = await ctx.request("POST", "/email/test", { to: "alice@example.com" });
+
+  assert.equal(res.body.success, true);
+  assert.equal(ctx.mailbox.sent.length, 1);
+  assert.equal(ctx.mailbox.sent[0].to, "alice@example.com");
+});
+
+test("GET /rag/stats reports the indexed profile", async () => {
+  const res = await ctx.request("GET", "/rag/stats");
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.vectors > 0);
+  assert.ok(res.body.fields.includes("education"));
+  assert.equal(res.body.fieldCounts.education, 2);
+  assert.equal(res.body.sourceCounts["data/owner_profile.json"], res.body.vectors);
+});
+
+test("POST /rag/reindex only re-embeds what changed", async () => {
+  const res = await ctx.request("POST", "/rag/reindex", {});
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.rebuilt, false);
+  assert.equal(res.body.added + res.body.updated + res.body.removed, 0);
+  assert.equal(res.body.unchanged, res.body.stats.vectors);
+
+  const forced = await ctx.request("POST", "/rag/reindex", { force: true });
+  assert.equal(forced.body.rebuilt, true);
+  assert.equal(forced.body.added, forced.body.stats.vectors);
+});
+
+test("POST /rag/eval scores configurations without touching the index", async () => {
+  const { timestamp, ...before } = (await ctx.request("GET", "/rag/stats")).body;
+  const res = await ctx.request("POST", "/rag/eval", {
+    configs: [{ name: "vector", mode: "vector" }, { name: "keyword", mode: "keyword", topK: 5 }],
+    details: true
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.dataset.name, "owner-profile");
+  assert.deepEqual(res.body.results.map(r => [r.name, r.metrics.k]), [["vector", 3], ["keyword", 5]]);
+  assert.ok(res.body.results.every(r => r.metrics.recall > 0 && r.metrics.mrr > 0 && r.metrics.ndcg > 0));
+  assert.equal(res.body.results[0].questions.length, res.body.dataset.questions);
+  const { timestamp: after, ...stats } = (await ctx.request("GET", "/rag/stats")).body;
+  assert.deepEqual(stats, before);
+
+  const invalid = await ctx.request("POST", "/rag/eval", { configs: [{ mode: "fuzzy" }] });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error, /configs\[0\]\.mode/);
+});
+
+test("POST /rag/reindex requires the admin token when one is set", async () => {
+  process.env.ADMIN_TOKEN = "secret";
+  try {
+    const denied = await ctx.request("POST", "/rag/reindex", {});
+    assert.equal(denied.status, 401);
+
+    const allowed = await ctx.request("POST", "/rag/reindex", {}, { authorization: "Bearer secret" });
+    assert.equal(allowed.status, 200);
+  } finally {
+    delete process.env.ADMIN_TOKEN;
+  }
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./helpers/setup");
+
+setupTestEnv();
+
+const { calculate } = require("../math/calculator");
+
+const value = (expression, options) => calculate(expression, options).result.result;
+
+test("evaluates functions, powers, percentages, units and matrices", () => {
+  assert.equal(value("sqrt(16)"), "4");
+  assert.equal(value("2^10"), "1024");
+  assert.equal(value("15% of 200"), "30");
+  assert.equal(value("200 + 10%"), "220");
+  assert.equal(value("5 km to miles"), "3.1068559611867 miles");
+  assert.equal(value("[1, 2; 3, 4] * 2"), "[[2, 4], [6, 8]]");
+  assert.equal(value("det([1, 2; 3, 4])"), "-2");
+  assert.equal(value("23 + 4"), "27");
+});
+
+test("reports each intermediate result as a step", () => {
+  const { result } = calculate("2 * (3 + 4)^2");
+
+  assert.deepEqual(result.steps, ["3 + 4 = 7", "7 ^ 2 = 49", "2 * 49 = 98"]);
+  assert.equal(result.formatted, "2 * (3 + 4)^2 = 98");
+  assert.equal(result.type, "number");
+});
+
+test("variables and functions carry over through the stored variables", () => {
+  const first = calculate("x = 5; f(n) = n^2 + 1");
+  assert.equal(first.result.formatted, "f(n) = n ^ 2 + 1");
+  assert.deepEqual(first.result.variables, { x: "5", f: "f(n) = n ^ 2 + 1" });
+
+  // Stored form is plain JSON, as kept in the session file
+  const stored = JSON.parse(JSON.stringify(first.variables));
+  assert.equal(value("x * 3", { variables: stored }), "15");
+  assert.equal(value("f(x)", { variables: stored }), "26");
+
+  const distance = calculate("d = 5 km", { variables: stored });
+  assert.equal(value("d to m", { variables: JSON.parse(JSON.stringify(distance.variables)) }), "5000 m");
+});
+
+test("returns error objects with a code", () => {
+  const syntax = calculate("2 +").result;
+  assert.equal(syntax.code, "syntax_error");
+  assert.equal(syntax.position, 4);
+
+  const unknown = calculate("y * 3");
+  assert.equal(unknown.result.code, "undefined_symbol");
+  assert.equal(unknown.result.symbol, "y");
+  assert.equal(unknown.variables, null);
+
+  assert.equal(calculate("").result.code, "empty_expression");
+  assert.equal(calculate("1 +".repeat(200)).result.code, "expression_too_long");
+});
+
+test("the sandbox blocks code evaluation and huge matrices", () => {
+  for (const expression of ["import({ x: 1 }, {})", "evaluate(\"1 + 1\")", "createUnit(\"foo\")", "parse(\"1\")"]) {
+    assert.equal(calculate(expression).result.code, "function_disabled", expression);
+  }
+  assert.equal(calculate("zeros(1000, 1000)").result.code, "result_too_large");
+  assert.equal(calculate("range(1, 1e9)").result.code, "result_too_large");
+  assert.equal(value("size(zeros(2, 3))"), "[2, 3]");
+});
+
+test("every matrix-building function is size-limited", () => {
+  for (const expression of [
+    "resize([1], [100000000])",
+    "random([20000, 20000])",
+    "randomInt([20000, 20000], 1, 5)",
+    "pickRandom([1, 2, 3], 1e8)",
+    "reshape([1, 2], [20000, -1])",
+    "kron(ones(100, 100), ones(100, 100))",
+    "diag(range(0, 9000), 5000)",
+    "concat(ones(100, 60), ones(100, 60))"
+  ]) {
+    assert.equal(calculate(expression).result.code, "result_too_large", expression);
+  }
+  assert.equal(value("resize([1, 2], [3])"), "[1, 2, 0]");
+  assert.equal(value("kron([1, 2], [3, 4])"), "[[3, 4, 6, 8]]");
+  assert.equal(value("diag([1, 2])"), "[[1, 0], [0, 2]]");
+});
+
+test("large matrices are summarized in the steps", () => {
+  const { result } = calculate("size(ones(99, 99))");
+
+  assert.equal(result.result, "[99, 99]");
+  assert.deepEqual(result.steps, ["ones(99, 99) = [99x99 matrix]", "size([99x99 matrix]) = [99, 99]"]);
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./helpers/setup");
+
+setupTestEnv();
+
+const calendarStore = require("../calendar/calendarStore");
+const { generateICS, fromICS } = require("../calendar/ics");
+
+// Monday 2026-11-02 and Tuesday 2026-11-03, server time
+const at = (day, hours, minutes = 0) => new Date(2026, 10, day, hours, minutes).toISOString();
+
+test("finds conflicts with timed events only", () => {
+  const meeting = calendarStore.create({ title: "Planning", start: at(2, 10), end: at(2, 11) });
+  calendarStore.create({ title: "Holiday", start: at(2, 0), end: at(3, 0), allDay: true });
+
+  assert.deepEqual(calendarStore.findConflicts(new Date(at(2, 10, 30)), new Date(at(2, 12))).map(e => e.id), [meeting.id]);
+  // Back-to-back is not a clash
+  assert.deepEqual(calendarStore.findConflicts(new Date(at(2, 11)), new Date(at(2, 12))), []);
+  assert.deepEqual(calendarStore.findConflicts(new Date(at(2, 10)), new Date(at(2, 11)), { excludeId: meeting.id }), []);
+
+  assert.deepEqual(calendarStore.list({ from: at(2, 0), to: at(3, 0), query: "PLAN" }).map(e => e.id), [meeting.id]);
+});
+
+test("finds free slots within working hours on weekdays", () => {
+  calendarStore.create({ title: "Standup", start: at(3, 9), end: at(3, 9, 20) });
+  calendarStore.create({ title: "Workshop", start: at(3, 10), end: at(3, 16, 50) });
+
+  const slots = calendarStore.findFreeSlots({ durationMinutes: 30, from: new Date(at(3, 8)), count: 3 });
+  assert.deepEqual(slots.map(slot => slot.start), [at(3, 9, 30), at(4, 9), at(4, 9, 30)]);
+
+  // Friday evening -> Monday morning
+  const [next] = calendarStore.findFreeSlots({ durationMinutes: 60, from: new Date(at(6, 17)), count: 1 });
+  assert.equal(next.start, at(9, 9));
+  assert.deepEqual(calendarStore.findFreeSlots({ from: new Date(at(7, 9)), to: new Date(at(8, 23)) }), []);
+});
+
+test("validates event fields", () => {
+  assert.deepEqual(calendarStore.validate({ title: "Ok", attendees: ["a@example.com"] }), []);
+  assert.equal(calendarStore.validate({ title: "", location: 4, attendees: "a@example.com" }).length, 3);
+});
+
+test("event ids that name Object members are not found", () => {
+  assert.equal(calendarStore.get("constructor"), null);
+  assert.equal(calendarStore.delete("toString"), false);
+});
+
+test("generates iCalendar that the ics loader reads back", () => {
+  const event = {
+    uid: "evt-1@personal-assistant",
+    title: "Review; budget, Q4",
+    description: "Line one\nLine two " + "x".repeat(80),
+    location: "Room 4",
+    start: at(2, 14),
+    end: at(2, 15),
+    allDay: false,
+    attendees: ["ana@example.com"]
+  };
+  const ics = generateICS([event], { method: "REQUEST", organizer: { name: "Owner", email: "owner@example.com" } });
+
+  assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+  assert.match(ics, /\r\nMETHOD:REQUEST\r\n/);
+  assert.match(ics, /\r\nSUMMARY:Review\\; budget\\, Q4\r\n/);
+  assert.match(ics, /\r\nORGANIZER;CN=Owner:mailto:owner@example.com\r\n/);
+  assert.ok(ics.split("\r\n").every(line => Buffer.byteLength(line) <= 75));
+
+  const [parsed] = fromICS(ics);
+  assert.equal(parsed.uid, event.uid);
+  assert.equal(parsed.title, event.title);
+  assert.equal(parsed.description, event.description);
+  assert.equal(parsed.start, event.start);
+  assert.equal(parsed.end, event.end);
+});
+
+test("imports all-day and open-ended events and updates them by UID", () => {
+  const ics = [
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT", "UID:birthday-1", "DTSTART;VALUE=DATE:20261105", "SUMMARY:Birthday", "END:VEVENT",
+    "BEGIN:VEVENT", "UID:call-1", "DTSTART:20261105T150000Z", "SUMMARY:Call", "END:VEVENT",
+    "BEGIN:VEVENT", "UID:broken-1", "SUMMARY:No start", "END:VEVENT",
+    "END:VCALENDAR"
+  ].join("\r\n");
+
+  const events = fromICS(ics);
+  assert.deepEqual(events.map(e => e.title), ["Birthday", "Call"]);
+  assert.equal(events[0].allDay, true);
+  assert.equal(events[0].end, at(6, 0));
+  assert.equal(events[1].end, "2026-11-05T16:00:00.000Z");
+
+  assert.deepEqual(calendarStore.importEvents(events), { created: 2, updated: 0 });
+  assert.deepEqual(calendarStore.importEvents([{ ...events[1], title: "Call (moved)" }]), { created: 0, updated: 1 });
+  assert.equal(calendarStore.list({ query: "moved" }).length, 1);
+  assert.equal(calendarStore.list({ query: "moved" })[0].source, "import");
+});
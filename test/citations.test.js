@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildPassages, formatPassages, validateCitations, toSources } = require("../llm/citations");
+
+const results = [
+  { id: "doc_a_0", content: "Chess club", score: 0.9, metadata: { field: "hobbies", source: "data/owner_profile.json" }, parent: { id: "doc_a", content: "Chess club and football on weekends" } },
+  { id: "doc_a_1", content: "football", score: 0.8, metadata: { field: "hobbies" }, parent: { id: "doc_a", content: "Chess club and football on weekends" } },
+  { id: "doc_b_0", content: "BSc Computer Science", score: 0.7, metadata: { field: "education" }, parent: { id: "doc_b", content: "BSc Computer Science" } },
+  { id: "doc_c_0", content: "Project X", score: 0.6, metadata: { field: "projects" }, parent: { id: "doc_c", content: "Project X" } }
+];
+
+test("buildPassages merges chunks of one parent and numbers the passages", () => {
+  const passages = buildPassages(results, 2);
+
+  assert.deepEqual(passages.map(p => [p.number, p.id, p.field]), [[1, "doc_a_0", "hobbies"], [2, "doc_b_0", "education"]]);
+  assert.equal(passages[0].content, "Chess club and football on weekends");
+  assert.match(formatPassages(passages), /^\[1\] \(hobbies\) Chess club.*\n\n\[2\] \(education\) BSc/);
+});
+
+test("validateCitations strips citations of passages that were not supplied", () => {
+  assert.deepEqual(validateCitations("Chess [1]. A degree [2]. Mars [3].", 2), {
+    answer: "Chess [1]. A degree [2]. Mars.",
+    cited: [1, 2]
+  });
+  assert.deepEqual(validateCitations("Both [2, 5][0].", 2), { answer: "Both [2].", cited: [2] });
+});
+
+test("validateCitations leaves answers alone when no passages were supplied", () => {
+  const answer = "det([1,2;3,4]) = -2 and v = [3, 4]. Also [1].";
+  assert.deepEqual(validateCitations(answer, 0), { answer, cited: [] });
+});
+
+test("validateCitations leaves other bracketed text alone", () => {
+  const answer = "Use arr[i] or [link](url).";
+  assert.deepEqual(validateCitations(answer, 1), { answer, cited: [] });
+});
+
+test("validateCitations does not treat matrices, vectors or indexes as citations", () => {
+  const answer = "The result is [[2, 4], [6, 8]] and v = [3, 4], so v[2] is 4 and [1, 2] + [1, 2] = [2, 4].";
+  assert.deepEqual(validateCitations(answer, 2), { answer, cited: [] });
+  assert.deepEqual(validateCitations("The matrix [[1, 2], [3, 4]] is from your notes [2][5].", 2), {
+    answer: "The matrix [[1, 2], [3, 4]] is from your notes [2].",
+    cited: [2]
+  });
+});
+
+test("toSources marks cited passages and shortens snippets", () => {
+  const passages = buildPassages([{ ...results[2], content: "x".repeat(400), parent: undefined }, results[3]], 2);
+  const sources = toSources(passages, [2]);
+
+  assert.deepEqual(sources.map(s => [s.passage, s.field, s.cited]), [[1, "education", false], [2, "projects", true]]);
+  assert.equal(sources[0].snippet.length, 163);
+  assert.equal(sources[1].snippet, "Project X");
+});
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { extractDraftFields, parseConfirmation } = require("../email/draftParser");
+
+test("extracts every draft field from one message", () => {
+  const fields = extractDraftFields(
+    "email bob@example.com cc ana@example.com, eve@example.com subject: Q3 plan with priority high and body: Draft attached"
+  );
+
+  assert.deepEqual(fields, {
+    to: "bob@example.com",
+    cc: "ana@example.com, eve@example.com",
+    subject: "Q3 plan",
+    priority: "high",
+    body: "Draft attached"
+  });
+});
+
+test("a bare reply fills only the field the draft is waiting for", () => {
+  assert.deepEqual(extractDraftFields("Quarterly review", { awaiting: "subject" }), { subject: "Quarterly review" });
+  assert.deepEqual(extractDraftFields("\"Hello, it's 10:30\"", { awaiting: "body" }), { body: "Hello, it's 10:30" });
+  assert.deepEqual(extractDraftFields("Quarterly review", { awaiting: "to" }), {});
+  assert.deepEqual(extractDraftFields("Quarterly review"), {});
+});
+
+test("recognises confirmation and cancellation replies", () => {
+  for (const word of ["yes", "Send it", "go ahead!", "OK"]) {
+    assert.equal(parseConfirmation(word), "confirm", word);
+  }
+  for (const word of ["no", "Cancel.", "never mind", "don't send it"]) {
+    assert.equal(parseConfirmation(word), "cancel", word);
+  }
+  assert.equal(parseConfirmation("yes, but change the subject"), null);
+});
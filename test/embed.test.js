@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./helpers/setup");
+
+setupTestEnv();
+
+const chunkDocuments = require("../rag/embed");
+
+const longNote = [
+  "My first job was at a small web agency where I built landing pages.",
+  "Later I moved to backend work and wrote REST APIs in Node.js.",
+  "Now I mostly work on search and retrieval systems."
+].join("\n\n");
+
+const docs = [
+  { content: "I completed my MCA.", metadata: { field: "education", source: "data/owner_profile.json", path: "education[1]" } },
+  { content: longNote, metadata: { field: "notes", source: "data/notes/career.md", path: "career" } }
+];
+
+test("keeps short documents as a single chunk", async () => {
+  const [chunk] = await chunkDocuments(docs, { chunkSize: 80, chunkOverlap: 10 });
+
+  assert.equal(chunk.content, "I completed my MCA.");
+  assert.equal(chunk.metadata.chunkIndex, 0);
+  assert.equal(chunk.metadata.chunkCount, 1);
+  assert.equal(chunk.id, `${chunk.metadata.parentId}_0`);
+  assert.equal(chunk.parent, undefined);
+});
+
+test("splits long documents and links chunks to their parent", async () => {
+  const chunks = (await chunkDocuments(docs, { chunkSize: 80, chunkOverlap: 10 }))
+    .filter(c => c.metadata.field === "notes");
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(c => c.content.length <= 80));
+  assert.ok(chunks.every(c => c.metadata.parentId === chunks[0].metadata.parentId));
+  assert.ok(chunks.every(c => c.metadata.chunkCount === chunks.length));
+  assert.deepEqual(chunks.map(c => c.metadata.chunkIndex), chunks.map((_, i) => i));
+  assert.equal(chunks[0].parent.content, longNote);
+  assert.equal(chunks[0].metadata.source, "data/notes/career.md");
+});
+
+test("chunk ids are stable per source and path", async () => {
+  const first = await chunkDocuments(docs, { chunkSize: 80, chunkOverlap: 10 });
+  const reordered = await chunkDocuments([...docs].reverse(), { chunkSize: 80, chunkOverlap: 10 });
+
+  assert.deepEqual(first.map(c => c.id).sort(), reordered.map(c => c.id).sort());
+  assert.equal(new Set(first.map(c => c.id)).size, first.length);
+});
+
+test("documents sharing a path still get distinct ids", async () => {
+  const twins = [
+    { content: "My father is a farmer.", metadata: { field: "parents", source: "a.json", path: "personal.parents" } },
+    { content: "My mother is a teacher.", metadata: { field: "parents", source: "a.json", path: "personal.parents" } }
+  ];
+  const chunks = await chunkDocuments(twins);
+
+  assert.notEqual(chunks[0].id, chunks[1].id);
+});
+
+test("rejects an unknown strategy", async () => {
+  await assert.rejects(() => chunkDocuments(docs, { strategy: "sentences" }), /Unknown chunking strategy/);
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { setupTestEnv } = require("./helpers/setup");
+const { fakeEmbedder } = require("./helpers/fakes");
+
+setupTestEnv();
+
+const vectorStore = require("../rag/vectorStore");
+const { recallAtK, reciprocalRank, ndcgAtK, evaluate } = require("../rag/evaluate");
+
+const dataset = {
+  name: "fixture",
+  sources: [{ name: "notes", type: "markdown", path: path.join(__dirname, "fixtures/sources/notes") }],
+  questions: [
+    { question: "Which sunscreen and swimwear did I pack?", expected: ["trip.md#Goa trip > Packing"] },
+    { question: "When should I water the tomatoes?", expected: ["garden/tomatoes.txt"] }
+  ]
+};
+
+test("recall@k counts expected documents in the first k", () => {
+  assert.equal(recallAtK(["a", "b", "c"], ["a", "c"], 3), 1);
+  assert.equal(recallAtK(["a", "b", "c"], ["a", "c"], 2), 0.5);
+  assert.equal(recallAtK([], ["a"], 3), 0);
+});
+
+test("reciprocal rank uses the first expected document", () => {
+  assert.equal(reciprocalRank(["x", "a", "b"], ["a", "b"], 3), 0.5);
+  assert.equal(reciprocalRank(["x", "y", "a"], ["a"], 2), 0);
+});
+
+test("nDCG is 1 for an ideal ranking and lower when expected documents come later", () => {
+  assert.equal(ndcgAtK(["a", "b", "x"], ["a", "b"], 3), 1);
+  const late = ndcgAtK(["x", "a"], ["a"], 3);
+  assert.ok(Math.abs(late - 1 / Math.log2(3)) < 1e-9);
+  assert.equal(ndcgAtK(["x"], ["a"], 3), 0);
+});
+
+test("evaluate reports metrics for every configuration", async () => {
+  vectorStore.setEmbedder(fakeEmbedder);
+
+  const report = await evaluate({
+    dataset,
+    configs: [
+      { name: "keyword", mode: "keyword", minScore: 0 },
+      { name: "hybrid, small chunks", mode: "hybrid", chunkSize: 30, chunkOverlap: 0, minScore: 0 }
+    ],
+    details: true
+  });
+
+  assert.deepEqual(report.dataset, { name: "fixture", questions: 2 });
+  assert.deepEqual(report.results.map(r => r.name), ["keyword", "hybrid, small chunks"]);
+  assert.ok(report.results[1].chunks > report.results[0].chunks);
+  assert.ok(report.results.map(r => r.name).includes(report.best));
+
+  const [keyword] = report.results;
+  assert.equal(keyword.questions[0].retrieved[0], "trip.md#Goa trip > Packing");
+  assert.equal(keyword.questions[1].retrieved[0], "garden/tomatoes.txt");
+  assert.deepEqual(keyword.metrics, { k: 3, recall: 1, mrr: 1, ndcg: 1 });
+});
+
+test("evaluate rejects invalid datasets and configurations", async () => {
+  await assert.rejects(() => evaluate({ dataset: { questions: [] } }), { status: 400 });
+  await assert.rejects(() => evaluate({ dataset: { questions: [{ question: "q", expected: [] }] } }), /expected/);
+  await assert.rejects(() => evaluate({ dataset, configs: [{ topK: 0 }] }), /topK/);
+  await assert.rejects(() => evaluate({ dataset, configs: [{ strategy: "sentences" }] }), /strategy/);
+});
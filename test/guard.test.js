@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./helpers/setup");
+
+setupTestEnv();
+
+const { shouldRejectQuestion } = require("../index");
+
+test("allows personal questions", () => {
+  for (const prompt of ["What are my skills?", "Tell me about yourself", "who are you"]) {
+    assert.equal(shouldRejectQuestion(prompt), false, prompt);
+  }
+});
+
+test("allows math, email, calendar and time requests", () => {
+  for (const prompt of [
+    "23 + 4",
+    "calculate 5 * 10",
+    "12 divided by 4",
+    "what is sqrt(16)",
+    "what is 2^10",
+    "15% of 200",
+    "what is 5 km in miles",
+    "x = 5",
+    "what is x * 3",
+    "f(x) = x^2 + 1",
+    "what is det([1, 2; 3, 4])",
+    "What is twelve plus seven?",
+    "what is the square root of sixteen",
+    "how many feet in 3 metres",
+    "send email to john@gmail.com",
+    "what are the events this week",
+    "find a free slot for a 30 minute call",
+    "what is the date today"
+  ]) {
+    assert.equal(shouldRejectQuestion(prompt), false, prompt);
+  }
+});
+
+test("blocks general knowledge questions", () => {
+  for (const prompt of [
+    "What is quantum computing?",
+    "Who is the president of France?",
+    "Explain photosynthesis",
+    "Define entropy",
+    "how does a car engine work",
+    "what is a-level physics?",
+    "what is the speed of light in vacuum"
+  ]) {
+    assert.equal(shouldRejectQuestion(prompt), true, prompt);
+  }
+});
@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+const DIMENSIONS = 64;
+
+// Deterministic bag-of-words embedder with the @xenova pipeline signature:
+// texts sharing words get similar vectors, no model download needed.
+async function fakeEmbedder(text) {
+  const vector = new Float32Array(DIMENSIONS);
+  const words = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+
+  for (const word of words) {
+    const hash = crypto.createHash("md5").update(word).digest();
+    vector[hash[0] % DIMENSIONS] += 1;
+    vector[hash[1] % DIMENSIONS] += 0.5;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return { data: vector.map(v => v / norm) };
+}
+
+// nodemailer's JSON transport never touches the network; sent messages are kept
+function createStubTransport() {
+  const sent = [];
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  const sendMail = transport.sendMail.bind(transport);
+
+  transport.sendMail = async options => {
+    sent.push(options);
+    return sendMail(options);
+  };
+
+  return { transport, sent };
+}
+
+module.exports = {
+  fakeEmbedder,
+  createStubTransport
+};
@@ -0,0 +1,102 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+const { fakeEmbedder, createStubTransport } = require("./fakes");
+
+// Points every store at a temp directory and selects the mock LLM.
+// Must run before the app modules are required: paths are read at construction.
+function setupTestEnv() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "assistant-test-"));
+
+  process.env.VECTOR_DB_PATH = path.join(dir, "vectorDB.json");
+  process.env.SESSIONS_DB_PATH = path.join(dir, "sessions.json");
+  process.env.DRAFTS_DB_PATH = path.join(dir, "drafts.json");
+  process.env.EMAIL_JOBS_DB_PATH = path.join(dir, "jobs.json");
+  process.env.NOTES_DB_PATH = path.join(dir, "notes.json");
+  process.env.TASKS_DB_PATH = path.join(dir, "tasks.json");
+  process.env.CALENDAR_DB_PATH = path.join(dir, "events.json");
+  process.env.REMINDER_EMAIL = "owner@example.com";
+  process.env.LLM_PROVIDER = "mock";
+  delete process.env.LLM_FALLBACK_PROVIDER;
+  delete process.env.MOCK_LLM_SCRIPT;
+
+  // The app logs every step; keep test output readable
+  if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  }
+
+  return dir;
+}
+
+// Imports the app with a fake embedder, stub SMTP transport and scripted LLM,
+// builds the vector store and listens on a random port.
+async function startApp() {
+  const dir = setupTestEnv();
+
+  const vectorStore = require("../../rag/vectorStore");
+  const { setTransporter } = require("../../email/transport");
+  const llm = require("../../llm/providers");
+  const MockProvider = require("../../llm/providers/mockProvider");
+
+  vectorStore.setEmbedder(fakeEmbedder);
+  const mailbox = createStubTransport();
+  setTransporter(mailbox.transport);
+  const mock = new MockProvider();
+  llm.setProviders([mock]);
+
+  const { app, init } = require("../../index");
+  await init();
+
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, route, body, headers = {}) => {
+    const response = await fetch(baseUrl + route, {
+      method,
+      headers: { "content-type": "application/json", ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      // SSE and other non-JSON bodies are returned as text
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  };
+
+  return {
+    baseUrl,
+    mock,
+    mailbox,
+    request,
+    close: async () => {
+      server.close();
+      await once(server, "close");
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// "event: x\ndata: {...}" blocks -> [{ event, data }]
+function parseEvents(text) {
+  return text
+    .split("\n\n")
+    .map(block => {
+      const event = block.match(/^event: (.+)$/m);
+      const data = block.match(/^data: (.+)$/m);
+      return event && data ? { event: event[1], data: JSON.parse(data[1]) } : null;
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  setupTestEnv,
+  startApp,
+  parseEvents
+};
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { setupTestEnv } = require("./helpers/setup");
+
+setupTestEnv();
+process.env.EMAIL_MAX_ATTEMPTS = "3";
+process.env.EMAIL_RETRY_BASE_MS = "1000";
+
+const jobQueue = require("../email/jobQueue");
+
+const email = { to: "bob@example.com", subject: "Hi", body: "Hello" };
+const inMinutes = minutes => new Date(Date.now() + minutes * 60e3);
+
+test("sends jobs once they are due", async () => {
+  const sent = [];
+  jobQueue.setSender(async job => {
+    sent.push(job.email.to);
+    return { success: true, messageId: "<1@test>" };
+  });
+
+  const job = jobQueue.schedule(email, { scheduleAt: inMinutes(10) });
+  assert.deepEqual(await jobQueue.processDue(), []);
+  assert.equal(job.status, "scheduled");
+
+  await jobQueue.processDue(inMinutes(11));
+  assert.deepEqual(sent, ["bob@example.com"]);
+  assert.equal(job.status, "sent");
+  assert.equal(job.messageId, "<1@test>");
+  assert.equal(job.attempts, 1);
+});
+
+test("retries failed sends with exponential backoff, then gives up", async () => {
+  jobQueue.setSender(async () => ({ success: false, error: "SMTP timeout" }));
+  const job = jobQueue.schedule(email, { scheduleAt: inMinutes(1) });
+
+  const started = Date.now();
+  await jobQueue.processDue(inMinutes(2));
+  assert.equal(job.status, "retrying");
+  assert.equal(job.lastError, "SMTP timeout");
+  const firstDelay = new Date(job.nextAttemptAt) - started;
+  assert.ok(firstDelay >= 1000 && firstDelay < 2000, String(firstDelay));
+
+  await jobQueue.processDue(new Date(job.nextAttemptAt));
+  const secondDelay = new Date(job.nextAttemptAt) - Date.now();
+  assert.equal(job.attempts, 2);
+  assert.ok(secondDelay > 1000 && secondDelay <= 2000, String(secondDelay));
+
+  await jobQueue.processDue(new Date(job.nextAttemptAt));
+  assert.equal(job.status, "failed");
+  assert.equal(job.attempts, 3);
+  assert.equal(job.nextAttemptAt, null);
+});
+
+test("fails permanent errors without retrying", async () => {
+  jobQueue.setSender(async () => ({ success: false, error: "Invalid recipient email: bob@", permanent: true }));
+  const job = jobQueue.schedule({ ...email, to: "bob@" }, { scheduleAt: inMinutes(1) });
+
+  await jobQueue.processDue(inMinutes(2));
+  assert.equal(job.status, "failed");
+  assert.equal(job.attempts, 1);
+  assert.equal(job.nextAttemptAt, null);
+});
+
+test("job ids that name Object members are not found", () => {
+  assert.equal(jobQueue.get("constructor"), null);
+  assert.equal(jobQueue.cancel("toString"), null);
+});
+
+test("cancels pending jobs only", () => {
+  const job = jobQueue.schedule(email, { scheduleAt: inMinutes(5) });
+
+  assert.equal(jobQueue.cancel(job.id).status, "cancelled");
+  assert.equal(jobQueue.cancel(job.id), null);
+  assert.equal(jobQueue.cancel("job_missing"), null);
+  assert.ok(jobQueue.list({ status: "cancelled" }).some(j => j.id === job.id));
+});
+
+test("survives a restart and retries a send that was cut off", () => {
+  const job = jobQueue.schedule(email, { scheduleAt: inMinutes(5) });
+  const saved = JSON.parse(fs.readFileSync(process.env.EMAIL_JOBS_DB_PATH, "utf-8"));
+  saved[job.id].status = "sending";
+  saved[job.id].attempts = 1;
+  fs.writeFileSync(process.env.EMAIL_JOBS_DB_PATH, JSON.stringify(saved));
+
+  assert.equal(jobQueue.loadFromDisk(), true);
+  const reloaded = jobQueue.get(job.id);
+  assert.notEqual(reloaded, job);
+  assert.equal(reloaded.status, "retrying");
+  assert.ok(new Date(reloaded.nextAttemptAt) <= new Date());
+});
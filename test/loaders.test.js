@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { setupTestEnv } = require("./helpers/setup");
+
+setupTestEnv();
+
+const { loadSources, loadSourcesConfig, registerLoader } = require("../rag/loader");
+
+const CONFIG = path.join(__dirname, "fixtures/sources/sources.json");
+
+let docs;
+
+test.before(async () => {
+  docs = await loadSources(loadSourcesConfig(CONFIG));
+});
+
+const bySource = name => docs.filter(d => d.metadata.sourceName === name);
+
+test("skips missing files and unknown loader types", () => {
+  assert.deepEqual(
+    [...new Set(docs.map(d => d.metadata.sourceName))],
+    ["profile", "notes", "contacts", "mail", "calendar"]
+  );
+});
+
+test("profile: flattens unknown top-level keys generically", () => {
+  const profile = bySource("profile");
+  const find = p => profile.find(d => d.metadata.path === p);
+
+  assert.equal(find("personal.name").content, "My name is Asha Verma.");
+  assert.equal(find("favouriteFoods[1]").content, "favourite foods: rajma chawal");
+  assert.equal(find("vehicles[0]").content, "vehicles: make: Maruti. model: Swift. year: 2019");
+  assert.equal(find("pets").content, "I have a beagle named Bruno.");
+  assert.equal(find("pets.vet").content, "pets - vet: name: Dr. Rao. phone: 555-0101");
+  assert.equal(find("bloodGroup").content, "blood group: B+");
+  assert.equal(find("bloodGroup").metadata.field, "bloodGroup");
+  assert.equal(find("bloodGroup").metadata.source, "test/fixtures/sources/profile.json");
+});
+
+test("markdown: one document per heading section across the folder", () => {
+  const notes = bySource("notes");
+
+  assert.deepEqual(notes.map(d => d.metadata.path), ["garden/tomatoes.txt", "trip.md#Goa trip", "trip.md#Goa trip > Packing"]);
+  assert.equal(notes[2].content, "trip - Goa trip > Packing\n\nSunscreen, swimwear and the blue backpack.");
+  assert.equal(notes[2].metadata.source, "test/fixtures/sources/notes/trip.md");
+  assert.deepEqual(notes[2].metadata.tags, ["personal"]);
+  assert.equal(notes[2].metadata.field, "notes");
+});
+
+test("csv: one document per row with quoted fields", () => {
+  const [ravi, meera] = bySource("contacts");
+
+  assert.equal(ravi.content, 'name: Ravi Kumar. relation: brother. phone: 555-0102. notes: Lives in Pune, works at "Infosys"');
+  assert.equal(ravi.metadata.path, "Ravi Kumar");
+  assert.match(meera.content, /notes: Met at college\nLoves hiking/);
+});
+
+test("email: parses mbox messages, encoded headers and multipart bodies", () => {
+  const [diwali, hike] = bySource("mail");
+
+  assert.equal(diwali.metadata.path, "<diwali-1@example.com>");
+  assert.equal(diwali.metadata.updatedAt, "2024-10-07T03:30:00.000Z");
+  assert.match(diwali.content, /^Email from Ravi Kumar <ravi@example.com> to asha@example.com on 2024-10-07\. Subject: Diwali plans/);
+  assert.match(diwali.content, /\nFrom the station take an auto\./);
+  assert.deepEqual(diwali.metadata.tags, ["ravi@example.com"]);
+
+  assert.match(hike.content, /^Email from Meera Shah <meera@example.com>/);
+  assert.match(hike.content, /Bring ₹500 for the guide\.$/);
+  assert.doesNotMatch(hike.content, /<p>/);
+});
+
+test("ics: one document per event", () => {
+  const [dentist, birthday] = bySource("calendar");
+
+  assert.equal(
+    dentist.content,
+    'Calendar event "Dentist appointment" on 2024-10-21 at 04:30. Location: Smile Clinic, Andheri. Attendees: Asha Verma. Bring the X-ray report.\nAsk about whitening.'
+  );
+  assert.equal(dentist.metadata.path, "dentist-1@example.com");
+  assert.equal(birthday.content, `Calendar event "Mom's birthday" on 2024-11-05.`);
+});
+
+test("registerLoader adds a source type", async () => {
+  registerLoader("static", source => [{ content: source.text, metadata: { field: "misc", source: "inline" } }]);
+
+  const loaded = await loadSources([{ name: "inline", type: "static", path: "test", text: "Hello" }]);
+  assert.deepEqual(loaded, [{ content: "Hello", metadata: { field: "misc", source: "inline" } }]);
+});
+
+test("a source's collection is recorded on its documents", async () => {
+  const loaded = await loadSources([{ name: "inline", type: "static", path: "test", text: "Hi", collection: "scratch" }]);
+  assert.equal(loaded[0].metadata.collection, "scratch");
+});
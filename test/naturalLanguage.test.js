@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { translateExpression, parseMathRequest } = require("../math/naturalLanguage");
+
+test("translates number words, operators and math phrases", () => {
+  const cases = {
+    "twelve plus seven": "12 + 7",
+    "twenty-one divided by seven": "21 / 7",
+    "one hundred and five minus five": "105 - 5",
+    "two thousand and five times three": "2005 * 3",
+    "three point one four times 2": "3.14 * 2",
+    "20 percent of 350": "20% of 350",
+    "five squared": "5^2",
+    "2 to the power of ten": "2^10",
+    "3 to the 4th power": "3^4",
+    "the square root of sixteen": "sqrt(16)",
+    "10 factorial": "10!",
+    "add 3 and 4": "3 + 4",
+    "subtract 3 from 10": "10 - 3",
+    "multiply six by seven": "6 * 7",
+    "the remainder of 17 divided by 5": "17 mod 5",
+    "3 x 4": "3 * 4"
+  };
+
+  for (const [input, expected] of Object.entries(cases)) {
+    assert.equal(translateExpression(input), expected, input);
+  }
+});
+
+test("translates currency amounts and unit phrases", () => {
+  assert.equal(translateExpression("$1,200 times 3"), "1200 * 3");
+  assert.equal(translateExpression("20 dollars plus 5 dollars"), "20 + 5");
+  assert.equal(translateExpression("5 kilometres in miles"), "5 kilometers to miles");
+  assert.equal(translateExpression("convert 100 degrees fahrenheit to celsius"), "100 degF to celsius");
+  assert.equal(translateExpression("how many feet in 3 metres"), "3 meters to feet");
+  assert.equal(translateExpression("72 mph into km/h"), "72 mi/h to km/h");
+});
+
+test("leaves mathjs expressions unchanged", () => {
+  for (const expression of ["sqrt(16)", "max(1,200)", "[1, 2; 3, 4] * 2", "x = 5\nx * 3", "f(x) = x^2 + 1", "5 km to miles"]) {
+    assert.equal(translateExpression(expression), expression);
+  }
+});
+
+test("parseMathRequest strips the question around the math", () => {
+  assert.deepEqual(parseMathRequest("What is twelve plus seven?"), { input: "twelve plus seven", expression: "12 + 7" });
+  assert.deepEqual(parseMathRequest("please convert 100 degrees fahrenheit to celsius"), {
+    input: "100 degrees fahrenheit to celsius",
+    expression: "100 degF to celsius"
+  });
+  assert.equal(parseMathRequest("What is quantum computing?"), null);
+});
+
+test("parseMathRequest ignores bare numbers, units, dates and phone numbers", () => {
+  for (const prompt of ["3pm", "10 am", "2 hours", "12/25", "555-1234", "twenty", "42"]) {
+    assert.equal(parseMathRequest(prompt), null, prompt);
+  }
+  assert.equal(parseMathRequest("10 / 4").expression, "10 / 4");
+  assert.equal(parseMathRequest("2 hours in minutes").expression, "2 hours to minutes");
+  assert.equal(parseMathRequest("what is 12/25").expression, "12/25");
+});
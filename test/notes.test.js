@@ -0,0 +1,177 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/setup");
+
+let ctx;
+
+test.before(async () => {
+  ctx = await startApp();
+});
+
+test.after(async () => {
+  await ctx.close();
+});
+
+const searchNotes = query => ctx.request("POST", "/tools/search_notes/test", { query, fields: ["notes"] });
+
+const markdown = [
+  "# Travel",
+  "I keep my passport in the blue folder.",
+  "## Visas",
+  "My Schengen visa expires in March."
+].join("\n");
+
+test.describe("noteParser", () => {
+  const { detectFormat, parseNote } = require("../notes/noteParser");
+
+  test("detects the format from format, filename, then MIME type", () => {
+    assert.equal(detectFormat({ format: "pdf", filename: "a.md" }), "pdf");
+    assert.equal(detectFormat({ filename: "trip.MD" }), "markdown");
+    assert.equal(detectFormat({ mimeType: "application/pdf" }), "pdf");
+    assert.equal(detectFormat({ format: "docx" }), null);
+    assert.equal(detectFormat({}), "text");
+  });
+
+  test("splits markdown by heading and keeps the heading trail", async () => {
+    const sections = await parseNote({ format: "markdown", content: markdown });
+
+    assert.deepEqual(sections, [
+      { heading: "Travel", content: "I keep my passport in the blue folder." },
+      { heading: "Travel > Visas", content: "My Schengen visa expires in March." }
+    ]);
+  });
+
+  test("flattens arbitrary JSON into one section per top-level key", async () => {
+    const sections = await parseNote({
+      format: "json",
+      content: { car: { model: "Swift", year: 2019 }, pets: ["Bruno"] }
+    });
+
+    assert.deepEqual(sections, [
+      { heading: "car", content: "car.model: Swift\ncar.year: 2019" },
+      { heading: "pets", content: "pets[0]: Bruno" }
+    ]);
+  });
+
+  test("rejects invalid JSON and unreadable PDFs with status 422", async () => {
+    await assert.rejects(() => parseNote({ format: "json", content: "{oops" }), { status: 422 });
+    await assert.rejects(
+      () => parseNote({ format: "pdf", content: Buffer.from("not a pdf").toString("base64"), encoding: "base64" }),
+      { status: 422 }
+    );
+  });
+});
+
+test.describe("/notes", () => {
+  test("POST /notes indexes a markdown note with source metadata", async () => {
+    const res = await ctx.request("POST", "/notes", {
+      id: "travel",
+      title: "Travel notes",
+      format: "markdown",
+      content: markdown,
+      tags: ["travel"]
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.note.sections, 2);
+    assert.equal(res.body.index.added, 2);
+
+    const found = await searchNotes("Where is my passport kept?");
+    assert.equal(found.body.result.notes[0].source, "notes/travel");
+    assert.equal(found.body.result.notes[0].path, "Travel");
+    assert.deepEqual(found.body.result.notes[0].tags, ["travel"]);
+    assert.equal(found.body.result.notes[0].collection, "notes");
+  });
+
+  test("notes are indexed into their own collection", async () => {
+    const stats = (await ctx.request("GET", "/rag/stats")).body;
+    assert.equal(stats.collections.notes.sourceCounts["notes/travel"], 2);
+    assert.equal(stats.collections.default.sourceCounts["notes/travel"], undefined);
+    assert.equal(stats.vectors, stats.collections.default.vectors + stats.collections.notes.vectors);
+
+    const profileOnly = await ctx.request("POST", "/tools/search_notes/test", { query: "passport", collection: "default" });
+    assert.ok(profileOnly.body.result.notes.every(n => n.collection === "default"));
+
+    const unknown = await ctx.request("POST", "/tools/search_notes/test", { query: "passport", collection: "emails" });
+    assert.match(unknown.body.result.error, /Unknown collection "emails"/);
+  });
+
+  test("POST /notes with an existing id replaces the note", async () => {
+    const res = await ctx.request("POST", "/notes", {
+      id: "travel",
+      title: "Travel notes",
+      content: "I keep my passport in the red drawer."
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.note.format, "text");
+    assert.equal(res.body.index.removed, 2);
+    assert.equal(res.body.index.added, 1);
+
+    const note = await ctx.request("GET", "/notes/travel");
+    assert.equal(note.body.note.sections[0].content, "I keep my passport in the red drawer.");
+    assert.ok(note.body.note.createdAt <= note.body.note.updatedAt);
+  });
+
+  test("accepts raw text uploads with query parameters", async () => {
+    const res = await fetch(`${ctx.baseUrl}/notes?title=Garden&tags=home,plants`, {
+      method: "POST",
+      headers: { "content-type": "text/plain" },
+      body: "The tomatoes need water every morning."
+    });
+    const body = await res.json();
+
+    assert.equal(res.status, 201);
+    assert.match(body.note.id, /^note_/);
+    assert.deepEqual(body.note.tags, ["home", "plants"]);
+  });
+
+  test("accepts JSON documents", async () => {
+    const res = await ctx.request("POST", "/notes", {
+      id: "car",
+      title: "Car",
+      format: "json",
+      content: { model: "Swift", insurer: "Acko" }
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.note.sections, 2);
+  });
+
+  test("GET /notes lists notes without their text", async () => {
+    const res = await ctx.request("GET", "/notes");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 3);
+    assert.ok(res.body.notes.every(n => typeof n.sections === "number"));
+  });
+
+  test("validates the request", async () => {
+    const missing = await ctx.request("POST", "/notes", { content: "no title" });
+    assert.equal(missing.status, 400);
+
+    const unsupported = await ctx.request("POST", "/notes", { title: "x", format: "docx", content: "x" });
+    assert.equal(unsupported.status, 415);
+
+    const empty = await ctx.request("POST", "/notes", { title: "x", format: "markdown", content: "# Only a heading" });
+    assert.equal(empty.status, 422);
+
+    assert.equal((await ctx.request("GET", "/notes/nope")).status, 404);
+    assert.equal((await ctx.request("GET", "/notes/toString")).status, 404);
+    assert.equal((await ctx.request("DELETE", "/notes/toString")).status, 404);
+  });
+
+  test("DELETE /notes/:id removes the note's vectors", async () => {
+    const before = (await ctx.request("GET", "/rag/stats")).body;
+    assert.equal(before.sourceCounts["notes/car"], 2);
+
+    const res = await ctx.request("DELETE", "/notes/car");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.index.removed, 2);
+
+    const after = (await ctx.request("GET", "/rag/stats")).body;
+    assert.equal(after.sourceCounts["notes/car"], undefined);
+    assert.equal(after.vectors, before.vectors - 2);
+    assert.equal((await ctx.request("DELETE", "/notes/car")).status, 404);
+  });
+});
@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startApp } = require("./helpers/setup");
+
+// Edit a copy so the real profile is never written
+const profileDir = fs.mkdtempSync(path.join(os.tmpdir(), "assistant-profile-"));
+process.env.OWNER_PROFILE_PATH = path.join(profileDir, "owner_profile.json");
+fs.copyFileSync(path.join(__dirname, "../data/owner_profile.json"), process.env.OWNER_PROFILE_PATH);
+
+let ctx;
+
+test.before(async () => {
+  ctx = await startApp();
+});
+
+test.after(async () => {
+  await ctx.close();
+  fs.rmSync(profileDir, { recursive: true, force: true });
+});
+
+test("GET /profile returns the document and its sections", async () => {
+  const res = await ctx.request("GET", "/profile");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.profile.personal.name, "Vishal Shakya");
+  assert.ok(res.body.sections.includes("education"));
+});
+
+test("get_profile_data's dataType enum comes from the schema", async () => {
+  const res = await ctx.request("GET", "/tools");
+  const tool = res.body.tools.find(t => t.name === "get_profile_data");
+  const { PROFILE_SECTIONS } = require("../profile/profileStore");
+
+  assert.deepEqual(tool.parameters.properties.dataType.enum, ["about", "all", ...PROFILE_SECTIONS]);
+
+  const about = await ctx.request("POST", "/tools/get_profile_data/test", { dataType: "about" });
+  assert.match(about.body.result.data, /^Hello! I'm Vishal Shakya\./);
+  assert.match(about.body.result.data, /MCA/);
+});
+
+test("PATCH /profile/:section merges, re-embeds only what changed and is visible immediately", async () => {
+  const res = await ctx.request("PATCH", "/profile/hobbies", {
+    description: "In my free time, I enjoy chess and long bike rides."
+  });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.profile.hobbies.list, ["Coding", "Playing football", "Learning AI", "Cooking"]);
+  assert.equal(res.body.index.updated, 1);
+  assert.equal(res.body.index.added + res.body.index.removed, 0);
+
+  const tool = await ctx.request("POST", "/tools/get_profile_data/test", { dataType: "hobbies" });
+  assert.equal(tool.body.result.data.description, "In my free time, I enjoy chess and long bike rides.");
+
+  const found = await ctx.request("POST", "/tools/search_notes/test", { query: "chess bike rides", fields: ["hobbies"] });
+  assert.match(found.body.result.notes[0].content, /chess/);
+});
+
+test("PATCH accepts a bare string for scalar sections and null removes keys", async () => {
+  const summary = await ctx.request("PATCH", "/profile/profileSummary", "I build RAG systems.");
+  assert.equal(summary.status, 200);
+  assert.equal(summary.body.profile.profileSummary, "I build RAG systems.");
+
+  const goals = await ctx.request("PATCH", "/profile/goals", { shortTerm: null });
+  assert.equal(goals.body.profile.goals.shortTerm, undefined);
+  assert.equal(goals.body.profile.goals.career, "Become a Computer Science Professor");
+});
+
+test("invalid profiles are rejected with 422 and not written", async () => {
+  const before = fs.readFileSync(process.env.OWNER_PROFILE_PATH, "utf-8");
+
+  const res = await ctx.request("PATCH", "/profile/education", [{ field: "Physics" }]);
+  assert.equal(res.status, 422);
+  assert.deepEqual(res.body.details[0], { path: "/education/0", message: "must have required property 'degree'" });
+
+  const put = await ctx.request("PUT", "/profile", { hobbies: { list: [42] } });
+  assert.equal(put.status, 422);
+  assert.ok(put.body.details.some(d => d.path === "/hobbies/list/0"));
+  assert.ok(put.body.details.some(d => d.message === "must have required property 'personal'"));
+
+  assert.equal(fs.readFileSync(process.env.OWNER_PROFILE_PATH, "utf-8"), before);
+});
+
+test("PUT /profile replaces the document; unknown sections are indexed generically", async () => {
+  const profile = (await ctx.request("GET", "/profile")).body.profile;
+  const res = await ctx.request("PUT", "/profile", { ...profile, languages: ["Hindi", "English"] });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.index.added, 2);
+
+  const stats = await ctx.request("GET", "/rag/stats");
+  assert.equal(stats.body.fieldCounts.languages, 2);
+});
+
+test("PATCH on an unknown section is a 404", async () => {
+  const res = await ctx.request("PATCH", "/profile/nonsense", { a: 1 });
+  assert.equal(res.status, 404);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./helpers/setup");
+
+setupTestEnv();
+
+const llm = require("../llm/providers");
+const MockProvider = require("../llm/providers/mockProvider");
+
+const request = { messages: [{ role: "user", content: "hi" }] };
+
+test("falls back to the next provider on rate limits", async () => {
+  const primary = new MockProvider({ name: "primary", script: [{ error: { status: 429, message: "rate limited" } }] });
+  const backup = new MockProvider({ name: "backup", script: ["from backup"] });
+  llm.setProviders([primary, backup]);
+
+  const completion = await llm.complete(request, { model: "big-model" });
+
+  assert.equal(completion.provider, "backup");
+  assert.equal(completion.choices[0].message.content, "from backup");
+  assert.equal(primary.requests[0].model, "big-model");
+  assert.equal(backup.requests[0].model, undefined);
+});
+
+test("does not fall back on tool_use_failed errors", async () => {
+  const failure = { status: 400, message: "tool use failed", body: { error: { code: "tool_use_failed", failed_generation: "x" } } };
+  const backup = new MockProvider({ name: "backup", script: ["unused"] });
+  llm.setProviders([new MockProvider({ name: "primary", script: [{ error: failure }] }), backup]);
+
+  await assert.rejects(() => llm.complete(request), /tool use failed/);
+  assert.equal(backup.requests.length, 0);
+});
+
+test("a model the first provider does not know is rejected, not answered by the fallback", async () => {
+  const notFound = { status: 404, message: "The model `no-such-model` does not exist", body: { error: { code: "model_not_found" } } };
+  const backup = new MockProvider({ name: "backup", script: ["unused"] });
+  llm.setProviders([new MockProvider({ name: "primary", script: [{ error: notFound }] }), backup]);
+
+  await assert.rejects(() => llm.complete(request, { model: "no-such-model" }), {
+    code: "unknown_model",
+    status: 400,
+    provider: "primary"
+  });
+  assert.equal(backup.requests.length, 0);
+});
+
+test("a preferred provider is tried first", async () => {
+  llm.setProviders([
+    new MockProvider({ name: "primary", script: ["primary"] }),
+    new MockProvider({ name: "backup", script: ["backup"] })
+  ]);
+
+  const completion = await llm.complete(request, { provider: "backup" });
+  assert.equal(completion.choices[0].message.content, "backup");
+  await assert.rejects(() => llm.complete(request, { provider: "missing" }), /not configured/);
+});
+
+test("mock provider streams tokens and echoes when the script runs out", async () => {
+  const tokens = [];
+  llm.setProviders([new MockProvider()]);
+
+  const completion = await llm.complete({ ...request, onToken: t => tokens.push(t) });
+
+  assert.equal(completion.choices[0].message.content, "Mock response to: hi");
+  assert.equal(tokens.join(""), "Mock response to: hi");
+});
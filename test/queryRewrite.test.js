@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./helpers/setup");
+
+setupTestEnv();
+
+const { parseRewrite, rewriteQuery } = require("../llm/queryRewrite");
+const { reciprocalRankFusion } = require("../rag/fusion");
+
+const history = [
+  { role: "user", content: "Who is my mother?" },
+  { role: "assistant", content: "Your mother is Babli Devi." }
+];
+
+// Chat completion stub answering with `content`
+const replying = content => {
+  const requests = [];
+  const complete = async request => {
+    requests.push(request);
+    return { choices: [{ message: { role: "assistant", content } }] };
+  };
+  return { complete, requests };
+};
+
+test("parseRewrite reads the first JSON object of the reply", () => {
+  assert.deepEqual(parseRewrite('Sure:\n```json\n{"query": " mother name ", "subQueries": ["a", 3, ""]}\n```'), {
+    query: "mother name",
+    subQueries: ["a"]
+  });
+  assert.equal(parseRewrite("mother name"), null);
+  assert.equal(parseRewrite('{"query": ""}'), null);
+});
+
+test("rewrite mode needs history and resolves references from it", async () => {
+  const llm = replying('{"query": "What is my mother Babli Devi\'s name?", "subQueries": ["ignored"]}');
+
+  const first = await rewriteQuery({ prompt: "what about her name?", history: [], complete: llm.complete });
+  assert.deepEqual(first.queries, ["what about her name?"]);
+  assert.equal(llm.requests.length, 0);
+
+  const rewritten = await rewriteQuery({ prompt: "what about her name?", history, complete: llm.complete });
+  assert.equal(rewritten.query, "What is my mother Babli Devi's name?");
+  assert.deepEqual(rewritten.queries, [rewritten.query]);
+  assert.match(llm.requests[0].messages[1].content, /assistant: Your mother is Babli Devi\.\n\nLATEST MESSAGE: what about her name\?/);
+});
+
+test("multi mode adds distinct sub-queries", async () => {
+  const llm = replying('{"query": "my degrees and projects", "subQueries": ["my degrees", "My Degrees and Projects", "my projects", "a", "b"]}');
+
+  const result = await rewriteQuery({ prompt: "degrees and projects?", mode: "multi", complete: llm.complete });
+  assert.deepEqual(result.queries, ["my degrees and projects", "my degrees", "my projects"]);
+  assert.match(llm.requests[0].messages[0].content, /sub-queries/);
+});
+
+test("falls back to the prompt when rewriting fails", async () => {
+  const failing = async () => { throw new Error("rate limited"); };
+  assert.deepEqual((await rewriteQuery({ prompt: "and her?", history, complete: failing })).queries, ["and her?"]);
+  assert.deepEqual((await rewriteQuery({ prompt: "and her?", history, complete: replying("no idea").complete })).queries, ["and her?"]);
+});
+
+test("reciprocal rank fusion favours results found by several queries", () => {
+  const fused = reciprocalRankFusion([
+    [{ id: "a", score: 0.9 }, { id: "b", score: 0.5 }],
+    [{ id: "c", score: 0.8 }, { id: "b", score: 0.7 }],
+    [{ id: "b", score: 0.4 }]
+  ], { topK: 2 });
+
+  assert.deepEqual(fused.map(r => r.id), ["b", "a"]);
+  assert.equal(fused[0].score, 0.7);
+  assert.ok(Math.abs(fused[0].rrfScore - (2 / 62 + 1 / 61)) < 1e-12);
+});
@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./helpers/setup");
+
+setupTestEnv();
+
+const reranker = require("../rag/reranker");
+
+const results = [
+  { id: "a", content: "I enjoy cooking.", score: 0.9 },
+  { id: "b", content: "I play football.", score: 0.8 },
+  { id: "c", content: "I completed my MCA.", score: 0.7 }
+];
+
+test("rerank reorders by the cross-encoder score and keeps the top K", async () => {
+  const calls = [];
+  reranker.setScorer(async (query, texts) => {
+    calls.push({ query, texts });
+    return texts.map(text => (text.includes("football") ? 0.95 : text.includes("MCA") ? 0.6 : 0.2));
+  });
+
+  const reranked = await reranker.rerank("sports", results, { topK: 2 });
+
+  assert.deepEqual(calls, [{ query: "sports", texts: results.map(r => r.content) }]);
+  assert.deepEqual(reranked.map(r => [r.id, r.score, r.retrievalScore]), [["b", 0.95, 0.8], ["c", 0.6, 0.7]]);
+});
+
+test("rerank of no results does not call the model", async () => {
+  reranker.setScorer(async () => {
+    throw new Error("should not be called");
+  });
+
+  assert.deepEqual(await reranker.rerank("anything", []), []);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseScheduleTime, findScheduleTime } = require("../email/schedule");
+
+// Monday 19 October 2026, 15:00 server time
+const now = new Date(2026, 9, 19, 15, 0);
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes).getTime();
+
+test("parses ISO dates and relative phrases against now", () => {
+  const cases = {
+    "in 2 hours": at(19, 17),
+    "in 30 minutes": at(19, 15, 30),
+    "tomorrow at 9am": at(20, 9),
+    "tomorrow 9:30": at(20, 9, 30),
+    "today at 17:30": at(19, 17, 30),
+    "tonight": at(19, 20),
+    "tomorrow evening at 7": at(20, 19),
+    "9am tomorrow": at(20, 9),
+    "friday at 2:30pm": at(23, 14, 30),
+    "next monday": at(26, 9),
+    "at 5pm": at(19, 17),
+    "at 2pm": at(20, 14),
+    "2026-10-21": at(21, 9),
+    "2026-10-21 08:15": at(21, 8, 15)
+  };
+
+  for (const [phrase, expected] of Object.entries(cases)) {
+    assert.equal(parseScheduleTime(phrase, now)?.getTime(), expected, phrase);
+  }
+});
+
+test("rejects times it cannot understand", () => {
+  for (const value of ["whenever", "tomorrow at 25", "13pm", "", null, 42]) {
+    assert.equal(parseScheduleTime(value, now), null, String(value));
+  }
+});
+
+test("finds send-later phrases but not dates in the message text", () => {
+  assert.equal(findScheduleTime("send this tomorrow at 9am", now).date.getTime(), at(20, 9));
+  assert.equal(findScheduleTime("send email to bob@example.com in 2 hours", now).phrase, "in 2 hours");
+  assert.equal(findScheduleTime("schedule it for friday", now).date.getTime(), at(23, 9));
+  assert.equal(findScheduleTime("Hello, let's meet tomorrow at 10", now), null);
+});
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./helpers/setup");
+
+setupTestEnv();
+process.env.SESSION_HISTORY_WINDOW = "4";
+process.env.SESSION_MAX_MESSAGES = "6";
+
+const sessionStore = require("../sessions/sessionStore");
+
+const talk = (id, turns) => {
+  for (let i = 1; i <= turns; i++) {
+    sessionStore.append(id, { role: "user", content: `question ${i}` });
+    sessionStore.append(id, { role: "assistant", content: `answer ${i}` });
+  }
+};
+
+test("replays only the last messages of the history window", () => {
+  talk("window", 2);
+  sessionStore.append("window", { role: "tool", name: "list_tasks", content: { count: 0 } });
+
+  assert.deepEqual(sessionStore.getHistory("window"), [
+    { role: "assistant", content: "answer 1" },
+    { role: "user", content: "question 2" },
+    { role: "assistant", content: "answer 2" },
+    { role: "system", content: 'Result of tool list_tasks: {"count":0}' }
+  ]);
+  assert.equal(sessionStore.getHistory("window", { limit: 1 }).length, 1);
+  assert.deepEqual(sessionStore.getHistory("window", { limit: 0 }), []);
+  assert.deepEqual(sessionStore.getHistory("unknown"), []);
+});
+
+test("keeps at most the configured number of messages per session", () => {
+  talk("capped", 5);
+
+  const { messages } = sessionStore.get("capped");
+  assert.equal(messages.length, 6);
+  assert.equal(messages[0].content, "question 3");
+  assert.equal(messages.at(-1).content, "answer 5");
+});
+
+test("rejects malformed session ids", () => {
+  assert.equal(sessionStore.isValidId("abc_DEF-123"), true);
+  assert.equal(sessionStore.isValidId("../etc"), false);
+  assert.equal(sessionStore.isValidId(""), false);
+  assert.equal(sessionStore.isValidId(42), false);
+  assert.throws(() => sessionStore.append("has space", { role: "user", content: "hi" }), /Invalid session id/);
+});
+
+test("sessions survive a reload and deletion is persisted", () => {
+  talk("persisted", 1);
+  talk("deleted", 1);
+  assert.equal(sessionStore.delete("deleted"), true);
+  assert.equal(sessionStore.delete("deleted"), false);
+
+  delete require.cache[require.resolve("../sessions/sessionStore")];
+  const reloaded = require("../sessions/sessionStore");
+
+  assert.equal(reloaded.loadFromDisk(), true);
+  assert.deepEqual(reloaded.getHistory("persisted"), sessionStore.getHistory("persisted"));
+  assert.equal(reloaded.get("deleted"), null);
+});
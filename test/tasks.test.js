@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./helpers/setup");
+
+setupTestEnv();
+
+const taskStore = require("../tasks/taskStore");
+
+const now = new Date(2026, 9, 19, 12, 0);
+const on = (day, hours = 9) => new Date(2026, 9, day, hours).toISOString();
+
+test("lists open tasks by due date and filters them", () => {
+  const later = taskStore.create({ title: "File taxes", dueAt: on(25) });
+  const overdue = taskStore.create({ title: "Pay rent", dueAt: on(18), tags: ["money"] });
+  const undated = taskStore.create({ title: "Read a book" });
+  const today = taskStore.create({ title: "Call the bank", dueAt: on(19, 17), notes: "Ask about the card" });
+  const done = taskStore.create({ title: "Buy milk" });
+  taskStore.update(done.id, { status: "done" });
+
+  assert.deepEqual(taskStore.list({ status: "open", now }).map(t => t.id), [overdue.id, today.id, later.id, undated.id]);
+  assert.deepEqual(taskStore.list({ now }).at(-1).id, done.id);
+  assert.deepEqual(taskStore.list({ due: "overdue", now }).map(t => t.id), [overdue.id]);
+  assert.deepEqual(taskStore.list({ due: "today", now }).map(t => t.id), [overdue.id, today.id]);
+  assert.deepEqual(taskStore.list({ due: "week", now }).map(t => t.id), [overdue.id, today.id, later.id]);
+  assert.deepEqual(taskStore.list({ query: "card", now }).map(t => t.id), [today.id]);
+  assert.deepEqual(taskStore.list({ query: "MONEY", now }).map(t => t.id), [overdue.id]);
+
+  assert.ok(taskStore.get(done.id).completedAt);
+  taskStore.update(done.id, { status: "open" });
+  assert.equal(taskStore.get(done.id).completedAt, null);
+});
+
+test("finds tasks by id or title", () => {
+  const task = taskStore.create({ title: "Renew passport" });
+  taskStore.create({ title: "Renew car insurance" });
+
+  assert.equal(taskStore.find(task.id).task, task);
+  assert.equal(taskStore.find("renew passport").task, task);
+  assert.equal(taskStore.find("passport").task, task);
+  assert.equal(taskStore.find("renew").error, "ambiguous");
+  assert.equal(taskStore.find("renew").matches.length, 2);
+  assert.equal(taskStore.find("dentist").error, "not_found");
+  assert.equal(taskStore.get("constructor"), null);
+  assert.equal(taskStore.find("toString").error, "not_found");
+  assert.equal(taskStore.delete("__proto__"), false);
+});
+
+test("validates task fields", () => {
+  assert.deepEqual(taskStore.validate({ title: "Ok", priority: "high", tags: ["a"] }), []);
+  assert.deepEqual(taskStore.validate({ status: "done" }, { partial: true }), []);
+  assert.deepEqual(taskStore.validate({}), ["title must be a non-empty string"]);
+  assert.equal(taskStore.validate({ title: " ", priority: "urgent", tags: "a", status: "later" }).length, 4);
+});
+
+test("turns tasks into searchable documents", () => {
+  const task = taskStore.create({ title: "Book dentist", notes: "Dr. Smith, any weekday", dueAt: on(30), tags: ["health"] });
+  const doc = taskStore.toDocuments().find(d => d.metadata.taskId === task.id);
+
+  assert.match(doc.content, /^Task: Book dentist\nStatus: open, due .+, priority normal\nDr\. Smith/);
+  assert.equal(doc.metadata.field, "tasks");
+  assert.equal(doc.metadata.source, `tasks/${task.id}`);
+  assert.deepEqual(doc.metadata.tags, ["health"]);
+});
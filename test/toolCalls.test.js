@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./helpers/setup");
+
+setupTestEnv();
+
+const {
+  buildToolDefinitions,
+  parseNativeToolCalls,
+  getFailedGeneration,
+  isToolsUnsupportedError,
+  parseToolCall
+} = require("../llm/toolCalls");
+const corpus = require("./fixtures/malformedToolCalls.json");
+
+test.describe("parseToolCall golden corpus", () => {
+  for (const { description, input, expected } of corpus) {
+    test(description, () => {
+      assert.deepEqual(parseToolCall(input), expected);
+    });
+  }
+});
+
+test("buildToolDefinitions wraps registry entries as functions", () => {
+  const tool = {
+    name: "calculate",
+    description: "Perform mathematical calculations",
+    parameters: { type: "object", properties: { expression: { type: "string" } }, required: ["expression"] },
+    execute: async () => ({})
+  };
+
+  assert.deepEqual(buildToolDefinitions([tool]), [{
+    type: "function",
+    function: {
+      name: "calculate",
+      description: "Perform mathematical calculations",
+      parameters: tool.parameters
+    }
+  }]);
+});
+
+test("parseNativeToolCalls reads ids, names and JSON arguments", () => {
+  const calls = parseNativeToolCalls({
+    tool_calls: [
+      { id: "a", type: "function", function: { name: "calculate", arguments: "{\"expression\":\"1+1\"}" } },
+      { id: "b", type: "function", function: { name: "get_current_time", arguments: "" } },
+      { id: "c", type: "function", function: { name: "search_notes", arguments: "{not json" } }
+    ]
+  });
+
+  assert.deepEqual(calls, [
+    { id: "a", name: "calculate", arguments: { expression: "1+1" } },
+    { id: "b", name: "get_current_time", arguments: {} },
+    { id: "c", name: "search_notes", arguments: {} }
+  ]);
+  assert.deepEqual(parseNativeToolCalls({ content: "hi" }), []);
+});
+
+test("getFailedGeneration extracts Groq tool_use_failed generations", () => {
+  const error = {
+    status: 400,
+    error: { error: { code: "tool_use_failed", failed_generation: "<function=calculate>{}</function>" } }
+  };
+
+  assert.equal(getFailedGeneration(error), "<function=calculate>{}</function>");
+  assert.equal(getFailedGeneration({ status: 500, error: { error: { code: "server_error" } } }), null);
+});
+
+test("isToolsUnsupportedError only matches 400s about tool support", () => {
+  assert.equal(isToolsUnsupportedError({ status: 400, message: "400 this model does not support tools" }), true);
+  assert.equal(isToolsUnsupportedError({ status: 500, message: "tools not supported" }), false);
+  assert.equal(isToolsUnsupportedError({ status: 400, message: "invalid messages" }), false);
+});
@@ -0,0 +1,274 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { setupTestEnv } = require("./helpers/setup");
+const { fakeEmbedder } = require("./helpers/fakes");
+
+setupTestEnv();
+
+const vectorStore = require("../rag/vectorStore");
+
+const chunks = [
+  {
+    id: "chunk_0",
+    content: "I completed my MCA in Computer Science.",
+    metadata: { field: "education", source: "data/owner_profile.json", path: "education[1]", tags: ["MCA"] }
+  },
+  { id: "chunk_1", content: "I enjoy playing football and cooking.", metadata: { field: "hobbies" } },
+  { id: "chunk_2", content: "I built an online examination system.", metadata: { field: "projects" } }
+];
+
+test("search fails before an embedder is set", async () => {
+  await assert.rejects(() => vectorStore.search("anything"), /Embedder not initialized/);
+});
+
+test("buildVectorStore embeds chunks and indexes fields", async () => {
+  vectorStore.setEmbedder(fakeEmbedder);
+  await vectorStore.buildVectorStore(chunks);
+
+  const stats = vectorStore.getStats();
+  assert.equal(stats.vectors, 3);
+  assert.deepEqual([...stats.fields].sort(), ["education", "hobbies", "projects"]);
+});
+
+test("keeps chunk metadata and counts vectors per field", async () => {
+  const [result] = await vectorStore.search("MCA Computer Science", { topK: 1, minScore: 0 });
+
+  assert.equal(result.metadata.field, "education");
+  assert.equal(result.metadata.source, "data/owner_profile.json");
+  assert.equal(result.metadata.path, "education[1]");
+  assert.deepEqual(result.metadata.tags, ["MCA"]);
+  assert.deepEqual(vectorStore.getStats().fieldCounts, { education: 1, hobbies: 1, projects: 1 });
+});
+
+test("search ranks the closest chunk first and respects topK", async () => {
+  const results = await vectorStore.search("playing football", { topK: 1, minScore: 0 });
+
+  assert.equal(results.length, 1);
+  assert.equal(results[0].id, "chunk_1");
+  assert.ok(results[0].score > 0);
+});
+
+test("search drops results below minScore", async () => {
+  const results = await vectorStore.search("zzz qqq", { minScore: 0.99 });
+  assert.deepEqual(results, []);
+});
+
+test("fields restricts search to the field index", async () => {
+  const results = await vectorStore.search("MCA Computer Science", { fields: ["hobbies", "projects"], minScore: 0 });
+
+  assert.ok(results.length > 0);
+  assert.ok(results.every(r => ["hobbies", "projects"].includes(r.metadata.field)));
+  assert.deepEqual(await vectorStore.search("MCA", { fields: ["unknown"], minScore: 0 }), []);
+});
+
+test("keyword mode finds exact terms with BM25", async () => {
+  const results = await vectorStore.search("what is my MCA", { mode: "keyword", minScore: 0.01 });
+
+  assert.equal(results.length, 1);
+  assert.equal(results[0].id, "chunk_0");
+  assert.equal(results[0].score, 1);
+});
+
+test("hybrid mode blends vector and keyword scores", async () => {
+  const [top] = await vectorStore.search("examination", { mode: "hybrid", alpha: 0.5, minScore: 0 });
+
+  assert.equal(top.id, "chunk_2");
+  assert.equal(top.scores.keyword, 1);
+  assert.ok(Math.abs(top.score - (0.5 * top.scores.vector + 0.5)) < 1e-9);
+});
+
+test("includeParent returns the passage a chunk was cut from", async () => {
+  await vectorStore.buildVectorStore([
+    ...chunks,
+    {
+      id: "doc_notes_0",
+      content: "I trained for a marathon.",
+      metadata: { field: "notes", parentId: "doc_notes" },
+      parent: { id: "doc_notes", content: "I trained for a marathon. It took six months." }
+    }
+  ]);
+
+  const [split] = await vectorStore.search("marathon", { fields: ["notes"], minScore: 0, includeParent: true });
+  assert.deepEqual(split.parent, { id: "doc_notes", content: "I trained for a marathon. It took six months." });
+
+  const [whole] = await vectorStore.search("football", { fields: ["hobbies"], minScore: 0, includeParent: true });
+  assert.deepEqual(whole.parent, { id: "chunk_1", content: "I enjoy playing football and cooking." });
+  assert.equal(vectorStore.getStats().splitDocuments, 1);
+
+  await vectorStore.buildVectorStore(chunks);
+});
+
+test("rejects an unknown search mode", async () => {
+  await assert.rejects(() => vectorStore.search("MCA", { mode: "fuzzy" }), /Unknown search mode/);
+});
+
+test("sync embeds only new and changed chunks", async () => {
+  let embedded = 0;
+  vectorStore.setEmbedder(async text => {
+    embedded++;
+    return fakeEmbedder(text);
+  });
+
+  const summary = await vectorStore.syncVectorStore([
+    chunks[0],
+    { ...chunks[1], content: "I enjoy playing cricket and cooking." },
+    { id: "chunk_3", content: "I speak Hindi and English.", metadata: { field: "languages" } }
+  ]);
+
+  assert.deepEqual(summary, { added: 1, updated: 1, unchanged: 1, removed: 1, rebuilt: false });
+  assert.equal(embedded, 2);
+  assert.deepEqual(vectorStore.getStats().fields.sort(), ["education", "hobbies", "languages"]);
+
+  vectorStore.setEmbedder(fakeEmbedder);
+  await vectorStore.buildVectorStore(chunks);
+});
+
+test("a different embedding model forces a rebuild", async () => {
+  vectorStore.setEmbedder(fakeEmbedder, { model: "other-model" });
+  const summary = await vectorStore.syncVectorStore(chunks);
+
+  assert.equal(summary.rebuilt, true);
+  assert.equal(summary.added, 3);
+  assert.equal(vectorStore.getStats().model, "other-model");
+  assert.equal(vectorStore.getStats().dimension, 64);
+
+  const saved = JSON.parse(fs.readFileSync(process.env.VECTOR_DB_PATH, "utf-8"));
+  assert.equal(saved.model, "other-model");
+  assert.equal(saved.dimension, 64);
+
+  vectorStore.setEmbedder(fakeEmbedder);
+  await vectorStore.buildVectorStore(chunks);
+});
+
+test("rejects an empty chunk list", async () => {
+  await assert.rejects(() => vectorStore.buildVectorStore([]), /No chunks provided/);
+});
+
+const embeddingsPath = () => process.env.VECTOR_DB_PATH.replace(/\.json$/, ".bin");
+
+test("persists to disk and reloads", async () => {
+  const before = await vectorStore.search("playing football", { minScore: 0 });
+
+  const saved = JSON.parse(fs.readFileSync(process.env.VECTOR_DB_PATH, "utf-8"));
+  assert.equal(saved.version, 4);
+  assert.equal(saved.count, 3);
+  assert.equal(saved.vectors[0].embedding, undefined);
+  assert.equal(fs.statSync(embeddingsPath()).size, 3 * 64 * 4);
+
+  assert.equal(vectorStore.loadFromDisk(), true);
+  assert.equal(vectorStore.getStats().vectors, 3);
+  assert.deepEqual(await vectorStore.search("playing football", { minScore: 0 }), before);
+});
+
+test("ignores a sidecar that does not match the metadata file", () => {
+  const sidecar = fs.readFileSync(embeddingsPath());
+  fs.writeFileSync(embeddingsPath(), sidecar.subarray(0, sidecar.length - 4));
+
+  assert.equal(vectorStore.loadFromDisk(), false);
+  fs.writeFileSync(embeddingsPath(), sidecar);
+});
+
+test("ignores a sidecar of the right size with other embeddings", () => {
+  const sidecar = fs.readFileSync(embeddingsPath());
+  // The rows in another order, as after a crash between the two writes
+  const rowBytes = sidecar.length / 3;
+  fs.writeFileSync(embeddingsPath(), Buffer.concat([sidecar.subarray(rowBytes), sidecar.subarray(0, rowBytes)]));
+
+  assert.equal(vectorStore.loadFromDisk(), false);
+  fs.writeFileSync(embeddingsPath(), sidecar);
+  assert.equal(vectorStore.loadFromDisk(), true);
+});
+
+test("ignores a metadata file that is not valid JSON", () => {
+  const saved = fs.readFileSync(process.env.VECTOR_DB_PATH);
+  fs.writeFileSync(process.env.VECTOR_DB_PATH, saved.subarray(0, saved.length / 2));
+
+  assert.equal(vectorStore.loadFromDisk(), false);
+  fs.writeFileSync(process.env.VECTOR_DB_PATH, saved);
+});
+
+test("top-K matches a full sort over many vectors", async () => {
+  const words = ["alpha", "beta", "gamma", "delta", "omega", "sigma", "kappa", "theta"];
+  const many = Array.from({ length: 300 }, (_, i) => ({
+    id: `many_${i}`,
+    content: `${words[i % 8]} ${words[(i * 3) % 8]} ${words[(i * 5 + 1) % 8]} item${i}`,
+    metadata: { field: "bulk" }
+  }));
+  await vectorStore.buildVectorStore(many);
+
+  const results = await vectorStore.search("gamma delta omega", { topK: 10, minScore: -1 });
+  const query = (await fakeEmbedder("gamma delta omega")).data;
+  const expected = await Promise.all(many.map(async c => {
+    const { data } = await fakeEmbedder(c.content);
+    return data.reduce((sum, v, j) => sum + v * query[j], 0);
+  }));
+
+  assert.equal(results.length, 10);
+  assert.deepEqual(
+    results.map(r => r.score.toFixed(5)),
+    [...expected].sort((a, b) => b - a).slice(0, 10).map(score => score.toFixed(5))
+  );
+
+  await vectorStore.buildVectorStore(chunks);
+});
+
+test("migrates the legacy array format on load", () => {
+  fs.writeFileSync(process.env.VECTOR_DB_PATH, JSON.stringify([
+    { id: "chunk_0", content: "Old chunk", embedding: [1, 0], metadata: { field: "general" } },
+    { id: "chunk_1", content: "Older chunk", embedding: [0, 1], field: "skills" }
+  ]));
+
+  assert.equal(vectorStore.loadFromDisk(), true);
+  assert.deepEqual(vectorStore.getStats().fieldCounts, { general: 1, skills: 1 });
+
+  const saved = JSON.parse(fs.readFileSync(process.env.VECTOR_DB_PATH, "utf-8"));
+  assert.equal(saved.version, 4);
+  assert.equal(saved.vectors[0].embedding, undefined);
+  assert.equal(saved.vectors[1].metadata.field, "skills");
+  assert.equal(saved.vectors[1].field, undefined);
+});
+
+test("clear removes vectors and the database file", () => {
+  vectorStore.clear();
+
+  assert.equal(vectorStore.getStats().vectors, 0);
+  assert.equal(fs.existsSync(process.env.VECTOR_DB_PATH), false);
+  assert.equal(fs.existsSync(embeddingsPath()), false);
+  assert.equal(vectorStore.loadFromDisk(), false);
+});
+
+test("collections keep their own vectors, model and files", async () => {
+  await vectorStore.buildVectorStore(chunks);
+  vectorStore.configureCollections({ emails: { model: "Xenova/bge-small-en-v1.5" } });
+
+  const summary = await vectorStore.syncVectorStore([
+    { id: "mail_0", content: "Dinner with Ravi on Friday at eight.", metadata: { field: "email", source: "mail.mbox" } }
+  ], { collection: "emails" });
+  assert.equal(summary.added, 1);
+  assert.ok(fs.existsSync(process.env.VECTOR_DB_PATH.replace(/\.json$/, ".emails.json")));
+
+  const stats = vectorStore.getStats();
+  assert.equal(stats.vectors, 4);
+  assert.deepEqual(Object.keys(stats.collections), ["default", "emails"]);
+  assert.equal(stats.collections.emails.vectors, 1);
+  assert.equal(stats.collections.emails.embeddingModel, "Xenova/bge-small-en-v1.5");
+  assert.equal(vectorStore.getStats("emails").collection, "emails");
+
+  const [mail] = await vectorStore.search("dinner with Ravi", { collection: "emails", minScore: 0 });
+  assert.equal(mail.collection, "emails");
+  const profileOnly = await vectorStore.search("dinner with Ravi", { collection: "default", topK: 5, minScore: 0 });
+  assert.ok(profileOnly.every(r => r.collection === "default"));
+
+  // Without a collection every non-empty one is searched and the lists fused
+  const all = await vectorStore.search("dinner with Ravi", { topK: 2, minScore: 0 });
+  assert.equal(all.length, 2);
+  assert.equal(all[0].collection, "emails");
+  assert.ok(all[0].rrfScore > 0);
+
+  await assert.rejects(() => vectorStore.search("x", { collection: "nope" }), /Unknown collection "nope"/);
+  assert.throws(() => vectorStore.configureCollections({ "bad name": {} }), /Invalid collection name/);
+
+  vectorStore.clear("emails");
+  assert.equal(vectorStore.getStats().vectors, 3);
+});